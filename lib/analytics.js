@@ -0,0 +1,307 @@
+// lib/analytics.js
+// 管理後台的市場指標；全部用 aggregation 在 DB 端計算（需 MongoDB 5.0+，$dateTrunc）
+// 每個報表：({ from, to, interval, ... }) → 平坦的列陣列（方便輸出 CSV）
+const { User, Item, Invite, Chat, Message } = require("../repositories");
+
+const TIMEZONE = process.env.ANALYTICS_TZ || "Asia/Taipei";
+const INTERVALS = ["day", "week", "month"];
+const GEO_CELL_DEG = 0.1; // 約 11 公里
+
+const inRange = (from, to) => ({ $gte: from, $lt: to });
+
+// 依 interval 切時間區段的 key（YYYY-MM-DD，週以週一開始）
+const periodOf = (field, interval) => ({
+  $dateToString: {
+    format: "%Y-%m-%d",
+    timezone: TIMEZONE,
+    date: {
+      $dateTrunc: {
+        date: field,
+        unit: interval,
+        timezone: TIMEZONE,
+        startOfWeek: "monday",
+      },
+    },
+  },
+});
+
+const ratio = (a, b) => (b > 0 ? +(a / b).toFixed(4) : null);
+
+// 已排序陣列的百分位數（線性內插）；空陣列回傳 null
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// 活躍使用者（上架、送邀請、發訊息的人）、新使用者、新上架數，依時間區段
+async function activity({ from, to, interval }) {
+  const active = await Item.aggregate([
+    { $match: { createdAt: inRange(from, to) } },
+    { $project: { email: 1, at: "$createdAt" } },
+    {
+      $unionWith: {
+        coll: Invite.collection.name,
+        pipeline: [
+          { $match: { createdAt: inRange(from, to) } },
+          { $project: { email: "$fromEmail", at: "$createdAt" } },
+        ],
+      },
+    },
+    {
+      $unionWith: {
+        coll: Message.collection.name,
+        pipeline: [
+          { $match: { createdAt: inRange(from, to) } },
+          { $project: { email: "$senderEmail", at: "$createdAt" } },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: periodOf("$at", interval),
+        emails: { $addToSet: "$email" },
+      },
+    },
+    { $project: { activeUsers: { $size: "$emails" } } },
+  ]);
+
+  const listings = await Item.aggregate([
+    { $match: { createdAt: inRange(from, to) } },
+    {
+      $group: {
+        _id: periodOf("$createdAt", interval),
+        newListings: { $sum: 1 },
+      },
+    },
+  ]);
+
+  // User 沒有 createdAt，用 ObjectId 的時間
+  const users = await User.aggregate([
+    { $addFields: { createdAt: { $toDate: "$_id" } } },
+    { $match: { createdAt: inRange(from, to) } },
+    {
+      $group: { _id: periodOf("$createdAt", interval), newUsers: { $sum: 1 } },
+    },
+  ]);
+
+  const rows = {};
+  const merge = (list) =>
+    list.forEach(({ _id, ...fields }) => {
+      rows[_id] = {
+        period: _id,
+        activeUsers: 0,
+        newUsers: 0,
+        newListings: 0,
+        ...rows[_id],
+        ...fields,
+      };
+    });
+  merge(active);
+  merge(users);
+  merge(listings);
+  return Object.values(rows).sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// 期間內上架的物品，依類別 × 價格帶
+async function listings({ from, to }) {
+  const rows = await Item.aggregate([
+    { $match: { createdAt: inRange(from, to) } },
+    {
+      $group: {
+        _id: { category: "$category", priceBand: "$priceBand" },
+        listings: { $sum: 1 },
+        available: {
+          $sum: { $cond: [{ $in: ["$status", ["available", null]] }, 1, 0] },
+        },
+        traded: { $sum: { $cond: [{ $eq: ["$status", "traded"] }, 1, 0] } },
+        avgPrice: { $avg: "$price" },
+      },
+    },
+    { $sort: { listings: -1 } },
+  ]);
+  return rows.map(({ _id, avgPrice, ...r }) => ({
+    category: _id.category ?? null,
+    priceBand: _id.priceBand ?? null,
+    ...r,
+    avgPrice: avgPrice == null ? null : Math.round(avgPrice),
+  }));
+}
+
+// 期間內送出的兩人邀請：送出 → 同意 → 開聊天室 → 雙方按完成
+// （循環交換另計，不在這個漏斗裡）
+async function funnel({ from, to }) {
+  const [row] = await Invite.aggregate([
+    { $match: { createdAt: inRange(from, to), cycleId: null } },
+    {
+      $lookup: {
+        from: Chat.collection.name,
+        let: { f: "$fromItemId", t: "$toItemId" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $or: [
+                  {
+                    $and: [
+                      { $in: ["$$f", { $ifNull: ["$itemIds", []] }] },
+                      { $in: ["$$t", { $ifNull: ["$itemIds", []] }] },
+                    ],
+                  },
+                  {
+                    $and: [
+                      { $eq: ["$pair.fromItemId", "$$f"] },
+                      { $eq: ["$pair.toItemId", "$$t"] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $project: { closed: 1, closeReason: 1 } },
+          { $limit: 1 },
+        ],
+        as: "chat",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        sent: { $sum: 1 },
+        accepted: { $sum: { $cond: [{ $eq: ["$status", "accepted"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$status", "rejected"] }, 1, 0] } },
+        chatOpened: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "accepted"] },
+                  { $gt: [{ $size: "$chat" }, 0] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        completed: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "accepted"] },
+                  { $eq: [{ $first: "$chat.closed" }, true] },
+                  { $ne: [{ $first: "$chat.closeReason" }, "cancelled"] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const r = row || {
+    sent: 0,
+    accepted: 0,
+    rejected: 0,
+    chatOpened: 0,
+    completed: 0,
+  };
+  return [
+    {
+      sent: r.sent,
+      accepted: r.accepted,
+      rejected: r.rejected,
+      chatOpened: r.chatOpened,
+      completed: r.completed,
+      acceptRate: ratio(r.accepted, r.sent),
+      chatRate: ratio(r.chatOpened, r.accepted),
+      completionRate: ratio(r.completed, r.chatOpened),
+      overallRate: ratio(r.completed, r.sent),
+    },
+  ];
+}
+
+// 期間內完成的交易：開聊天室（邀請被同意）到雙方按完成的時間（小時）
+async function timeToComplete({ from, to }) {
+  const rows = await Chat.aggregate([
+    {
+      $match: {
+        closed: true,
+        closeReason: { $ne: "cancelled" },
+        closedAt: inRange(from, to),
+      },
+    },
+    {
+      $project: {
+        hours: { $divide: [{ $subtract: ["$closedAt", "$createdAt"] }, 36e5] },
+      },
+    },
+    { $sort: { hours: 1 } },
+    { $group: { _id: null, hours: { $push: "$hours" } } },
+  ]);
+  const hours = rows[0]?.hours || [];
+  const round = (v) => (v == null ? null : +v.toFixed(1));
+  return [
+    {
+      trades: hours.length,
+      medianHours: round(percentile(hours, 0.5)),
+      p90Hours: round(percentile(hours, 0.9)),
+      avgHours: round(
+        hours.length ? hours.reduce((a, b) => a + b, 0) / hours.length : null
+      ),
+    },
+  ];
+}
+
+// 使用者分布：以 cellDeg 度的網格計數（相容舊的 gps 欄位）
+// 有給 from/to 時只算那段期間註冊的使用者
+async function geoDensity({ from, to, cellDeg = GEO_CELL_DEG }) {
+  const cell = cellDeg > 0 ? cellDeg : GEO_CELL_DEG;
+  const bucket = (v) => ({
+    $multiply: [{ $floor: { $divide: [v, cell] } }, cell],
+  });
+  const rows = await User.aggregate([
+    { $addFields: { createdAt: { $toDate: "$_id" } } },
+    { $match: { createdAt: inRange(from, to) } },
+    {
+      $project: {
+        lat: {
+          $ifNull: [{ $arrayElemAt: ["$location.coordinates", 1] }, "$gps.lat"],
+        },
+        lng: {
+          $ifNull: [{ $arrayElemAt: ["$location.coordinates", 0] }, "$gps.lng"],
+        },
+      },
+    },
+    { $match: { lat: { $type: "number" }, lng: { $type: "number" } } },
+    {
+      $group: {
+        _id: { lat: bucket("$lat"), lng: bucket("$lng") },
+        users: { $sum: 1 },
+      },
+    },
+    { $sort: { users: -1 } },
+  ]);
+  // 回傳網格中心點
+  return rows.map(({ _id, users }) => ({
+    lat: +(_id.lat + cell / 2).toFixed(4),
+    lng: +(_id.lng + cell / 2).toFixed(4),
+    users,
+  }));
+}
+
+const REPORTS = {
+  activity,
+  listings,
+  funnel,
+  "time-to-complete": timeToComplete,
+  geo: geoDensity,
+};
+
+module.exports = { INTERVALS, REPORTS, percentile };
@@ -0,0 +1,17 @@
+// lib/category.js
+// 由標題/標籤推測物品類別（沒有填 category 的舊資料用）
+function inferCategory(title, tags = []) {
+  const t = `${title || ""} ${tags.join(" ")}`.toLowerCase();
+  if (/衣|服|shirt|pants|coat|jacket/.test(t)) return "clothes";
+  if (/書|book/.test(t)) return "book";
+  if (/電腦|notebook|laptop|pc/.test(t)) return "computer";
+  if (/手機|phone/.test(t)) return "phone";
+  if (/家具|桌|椅|櫃|sofa|furniture/.test(t)) return "furniture";
+  return "other";
+}
+
+// 物品的類別：有填用填的，沒有就推測；比對願望、評分都用這個
+const itemCategory = (item) =>
+  item.category || inferCategory(item.title, item.tags);
+
+module.exports = { inferCategory, itemCategory };
@@ -0,0 +1,22 @@
+// lib/chatEvents.js
+// 聊天室即時事件（單一行程內的 pub/sub）
+// 若之後要跑多個 instance，換成 Redis pub/sub 等實作，介面維持 publish/subscribe 即可
+const { EventEmitter } = require("events");
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0); // 每個連線一個 listener，不設上限
+
+// event: "message" | "message_edited" | "message_deleted" | "read"
+//        | "meetup" | "meetup_reminder" | "trade" | "done" | "closed" | "typing"
+function publish(chatId, event, data) {
+  hub.emit(String(chatId), { event, data });
+}
+
+// 回傳取消訂閱的函式
+function subscribe(chatId, listener) {
+  const key = String(chatId);
+  hub.on(key, listener);
+  return () => hub.off(key, listener);
+}
+
+module.exports = { publish, subscribe };
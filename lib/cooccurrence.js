@@ -0,0 +1,146 @@
+// lib/cooccurrence.js
+// 從成交（聊天室已關閉）與已同意的兩人邀請建立共現表，記憶體快取一段時間
+// 循環交換不計（收送對象不同，看不出誰想要什麼）
+const { Item, Invite, Chat } = require("../repositories");
+const {
+  itemFeatures,
+  buildCooccurrence,
+  collabScore,
+  contentSimilarity,
+} = require("./scoring/collab");
+const { indexTokens } = require("./searchTokens");
+const { AVAILABLE_ITEM } = require("./matching");
+const { publicItem } = require("./items");
+
+const TTL_MS = Number(process.env.COOCCURRENCE_TTL_MS) || 10 * 60 * 1000;
+const COMPLETED_WEIGHT = 2; // 成交比只有同意更可信
+const SIMILAR_POOL = 500; // 相似物品的候選上限
+const RELATED_FEATURES = 10; // 候選也納入最常一起被交換的幾個特徵
+
+let cached = null; // { model, expiresAt }
+let loading = null;
+
+const itemsKey = (ids) => [...ids].map(String).sort().join(",");
+
+async function build() {
+  const invites = await Invite.find({ status: "accepted", cycleId: null })
+    .select("fromItemId toItemId fromItemIds toItemIds")
+    .lean();
+  // 取消的交易不算
+  const chats = await Chat.find({
+    closed: true,
+    closeReason: { $ne: "cancelled" },
+    cycleId: null,
+  })
+    .select("pair itemIds")
+    .lean();
+
+  const sides = invites.map((inv) => ({
+    give: inv.fromItemIds?.length ? inv.fromItemIds : [inv.fromItemId],
+    get: inv.toItemIds?.length ? inv.toItemIds : [inv.toItemId],
+  }));
+  const completed = new Set(
+    chats.map((c) =>
+      itemsKey(
+        c.itemIds?.length ? c.itemIds : [c.pair?.fromItemId, c.pair?.toItemId]
+      )
+    )
+  );
+  // 沒有對應邀請的舊聊天室：只知道 pair
+  const known = new Set(sides.map((s) => itemsKey([...s.give, ...s.get])));
+  chats.forEach((c) => {
+    const { fromItemId, toItemId } = c.pair || {};
+    if (!fromItemId || !toItemId) return;
+    const key = itemsKey(
+      c.itemIds?.length ? c.itemIds : [fromItemId, toItemId]
+    );
+    if (!known.has(key)) sides.push({ give: [fromItemId], get: [toItemId] });
+  });
+
+  const ids = [...new Set(sides.flatMap((s) => [...s.give, ...s.get]))];
+  const items = await Item.find({ _id: { $in: ids } })
+    .select("category tags")
+    .lean();
+  const byId = new Map(items.map((it) => [String(it._id), it]));
+
+  const trades = [];
+  for (const s of sides) {
+    const give = s.give.map((id) => byId.get(String(id)));
+    const get = s.get.map((id) => byId.get(String(id)));
+    if (give.some((it) => !it) || get.some((it) => !it)) continue;
+    const done = completed.has(itemsKey([...s.give, ...s.get]));
+    trades.push({ give, get, w: done ? COMPLETED_WEIGHT : 1 });
+  }
+  return buildCooccurrence(trades);
+}
+
+async function loadCooccurrence() {
+  if (cached && cached.expiresAt > Date.now()) return cached.model;
+  // 同時多個請求只建一次
+  loading =
+    loading ||
+    build()
+      .then((model) => {
+        cached = { model, expiresAt: Date.now() + TTL_MS };
+        return model;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  return loading;
+}
+
+const tokensOf = (it) => it.searchTokens || indexTokens(it.title, it.tags);
+
+/**
+ * 與 item 相似的可交換物品：內容相似度（類別、標籤、標題）與共現分數各半；
+ * 共現資料不足（冷啟動）時只看內容
+ * 回傳物品陣列，附 similarity 與 collabScore（冷啟動為 null）
+ */
+async function similarItems(item, { limit = 20, excludeEmails = [] } = {}) {
+  const model = await loadCooccurrence();
+
+  // 候選：同類別/標籤，加上常與這件物品的特徵一起被交換的類別/標籤
+  const own = [...itemFeatures(item)];
+  const related = own
+    .flatMap((f) => [...(model.counts.get(f) || [])])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, RELATED_FEATURES)
+    .map(([f]) => f);
+  const features = [...new Set([...own, ...related])];
+  const cats = features
+    .filter((f) => f.startsWith("cat:"))
+    .map((f) => f.slice(4));
+  const tags = features
+    .filter((f) => f.startsWith("tag:"))
+    .map((f) => f.slice(4));
+  if (cats.length === 0 && tags.length === 0) return [];
+
+  const cond = {
+    ...AVAILABLE_ITEM,
+    _id: { $ne: item._id },
+    $or: [{ category: { $in: cats } }, { tags: { $in: tags } }],
+  };
+  cond.email = { $nin: [item.email, ...excludeEmails] };
+  const pool = await Item.find(cond)
+    .sort({ createdAt: -1 })
+    .limit(SIMILAR_POOL)
+    .lean();
+
+  return pool
+    .map((cand) => {
+      const content = contentSimilarity(item, cand, tokensOf);
+      const collab = collabScore(model, item, cand);
+      const score = collab ? (content + collab.value) / 2 : content;
+      return {
+        ...publicItem(cand),
+        similarity: +score.toFixed(3),
+        collabScore: collab ? +collab.value.toFixed(3) : null,
+      };
+    })
+    .filter((it) => it.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+module.exports = { loadCooccurrence, similarItems };
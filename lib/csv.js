@@ -0,0 +1,17 @@
+// lib/csv.js
+// 物件陣列 → CSV（RFC 4180：含逗號、引號、換行的欄位加引號）
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns 省略時取所有列出現過的 key
+function toCsv(rows, columns) {
+  const cols = columns || [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const lines = [cols.map(escapeCell).join(",")];
+  rows.forEach((r) => lines.push(cols.map((c) => escapeCell(r[c])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,48 @@
+// lib/geo.js
+// 距離計算與地理查詢條件
+const { fromPoint } = require("../models/PointSchema");
+
+function haversineDistance(loc1, loc2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const R = 6371;
+  const dLat = toRad((loc2.lat || 0) - (loc1.lat || 0));
+  const dLng = toRad((loc2.lng || 0) - (loc1.lng || 0));
+  const lat1 = toRad(loc1.lat || 0);
+  const lat2 = toRad(loc2.lat || 0);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// 使用者位置 { lat, lng }：優先用 GeoJSON location，相容舊的 gps 欄位
+function userLatLng(user) {
+  const loc = fromPoint(user?.location);
+  if (loc) return loc;
+  const gps = user?.gps;
+  if (gps && gps.lat != null && gps.lng != null) {
+    return { lat: gps.lat, lng: gps.lng };
+  }
+  return null;
+}
+
+// 兩位使用者的距離（公里，取到小數一位）；任一方沒位置回傳 null
+function distanceKmBetween(userLocations, emailA, emailB) {
+  const a = userLocations[emailA];
+  const b = userLocations[emailB];
+  if (!a || !b) return null;
+  return +haversineDistance(a, b).toFixed(1);
+}
+
+// 以公里為單位的 $geoWithin 條件
+const withinKm = (loc, km) => ({
+  $geoWithin: { $centerSphere: [[loc.lng, loc.lat], km / 6371] },
+});
+
+module.exports = {
+  haversineDistance,
+  userLatLng,
+  distanceKmBetween,
+  withinKm,
+};
@@ -0,0 +1,103 @@
+// lib/images.js
+// 物品圖片：檢查檔案內容、存到 storage、維護 Item.images 與封面
+const crypto = require("crypto");
+const { getStorage } = require("./storage");
+
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024;
+const MAX_IMAGES_PER_ITEM = 8;
+
+// 依檔頭判斷格式，不相信 client 給的 Content-Type
+const SIGNATURES = [
+  {
+    ext: "jpg",
+    type: "image/jpeg",
+    test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    ext: "png",
+    type: "image/png",
+    test: (b) => b.toString("hex", 0, 8) === "89504e470d0a1a0a",
+  },
+  {
+    ext: "gif",
+    type: "image/gif",
+    test: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)),
+  },
+  {
+    ext: "webp",
+    type: "image/webp",
+    test: (b) =>
+      b.toString("latin1", 0, 4) === "RIFF" &&
+      b.toString("latin1", 8, 12) === "WEBP",
+  },
+];
+
+const CONTENT_TYPES = Object.fromEntries(
+  SIGNATURES.map((s) => [s.ext, s.type])
+);
+const KEY_RE = /^[a-f0-9]{32}\.(jpg|png|gif|webp)$/;
+
+// 回傳 { ext, type }；不是支援的圖片回傳 null
+function sniffImage(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const sig = SIGNATURES.find((s) => s.test(buffer));
+  return sig ? { ext: sig.ext, type: sig.type } : null;
+}
+
+const isImageKey = (key) => KEY_RE.test(key);
+const contentTypeOf = (key) => CONTENT_TYPES[key.split(".").pop()];
+
+/**
+ * 檢查並儲存上傳的檔案（multer memoryStorage 的 files）
+ * 回傳 { images: [{ key, url, contentType, size }] } 或 { error }；
+ * 任何一張不合格就整批不存
+ */
+async function storeImages(files) {
+  const sniffed = files.map((f) => sniffImage(f.buffer));
+  const bad = sniffed.findIndex((s) => !s);
+  if (bad !== -1) {
+    return { error: `${files[bad].originalname || "檔案"} 不是支援的圖片格式` };
+  }
+
+  const storage = getStorage();
+  const images = [];
+  for (let i = 0; i < files.length; i++) {
+    const key = `${crypto.randomBytes(16).toString("hex")}.${sniffed[i].ext}`;
+    await storage.put(key, files[i].buffer, sniffed[i].type);
+    images.push({
+      key,
+      url: storage.urlFor(key),
+      contentType: sniffed[i].type,
+      size: files[i].size,
+    });
+  }
+  return { images };
+}
+
+// 刪除失敗只記 log（檔案殘留不影響資料正確性）
+async function removeImages(keys) {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error("remove image error", key, err);
+    }
+  }
+}
+
+// images 的順序就是顯示順序，第一張是封面；imageUrl 保留給舊 client
+function syncCover(item) {
+  item.imageUrl = item.images.length > 0 ? item.images[0].url : null;
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_ITEM,
+  sniffImage,
+  isImageKey,
+  contentTypeOf,
+  storeImages,
+  removeImages,
+  syncCover,
+};
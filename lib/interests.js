@@ -0,0 +1,65 @@
+// lib/interests.js
+// 搜尋紀錄 → 使用者興趣關鍵字（隨時間衰減）
+const { SearchHistory } = require("../repositories");
+
+const MAX_KEYWORDS_PER_USER = 50;
+const MAX_KEYWORD_LEN = 50;
+const HALF_LIFE_DAYS = 14; // 14 天前的搜尋權重剩一半
+
+const normalizeKeyword = (q) =>
+  String(q || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// 權重 = log 化的次數 × 時間衰減
+function interestWeight(entry, now = Date.now()) {
+  const ageDays = (now - new Date(entry.lastSearchedAt).getTime()) / 864e5;
+  const decay = Math.pow(0.5, Math.max(0, ageDays) / HALF_LIFE_DAYS);
+  return (1 + Math.log(Math.max(1, entry.count))) * decay;
+}
+
+async function recordSearch(email, q) {
+  const keyword = normalizeKeyword(q);
+  if (!keyword || keyword.length > MAX_KEYWORD_LEN) return;
+
+  await SearchHistory.updateOne(
+    { email, keyword },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  );
+
+  // 超過上限就刪掉最舊的
+  const stale = await SearchHistory.find({ email })
+    .sort({ lastSearchedAt: -1 })
+    .skip(MAX_KEYWORDS_PER_USER)
+    .select({ _id: 1 });
+  if (stale.length > 0) {
+    await SearchHistory.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+  }
+}
+
+// 回傳 { email: [{ keyword, weight }] }，權重由大到小
+async function loadInterests(emails) {
+  const now = Date.now();
+  const rows = await SearchHistory.find({ email: { $in: emails } }).lean();
+  const out = {};
+  rows.forEach((r) => {
+    (out[r.email] = out[r.email] || []).push({
+      keyword: r.keyword,
+      weight: interestWeight(r, now),
+    });
+  });
+  Object.values(out).forEach((list) =>
+    list.sort((a, b) => b.weight - a.weight)
+  );
+  return out;
+}
+
+module.exports = {
+  MAX_KEYWORDS_PER_USER,
+  normalizeKeyword,
+  interestWeight,
+  recordSearch,
+  loadInterests,
+};
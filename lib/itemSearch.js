@@ -0,0 +1,145 @@
+// lib/itemSearch.js
+// 物品搜尋：斷詞比對 + 篩選 + 排序 + 分頁 + facet 計數（單一 aggregation）
+const { Item } = require("../repositories");
+const { AVAILABLE_ITEM } = require("./matching");
+const { haversineDistance, withinKm } = require("./geo");
+const { queryTokens } = require("./searchTokens");
+const { fromPoint } = require("../models/PointSchema");
+const { publicItem } = require("./items");
+
+const SORTS = ["relevance", "newest", "price_asc", "price_desc", "distance"];
+
+const SORT_STAGES = {
+  relevance: { relevance: -1, createdAt: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  distance: { distanceM: 1, _id: 1 },
+};
+
+// { min, max } → Mongo 範圍條件；兩邊都沒有回傳 null
+function range(min, max) {
+  const cond = {};
+  if (Number.isFinite(min)) cond.$gte = min;
+  if (Number.isFinite(max)) cond.$lte = max;
+  return Object.keys(cond).length ? cond : null;
+}
+
+// facet 最多看這麼多筆符合的物品，結果很多時計數是近似值
+const FACET_SCAN_LIMIT = 2000;
+
+const facetList = (rows) =>
+  rows.map((r) => ({ value: r._id ?? null, count: r.count }));
+
+/**
+ * params:
+ *   q, excludeEmails（自己與封鎖關係的人）,
+ *   category[], priceBand[], minCondition, maxCondition, minPrice, maxPrice,
+ *   center { lat, lng }, radiusKm, sort, limit, offset
+ * 回傳 { results, total, facets: { category, priceBand } }
+ * category / priceBand 的 facet 不套用自己那一組篩選，方便做多選 chip；
+ * facet 只數前 FACET_SCAN_LIMIT 筆符合的物品
+ */
+async function searchItems(params) {
+  const tokens = queryTokens(params.q);
+  let sort = SORTS.includes(params.sort) ? params.sort : "relevance";
+  if (sort === "relevance" && tokens.length === 0) sort = "newest";
+  if (sort === "distance" && !params.center) sort = "newest";
+
+  const base = { ...AVAILABLE_ITEM };
+  if (params.excludeEmails?.length) base.email = { $nin: params.excludeEmails };
+  if (tokens.length > 0) base.searchTokens = { $in: tokens };
+  const condition = range(params.minCondition, params.maxCondition);
+  if (condition) base.condition = condition;
+  const price = range(params.minPrice, params.maxPrice);
+  if (price) base.price = price;
+
+  const catMatch = params.category?.length
+    ? { category: { $in: params.category } }
+    : {};
+  const bandMatch = params.priceBand?.length
+    ? { priceBand: { $in: params.priceBand } }
+    : {};
+
+  const { center, radiusKm } = params;
+  const stages = [];
+  if (sort === "distance") {
+    const geoNear = {
+      near: { type: "Point", coordinates: [center.lng, center.lat] },
+      distanceField: "distanceM",
+      spherical: true,
+      query: base,
+    };
+    if (radiusKm > 0) geoNear.maxDistance = radiusKm * 1000;
+    stages.push({ $geoNear: geoNear });
+  } else {
+    if (center && radiusKm > 0) base.location = withinKm(center, radiusKm);
+    stages.push({ $match: base });
+  }
+
+  if (tokens.length > 0) {
+    stages.push({
+      $addFields: {
+        relevance: {
+          $divide: [
+            {
+              $size: {
+                $setIntersection: [{ $ifNull: ["$searchTokens", []] }, tokens],
+              },
+            },
+            tokens.length,
+          ],
+        },
+      },
+    });
+  }
+
+  stages.push({
+    $facet: {
+      results: [
+        { $match: { ...catMatch, ...bandMatch } },
+        { $sort: SORT_STAGES[sort] },
+        { $skip: params.offset || 0 },
+        { $limit: params.limit },
+        { $project: { searchTokens: 0 } },
+      ],
+      total: [{ $match: { ...catMatch, ...bandMatch } }, { $count: "n" }],
+      category: [
+        { $limit: FACET_SCAN_LIMIT },
+        { $match: bandMatch },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      priceBand: [
+        { $limit: FACET_SCAN_LIMIT },
+        { $match: catMatch },
+        { $group: { _id: "$priceBand", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ],
+    },
+  });
+
+  const [out] = await Item.aggregate(stages).allowDiskUse(true);
+
+  const results = out.results.map(({ distanceM, ...it }) => {
+    const loc = fromPoint(it.location);
+    let distanceKm = null;
+    if (distanceM != null) {
+      distanceKm = +(distanceM / 1000).toFixed(1);
+    } else if (center && loc) {
+      distanceKm = +haversineDistance(center, loc).toFixed(1);
+    }
+    return { ...publicItem(it), distanceKm };
+  });
+
+  return {
+    results,
+    total: out.total[0]?.n || 0,
+    facets: {
+      category: facetList(out.category),
+      priceBand: facetList(out.priceBand),
+    },
+  };
+}
+
+module.exports = { SORTS, searchItems };
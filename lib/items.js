@@ -0,0 +1,56 @@
+// lib/items.js
+// 物品共用的小工具：對外輸出時要拿掉的欄位、路由取出自己的物品、交換時保留物品
+// location 是擁有者的 GeoJSON 住家座標（由 User 複製），搜尋索引也只在伺服器端用；
+// 對外只給 distanceKm
+const mongoose = require("mongoose");
+const { Item } = require("../repositories");
+const { AVAILABLE_ITEM } = require("./matching");
+const recommendCache = require("./recommendCache");
+
+// 給 $project / .select() 用的排除欄位
+const PRIVATE_ITEM_FIELDS = { searchTokens: 0, location: 0 };
+
+// 已讀出的物品 → 可回傳給前端的物品
+const publicItem = ({ searchTokens, location, ...item }) => item;
+
+// 自己的物品才能操作（req.params.id）；回傳 item 或已回應錯誤時回傳 null
+async function ownItem(req, res) {
+  const item = mongoose.isValidObjectId(req.params.id)
+    ? await Item.findById(req.params.id)
+    : null;
+  if (!item) {
+    res.status(404).json({ error: "找不到物品" });
+    return null;
+  }
+  if (item.email !== req.userEmail) {
+    res.status(403).json({ error: "不是你的物品" });
+    return null;
+  }
+  return item;
+}
+
+// 逐件由 available 改成 reserved；有一件被別人先保留就放回這次保留的，回傳 false
+// 條件式更新：同時同意兩張搶同一件物品的邀請時只有一張搶得到
+async function reserveItems(itemIds) {
+  const reserved = [];
+  for (const id of itemIds) {
+    const { modifiedCount } = await Item.updateOne(
+      { _id: id, ...AVAILABLE_ITEM },
+      { $set: { status: "reserved" } }
+    );
+    if (!modifiedCount) {
+      if (reserved.length > 0) {
+        await Item.updateMany(
+          { _id: { $in: reserved }, status: "reserved" },
+          { $set: { status: "available" } }
+        );
+      }
+      return false;
+    }
+    reserved.push(id);
+  }
+  recommendCache.invalidate();
+  return true;
+}
+
+module.exports = { PRIVATE_ITEM_FIELDS, publicItem, ownItem, reserveItems };
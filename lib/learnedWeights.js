@@ -0,0 +1,30 @@
+// lib/learnedWeights.js
+// /recommend 沒指定權重時改用訓練出來的權重：個人模型優先，其次全站模型
+// 模型只在重新訓練時變動，記憶體快取一段時間即可
+const { WeightModel } = require("../repositories");
+
+const TTL_MS = Number(process.env.LEARNED_WEIGHTS_TTL_MS) || 10 * 60 * 1000;
+
+const cache = new Map(); // scope → { weights, expiresAt }
+
+async function weightsFor(scope) {
+  const hit = cache.get(scope);
+  if (hit && hit.expiresAt > Date.now()) return hit.weights;
+
+  const doc = await WeightModel.findOne({ scope }).lean();
+  const weights =
+    doc && Object.keys(doc.weights || {}).length > 0 ? doc.weights : null;
+  cache.set(scope, { weights, expiresAt: Date.now() + TTL_MS });
+  return weights;
+}
+
+// 回傳 { weights, source: "user" | "global" } 或 null（沒有訓練過）
+async function loadLearnedWeights(email) {
+  const own = await weightsFor(email);
+  if (own) return { weights: own, source: "user" };
+  const global = await weightsFor("global");
+  if (global) return { weights: global, source: "global" };
+  return null;
+}
+
+module.exports = { loadLearnedWeights };
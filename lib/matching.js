@@ -0,0 +1,363 @@
+// lib/matching.js
+// 交換配對（純函式，不碰 DB）；單邊意願的評分在 lib/scoring
+const { distanceKmBetween } = require("./geo");
+const { inferCategory } = require("./category");
+const {
+  DEFAULT_MAX_KM,
+  keywordScoreFor,
+  wantSatisfaction,
+  scoreDesire,
+  breakdownOf,
+  reasonsFor,
+} = require("./scoring");
+
+function priceBandLabelByPrice(price) {
+  const p = Number(price) || 0;
+  if (p < 500) return "0-499";
+  if (p < 2000) return "500-1999";
+  if (p < 5000) return "2000-4999";
+  return "5000+";
+}
+
+// 與 priceBandLabelByPrice 對應的區間 [min, max)
+const PRICE_BANDS = [
+  { label: "0-499", min: -Infinity, max: 500 },
+  { label: "500-1999", min: 500, max: 2000 },
+  { label: "2000-4999", min: 2000, max: 5000 },
+  { label: "5000+", min: 5000, max: Infinity },
+];
+
+// 價格區間 [lo, hi] 會碰到的 priceBand
+function priceBandsBetween(lo, hi) {
+  return PRICE_BANDS.filter((b) => b.min <= hi && lo < b.max).map(
+    (b) => b.label
+  );
+}
+
+// 可被推薦、搜尋、邀請的物品（舊資料沒有 status 欄位，視為 available）
+// 被管理員隱藏的不算
+const AVAILABLE_ITEM = {
+  status: { $in: ["available", null] },
+  hidden: { $ne: true },
+};
+const isItemAvailable = (item) =>
+  (!item.status || item.status === "available") && !item.hidden;
+
+// 完全符合（每個有設定的條件都滿足）
+const wantMatches = (want, item) => wantSatisfaction(want, item) === 1;
+
+function evaluateDesire(
+  user,
+  targetItem,
+  ownItem,
+  userLocations,
+  weights,
+  opts = {}
+) {
+  return scoreDesire(user, targetItem, ownItem, userLocations, weights, opts)
+    .score;
+}
+
+// 雙方的分數與明細；reasons 以 A（查詢的人）的角度
+function scorePair(userA, userB, give, get, userLocations, weights, opts) {
+  const a = scoreDesire(userA, get, give, userLocations, weights, opts);
+  const b = scoreDesire(userB, give, get, userLocations, weights, opts);
+  return {
+    distanceKm: distanceKmBetween(userLocations, userA.email, userB.email),
+    scoreA: +a.score.toFixed(3),
+    scoreB: +b.score.toFixed(3),
+    matchScore: +((a.score + b.score) / 2).toFixed(3),
+    breakdown: { a: breakdownOf(a), b: breakdownOf(b) },
+    reasons: reasonsFor(a),
+  };
+}
+
+// 兩個物品不能互換的原因（類別、價格容忍度）；可互換回傳空陣列
+function swapRejections(itemA, itemB, opts = {}) {
+  const out = [];
+  if (opts.useCategory) {
+    const catA = itemA.category || inferCategory(itemA.title, itemA.tags);
+    const catB = itemB.category || inferCategory(itemB.title, itemB.tags);
+    if (catA && catB && catA !== catB) {
+      out.push({ code: "category", text: `類別不同（${catA} / ${catB}）` });
+    }
+  }
+
+  if (opts.priceMode === "tolerance") {
+    const tol = Math.max(0, Number(opts.priceTol) || 0);
+    const diff = Math.abs((itemA.price || 0) - (itemB.price || 0));
+    if (diff > tol) {
+      out.push({ code: "priceTol", text: `價差 ${diff} 超過容忍度 ${tol}` });
+    }
+  }
+  return out;
+}
+
+// 兩個物品能否互換
+const isSwapCompatible = (itemA, itemB, opts = {}) =>
+  swapRejections(itemA, itemB, opts).length === 0;
+
+// 組合交換：價差大時，兩件便宜的換一件貴的
+const BUNDLE_GAP_RATIO = 1.5; // 貴的那件至少是組合中最貴單品的 1.5 倍
+const BUNDLE_MAX_PER_USER = 5;
+
+// 把多件物品合成一個「虛擬物品」來評分：價格相加、完整度平均
+function mergeBundle(items) {
+  const cats = new Set(items.map((i) => i.category || null));
+  return {
+    email: items[0].email,
+    title: items.map((i) => i.title).join(" + "),
+    tags: items.flatMap((i) => i.tags || []),
+    price: items.reduce((a, i) => a + (Number(i.price) || 0), 0),
+    condition:
+      items.reduce((a, i) => a + (Number(i.condition) || 0), 0) / items.length,
+    // 類別不同的組合在 useCategory 時不會通過檢查
+    category: cats.size === 1 ? items[0].category : "__mixed__",
+    searchTokens: [...new Set(items.flatMap((i) => i.searchTokens || []))],
+  };
+}
+
+function pairsOf(list) {
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) out.push([list[i], list[j]]);
+  }
+  return out;
+}
+
+// single（一件）對 bundle（兩件）是否值得組合：價差夠大且組合後可互換
+function isBundleCompatible(single, bundle, opts) {
+  const maxPart = Math.max(...bundle.map((i) => Number(i.price) || 0));
+  if ((Number(single.price) || 0) < BUNDLE_GAP_RATIO * maxPart) return false;
+  return isSwapCompatible(single, mergeBundle(bundle), opts);
+}
+
+// userA 給 fromItems、換 userB 的 toItems
+function scoreBundle(
+  userA,
+  userB,
+  fromItems,
+  toItems,
+  userLocations,
+  weights,
+  opts
+) {
+  const give = mergeBundle(fromItems);
+  const get = mergeBundle(toItems);
+  return {
+    fromUser: userA.email,
+    toUser: userB.email,
+    bundle: true,
+    fromItems,
+    toItems,
+    // 舊版 client 只看 from/to，放第一件
+    from: fromItems[0],
+    to: toItems[0],
+    ...scorePair(userA, userB, give, get, userLocations, weights, opts),
+  };
+}
+
+function suggestBundles(
+  userA,
+  userB,
+  itemsA,
+  itemsB,
+  userLocations,
+  weights,
+  opts
+) {
+  const out = [];
+  const score = (fromItems, toItems) =>
+    scoreBundle(userA, userB, fromItems, toItems, userLocations, weights, opts);
+
+  // 我出兩件換對方一件
+  for (const pair of pairsOf(itemsA)) {
+    for (const itemB of itemsB) {
+      if (isBundleCompatible(itemB, pair, opts)) out.push(score(pair, [itemB]));
+    }
+  }
+  // 我出一件換對方兩件
+  for (const pair of pairsOf(itemsB)) {
+    for (const itemA of itemsA) {
+      if (isBundleCompatible(itemA, pair, opts)) out.push(score([itemA], pair));
+    }
+  }
+
+  return out
+    .sort((a, b) => b.matchScore - a.matchScore)
+    .slice(0, BUNDLE_MAX_PER_USER);
+}
+
+function recommendSwaps(
+  currentEmail,
+  users,
+  items,
+  userLocations,
+  weights,
+  opts = {}
+) {
+  const result = [];
+  const userA = users.find((u) => u.email === currentEmail);
+  if (!userA) return [];
+
+  const itemsA = items.filter((i) => i.email === currentEmail);
+  if (itemsA.length === 0) return [];
+
+  for (const userB of users) {
+    if (userB.email === currentEmail) continue;
+    if (opts.blockedEmails?.has(userB.email)) continue; // 有封鎖關係
+    const itemsB = items.filter((i) => i.email === userB.email);
+    if (itemsB.length === 0) continue;
+
+    for (const itemA of itemsA) {
+      for (const itemB of itemsB) {
+        if (!isSwapCompatible(itemA, itemB, opts)) continue;
+
+        result.push({
+          fromUser: userA.email,
+          toUser: userB.email,
+          from: itemA,
+          to: itemB,
+          ...scorePair(
+            userA,
+            userB,
+            itemA,
+            itemB,
+            userLocations,
+            weights,
+            opts
+          ),
+        });
+      }
+    }
+
+    if (opts.bundles) {
+      result.push(
+        ...suggestBundles(
+          userA,
+          userB,
+          itemsA,
+          itemsB,
+          userLocations,
+          weights,
+          opts
+        )
+      );
+    }
+  }
+
+  return result.sort((a, b) => b.matchScore - a.matchScore);
+}
+
+// 多人循環交換：A 的物品給 B、B 的給 C、C 的給 A（最多 maxLen 人）
+// 每一段都用 evaluateDesire 評分，整個循環取平均
+const CYCLE_MAX_RESULTS = 50;
+// DFS 的步數上限（每檢查一個候選下一手算一步），避免資料量大時爆掉；
+// 稀疏的圖很少湊成循環，所以不能只算湊成的循環數
+const CYCLE_MAX_STEPS = 50000;
+
+function findTradeCycles(
+  currentEmail,
+  users,
+  items,
+  userLocations,
+  weights,
+  opts = {}
+) {
+  const maxLen = Math.min(4, Math.max(3, Number(opts.maxLen) || 3));
+  const userByEmail = {};
+  users.forEach((u) => {
+    userByEmail[u.email] = u;
+  });
+  if (!userByEmail[currentEmail]) return [];
+
+  const itemsByUser = {};
+  items.forEach((i) => {
+    if (!userByEmail[i.email]) return;
+    if (opts.blockedEmails?.has(i.email)) return; // 有封鎖關係
+    (itemsByUser[i.email] = itemsByUser[i.email] || []).push(i);
+  });
+  const myItems = itemsByUser[currentEmail] || [];
+  if (myItems.length === 0) return [];
+
+  // 收到 target、送出 own 的那個人對這一段的意願
+  const legScore = (receiverEmail, target, own) =>
+    scoreDesire(
+      userByEmail[receiverEmail],
+      target,
+      own,
+      userLocations,
+      weights,
+      opts
+    );
+
+  const cycles = [];
+  let steps = 0;
+
+  // path[k] 為第 k 個參與者送出的物品；path[k] 交給 path[k+1] 的擁有者
+  const walk = (path) => {
+    if (++steps > CYCLE_MAX_STEPS) return;
+    const last = path[path.length - 1];
+    const used = new Set(path.map((i) => i.email));
+
+    if (path.length >= 3 && isSwapCompatible(last, path[0], opts)) {
+      const legs = path.map((item, k) => {
+        const next = path[(k + 1) % path.length];
+        const desire = legScore(next.email, item, next);
+        return {
+          fromUser: item.email,
+          toUser: next.email,
+          item,
+          distanceKm: distanceKmBetween(userLocations, item.email, next.email),
+          score: +desire.score.toFixed(3),
+          // 收到這件物品的人的角度
+          breakdown: breakdownOf(desire),
+          reasons: reasonsFor(desire),
+        };
+      });
+      const scores = legs.map((l) => l.score);
+      const avg = scores.reduce((a, b) => a + b, 0) / scores.length;
+      cycles.push({
+        participants: path.map((i) => i.email),
+        legs,
+        matchScore: +avg.toFixed(3),
+        minScore: Math.min(...scores),
+      });
+    }
+    if (path.length >= maxLen) return;
+
+    for (const email of Object.keys(itemsByUser)) {
+      if (used.has(email)) continue;
+      for (const next of itemsByUser[email]) {
+        if (++steps > CYCLE_MAX_STEPS) return;
+        if (!isSwapCompatible(last, next, opts)) continue;
+        walk([...path, next]);
+      }
+    }
+  };
+
+  for (const itemA of myItems) walk([itemA]);
+
+  return cycles
+    .sort((a, b) => b.matchScore - a.matchScore || b.minScore - a.minScore)
+    .slice(0, CYCLE_MAX_RESULTS);
+}
+
+module.exports = {
+  inferCategory,
+  priceBandLabelByPrice,
+  priceBandsBetween,
+  AVAILABLE_ITEM,
+  isItemAvailable,
+  DEFAULT_MAX_KM,
+  keywordScoreFor,
+  wantSatisfaction,
+  wantMatches,
+  evaluateDesire,
+  swapRejections,
+  isSwapCompatible,
+  mergeBundle,
+  suggestBundles,
+  recommendSwaps,
+  findTradeCycles,
+};
@@ -0,0 +1,366 @@
+// lib/meetups.js
+// 面交：地點清單與中點建議、提案內容檢查、.ics 匯出、開始前提醒
+const fs = require("fs");
+const path = require("path");
+const { Meetup, Chat, User } = require("../repositories");
+const { toPoint, fromPoint } = require("../models/PointSchema");
+const { haversineDistance, userLatLng } = require("./geo");
+const { notify } = require("./notify");
+const chatEvents = require("./chatEvents");
+
+const PLACES_FILE =
+  process.env.MEETUP_PLACES_FILE ||
+  path.join(__dirname, "..", "config", "meetup-places.json");
+const TIMEZONE = process.env.MEETUP_TZ || "Asia/Taipei";
+// 開始前幾分鐘提醒（逗號分隔）
+const REMINDER_OFFSETS_MIN = (process.env.MEETUP_REMINDERS_MIN || "1440,60")
+  .split(",")
+  .map(Number)
+  .filter((n) => Number.isFinite(n) && n > 0)
+  .sort((a, b) => b - a);
+const REMINDER_POLL_MS = 60 * 1000;
+const DEFAULT_DURATION_MIN = 30;
+const MAX_DURATION_HOURS = 4;
+const MAX_DAYS_AHEAD = 60;
+const MAX_NOTE_LEN = 200;
+const MAX_NAME_LEN = 100;
+
+// ===== 地點清單 =====
+
+let places = null;
+
+// 讀一次就快取；格式錯的項目略過，檔案讀不到時沒有建議地點但不影響其他功能
+function loadPlaces() {
+  if (places) return places;
+  try {
+    const raw = JSON.parse(fs.readFileSync(PLACES_FILE, "utf8"));
+    places = (Array.isArray(raw) ? raw : []).filter((p) => {
+      const ok =
+        p?.id &&
+        p.name &&
+        typeof p.lat === "number" &&
+        typeof p.lng === "number" &&
+        toPoint(p);
+      if (!ok) console.warn("⚠️ 略過格式錯誤的面交地點", p);
+      return ok;
+    });
+  } catch (err) {
+    console.error("load meetup places error", err);
+    places = [];
+  }
+  return places;
+}
+
+const findPlace = (id) => loadPlaces().find((p) => p.id === id) || null;
+
+// 球面上多點的中心：各點轉成單位向量取平均再轉回經緯度（兩點時就是中點）
+function centroid(points) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const toDeg = (r) => (r * 180) / Math.PI;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  for (const p of points) {
+    const lat = toRad(p.lat);
+    const lng = toRad(p.lng);
+    x += Math.cos(lat) * Math.cos(lng);
+    y += Math.cos(lat) * Math.sin(lng);
+    z += Math.sin(lat);
+  }
+  const lat = Math.atan2(z, Math.sqrt(x * x + y * y));
+  const lng = Math.atan2(y, x);
+  return { lat: +toDeg(lat).toFixed(6), lng: +toDeg(lng).toFixed(6) };
+}
+
+/**
+ * 依成員位置建議面交地點
+ * 中心點取所有成員（循環交換 3~4 人）位置的中心
+ * 「公平」= 成員中最遠那位的距離越短越好，一樣時再比最遠與最近的差距
+ * 回傳 { midpoint, suggestions } 或 { error }
+ */
+async function suggestPlaces(members, { limit = 5, type } = {}) {
+  const users = await User.find({ email: { $in: members } })
+    .select("email location gps")
+    .lean();
+  const locs = members
+    .map((email) => ({
+      email,
+      loc: userLatLng(users.find((u) => u.email === email)),
+    }))
+    .filter((m) => m.loc);
+  if (locs.length === 0) return { error: "成員都沒有設定位置" };
+
+  // 沒設定位置的成員不列入
+  const mid = centroid(locs.map((m) => m.loc));
+  const km = (a, b) => +haversineDistance(a, b).toFixed(1);
+
+  const suggestions = loadPlaces()
+    .filter((p) => !type || p.type === type)
+    .map((p) => {
+      const distances = locs.map(({ email, loc }) => ({
+        email,
+        km: km(loc, p),
+      }));
+      const kms = distances.map((d) => d.km);
+      const far = Math.max(...kms);
+      const gap = far - Math.min(...kms);
+      return {
+        placeId: p.id,
+        name: p.name,
+        type: p.type || null,
+        address: p.address || null,
+        lat: p.lat,
+        lng: p.lng,
+        fromMidpointKm: km(mid, p),
+        distances,
+        far,
+        gap,
+      };
+    })
+    .sort((a, b) => a.far - b.far || a.gap - b.gap)
+    .slice(0, limit)
+    .map(({ far, gap, ...rest }) => rest);
+
+  return { midpoint: mid, suggestions };
+}
+
+// ===== 提案 =====
+
+/**
+ * body: { placeId } 或 { placeName, lat, lng, address? }，加上 { startAt, endAt?, note? }
+ * endAt 省略 = startAt + 30 分鐘
+ * 回傳 { fields } 或 { error }
+ */
+function parseProposal(body, now = new Date()) {
+  const fields = {};
+  if (body.placeId) {
+    const place = findPlace(String(body.placeId));
+    if (!place) return { error: "找不到地點" };
+    Object.assign(fields, {
+      placeId: place.id,
+      placeName: place.name,
+      address: place.address || null,
+      location: toPoint(place),
+    });
+  } else {
+    const name = String(body.placeName || "").trim();
+    const location = toPoint({ lat: body.lat, lng: body.lng });
+    if (!name || !location) {
+      return { error: "需給 placeId，或 placeName 與 lat/lng" };
+    }
+    Object.assign(fields, {
+      placeId: null,
+      placeName: name.slice(0, MAX_NAME_LEN),
+      address: body.address ? String(body.address).slice(0, 200) : null,
+      location,
+    });
+  }
+
+  const startAt = new Date(body.startAt);
+  if (!body.startAt || Number.isNaN(startAt.getTime())) {
+    return { error: "缺少或錯誤的 startAt" };
+  }
+  const endAt = body.endAt
+    ? new Date(body.endAt)
+    : new Date(startAt.getTime() + DEFAULT_DURATION_MIN * 60 * 1000);
+  if (Number.isNaN(endAt.getTime()) || endAt <= startAt) {
+    return { error: "endAt 需晚於 startAt" };
+  }
+  if (startAt <= now) return { error: "startAt 需在未來" };
+  if (startAt - now > MAX_DAYS_AHEAD * 864e5) {
+    return { error: `最多只能約 ${MAX_DAYS_AHEAD} 天內` };
+  }
+  if (endAt - startAt > MAX_DURATION_HOURS * 36e5) {
+    return { error: `時間區間最長 ${MAX_DURATION_HOURS} 小時` };
+  }
+
+  fields.startAt = startAt;
+  fields.endAt = endAt;
+  fields.note = String(body.note || "").slice(0, MAX_NOTE_LEN);
+  return { fields };
+}
+
+function meetupView(m) {
+  return {
+    _id: m._id,
+    chatId: m.chatId,
+    proposedBy: m.proposedBy,
+    placeId: m.placeId,
+    placeName: m.placeName,
+    address: m.address,
+    location: fromPoint(m.location),
+    startAt: m.startAt,
+    endAt: m.endAt,
+    note: m.note,
+    status: m.status,
+    acceptedBy: m.acceptedBy,
+    acceptedAt: m.acceptedAt,
+    cancelledBy: m.cancelledBy,
+    cancelledAt: m.cancelledAt,
+    createdAt: m.createdAt,
+  };
+}
+
+// 聊天室目前有效的提案（proposed / accepted）
+const activeMeetup = (chatId) =>
+  Meetup.findOne({
+    chatId: String(chatId),
+    status: { $in: ["proposed", "accepted"] },
+  }).sort({ createdAt: -1 });
+
+// 已經過了的提醒時間點就不補送（例如開始前 30 分鐘才同意，不會再發「前一天」提醒）
+const passedOffsets = (startAt, now = Date.now()) =>
+  REMINDER_OFFSETS_MIN.filter(
+    (min) => new Date(startAt).getTime() - min * 60 * 1000 <= now
+  );
+
+const formatTime = (d) =>
+  new Intl.DateTimeFormat("zh-TW", {
+    timeZone: TIMEZONE,
+    month: "numeric",
+    day: "numeric",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(d);
+
+const describe = (m) => `${formatTime(m.startAt)} 在 ${m.placeName}`;
+
+// 通知聊天室其他成員並推即時事件
+async function announce(chat, meetup, actor, text) {
+  const view = meetupView(meetup);
+  chatEvents.publish(chat._id, "meetup", view);
+  await notify(
+    chat.members.filter((e) => e !== actor),
+    "meetup",
+    { text, fromEmail: actor, chatId: chat._id }
+  );
+  return view;
+}
+
+// ===== iCalendar =====
+
+const icsDate = (d) =>
+  new Date(d)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// RFC 5545：逗號、分號、反斜線、換行要跳脫
+const icsText = (s) =>
+  String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 每行最多 75 bytes，續行以空白開頭；不切斷 UTF-8 字元
+function foldLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function toICS(meetup, chat, host = "barter") {
+  const loc = fromPoint(meetup.location);
+  const others = chat.members.join("、");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//barter//meetup//ZH-TW",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:meetup-${meetup._id}@${host}`,
+    `DTSTAMP:${icsDate(meetup.acceptedAt || meetup.createdAt)}`,
+    `DTSTART:${icsDate(meetup.startAt)}`,
+    `DTEND:${icsDate(meetup.endAt)}`,
+    `SUMMARY:${icsText(`以物易物面交：${meetup.placeName}`)}`,
+    `LOCATION:${icsText(
+      [meetup.placeName, meetup.address].filter(Boolean).join(" ")
+    )}`,
+    loc ? `GEO:${loc.lat};${loc.lng}` : null,
+    `DESCRIPTION:${icsText(
+      [`交換成員：${others}`, meetup.note].filter(Boolean).join("\n")
+    )}`,
+    "STATUS:CONFIRMED",
+    ...REMINDER_OFFSETS_MIN.flatMap((min) => [
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${icsText(`面交提醒：${meetup.placeName}`)}`,
+      `TRIGGER:-PT${min}M`,
+      "END:VALARM",
+    ]),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean);
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ===== 提醒 =====
+
+async function sendDueReminders(now = new Date()) {
+  if (REMINDER_OFFSETS_MIN.length === 0) return;
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS_MIN[0] * 60 * 1000);
+  const upcoming = await Meetup.find({
+    status: "accepted",
+    startAt: { $gt: now, $lte: horizon },
+  }).lean();
+
+  for (const m of upcoming) {
+    const due = passedOffsets(m.startAt, now.getTime()).filter(
+      (min) => !(m.remindersSent || []).includes(min)
+    );
+    if (due.length === 0) continue;
+    // 先標記再通知；多個 instance 同時跑時只有搶到的那個會送
+    const claimed = await Meetup.updateOne(
+      { _id: m._id, status: "accepted", remindersSent: { $nin: due } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const chat = await Chat.findById(m.chatId).lean();
+    if (!chat || chat.closed) continue;
+    await notify(chat.members, "meetup_reminder", {
+      text: `面交提醒：${describe(m)}`,
+      chatId: chat._id,
+    });
+    chatEvents.publish(chat._id, "meetup_reminder", meetupView(m));
+  }
+}
+
+function startMeetupReminders() {
+  setInterval(() => {
+    sendDueReminders().catch((err) =>
+      console.error("meetup reminders error", err)
+    );
+  }, REMINDER_POLL_MS).unref();
+}
+
+module.exports = {
+  loadPlaces,
+  centroid,
+  suggestPlaces,
+  parseProposal,
+  meetupView,
+  activeMeetup,
+  passedOffsets,
+  describe,
+  announce,
+  toICS,
+  sendDueReminders,
+  startMeetupReminders,
+};
@@ -0,0 +1,248 @@
+// lib/messages.js
+// 聊天訊息：各類型的內容檢查、輸出格式、游標分頁、已讀時間與未讀數
+const mongoose = require("mongoose");
+const { Chat, Message, Item } = require("../repositories");
+const { toPoint, fromPoint } = require("../models/PointSchema");
+const { storeImages } = require("./images");
+
+const MESSAGE_TYPES = ["text", "item", "image", "location"];
+const MAX_TEXT_LEN = 2000;
+const MAX_LABEL_LEN = 100;
+const EDIT_WINDOW_MIN = Number(process.env.MESSAGE_EDIT_WINDOW_MIN) || 15;
+const EDIT_WINDOW_MS = EDIT_WINDOW_MIN * 60 * 1000;
+const PAGE_DEFAULT = 50;
+const PAGE_MAX = 100;
+
+const invalid = (error, status = 400) => ({ status, error });
+
+/**
+ * 由 request body（multipart 時含上傳的圖片）組出訊息內容
+ * body: { type?, text?, itemId?, lat?, lng?, label? }；沒給 type 時有圖片 = image，否則 text
+ * 回傳 { fields } 或 { status, error }；image 會先存到 storage，呼叫前先做完權限檢查
+ */
+async function buildMessage(body, files = []) {
+  const type = body.type || (files.length ? "image" : "text");
+  if (!MESSAGE_TYPES.includes(type)) {
+    return invalid(`type 需為 ${MESSAGE_TYPES.join(" / ")}`);
+  }
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (text.length > MAX_TEXT_LEN) {
+    return invalid(`text 最多 ${MAX_TEXT_LEN} 字`);
+  }
+  if (type !== "image" && files.length) {
+    return invalid("只有 image 訊息可以附圖片");
+  }
+
+  switch (type) {
+    case "text":
+      if (!text) return invalid("缺少 text");
+      return { fields: { type, text } };
+    case "item": {
+      const itemId = String(body.itemId || "");
+      if (!mongoose.isValidObjectId(itemId)) return invalid("缺少 itemId");
+      const item = await Item.findById(itemId).lean();
+      if (!item || item.hidden) return invalid("找不到物品", 404);
+      return {
+        fields: {
+          type,
+          text,
+          item: {
+            itemId,
+            title: item.title,
+            price: item.price,
+            imageUrl: item.imageUrl,
+          },
+        },
+      };
+    }
+    case "image": {
+      if (files.length !== 1) {
+        return invalid("image 訊息需附一張圖片（欄位 images）");
+      }
+      const stored = await storeImages(files);
+      if (stored.error) return invalid(stored.error, 415);
+      return { fields: { type, text, image: stored.images[0] } };
+    }
+    case "location": {
+      const location = toPoint({ lat: body.lat, lng: body.lng });
+      if (!location) return invalid("缺少或錯誤的 lat/lng");
+      const label = body.label
+        ? String(body.label).slice(0, MAX_LABEL_LEN)
+        : null;
+      return { fields: { type, text, location, locationLabel: label } };
+    }
+  }
+}
+
+// 輸出格式；刪除的訊息只留誰、何時
+function messageView(m) {
+  const view = {
+    _id: m._id,
+    chatId: m.chatId,
+    senderEmail: m.senderEmail,
+    type: m.type || "text",
+    text: m.text || "",
+    createdAt: m.createdAt,
+    editedAt: m.editedAt || null,
+    deleted: Boolean(m.deletedAt),
+  };
+  if (m.deletedAt) return view;
+  if (m.item) view.item = m.item;
+  if (m.image) view.image = m.image;
+  if (m.location) {
+    view.location = { ...fromPoint(m.location), label: m.locationLabel };
+  }
+  return view;
+}
+
+// 通知與聊天室列表用的一行預覽
+function previewOf(m) {
+  if (m.deletedAt) return "訊息已刪除";
+  if (m.text) return m.text;
+  if (m.type === "item") return `[物品] ${m.item?.title || ""}`.trim();
+  if (m.type === "image") return "[圖片]";
+  if (m.type === "location") return `[位置] ${m.locationLabel || ""}`.trim();
+  return "";
+}
+
+const summaryOf = (m) => ({
+  _id: m._id,
+  senderEmail: m.senderEmail,
+  type: m.type || "text",
+  text: previewOf(m),
+  createdAt: m.createdAt,
+});
+
+// 新訊息 → 更新聊天室的最後一則與排序時間
+async function recordLastMessage(chatId, m) {
+  await Chat.updateOne(
+    { _id: chatId },
+    { $set: { lastMessage: summaryOf(m), lastMessageAt: m.createdAt } }
+  );
+}
+
+// 訊息被修改或刪除：如果它是最後一則，更新摘要
+async function refreshLastMessage(chatId, m) {
+  await Chat.updateOne(
+    { _id: chatId, "lastMessage._id": m._id },
+    { $set: { lastMessage: summaryOf(m) } }
+  );
+}
+
+// 是否還能修改 / 刪除（只限自己的、送出後 EDIT_WINDOW_MIN 分鐘內）
+// 回傳 null 或 { status, error }
+function editError(m, email, now = Date.now()) {
+  if (m.senderEmail !== email) return invalid("只能修改自己的訊息", 403);
+  if (m.deletedAt) return invalid("訊息已刪除", 410);
+  if (now - new Date(m.createdAt).getTime() > EDIT_WINDOW_MS) {
+    return invalid(`訊息送出超過 ${EDIT_WINDOW_MIN} 分鐘，不能修改`, 403);
+  }
+  return null;
+}
+
+// 訊息順序是 (createdAt, _id)：ObjectId 跨程序不保證遞增，只用來區分同一毫秒的訊息
+const ORDER_ASC = { createdAt: 1, _id: 1 };
+const ORDER_DESC = { createdAt: -1, _id: -1 };
+
+/**
+ * 排在某則訊息之後（dir = "after"）或之前（"before"）的查詢條件
+ * 游標訊息不在這個聊天室時回傳 null
+ */
+async function cursorCond(chatId, messageId, dir) {
+  const m = await Message.findOne({ _id: messageId, chatId: String(chatId) })
+    .select("createdAt")
+    .lean();
+  if (!m) return null;
+  const op = dir === "after" ? "$gt" : "$lt";
+  return {
+    chatId: String(chatId),
+    $or: [
+      { createdAt: { [op]: m.createdAt } },
+      { createdAt: m.createdAt, _id: { [op]: m._id } },
+    ],
+  };
+}
+
+/**
+ * 游標分頁（游標 = 訊息 _id）
+ *   沒給游標：最新的 limit 則；before：更早的；after：更新的（輪詢用）
+ * 回傳 { messages（舊到新）, hasMore（同方向還有沒有）} 或 { error }
+ */
+async function loadMessages(chatId, query) {
+  const { before, after } = query;
+  if (before && after) return { error: "before 與 after 只能擇一" };
+  const cursor = before || after;
+  if (cursor && !mongoose.isValidObjectId(cursor)) {
+    return { error: "before / after 格式錯誤" };
+  }
+  const n = Number(query.limit);
+  const limit = Number.isFinite(n)
+    ? Math.min(PAGE_MAX, Math.max(1, n))
+    : PAGE_DEFAULT;
+
+  const cond = cursor
+    ? await cursorCond(chatId, cursor, after ? "after" : "before")
+    : { chatId: String(chatId) };
+  if (!cond) return { error: "找不到 before / after 指定的訊息" };
+  // 多拿一筆判斷有沒有下一頁
+  const rows = await Message.find(cond)
+    .sort(after ? ORDER_ASC : ORDER_DESC)
+    .limit(limit + 1)
+    .lean();
+  const page = rows.slice(0, limit);
+  if (!after) page.reverse();
+  return { messages: page.map(messageView), hasMore: rows.length > limit };
+}
+
+function lastReadOf(chat, email) {
+  return chat.readReceipts?.find((r) => r.email === email)?.lastReadAt || null;
+}
+
+// 把 email 的已讀時間推進到 at（不會倒退）；有變動才存檔，回傳新的已讀時間或 null
+async function markRead(chat, email, at = new Date()) {
+  const prev = lastReadOf(chat, email);
+  if (prev && prev >= at) return null;
+  const receipt = chat.readReceipts.find((r) => r.email === email);
+  if (receipt) receipt.lastReadAt = at;
+  else chat.readReceipts.push({ email, lastReadAt: at });
+  await chat.save();
+  return at;
+}
+
+// 每個聊天室中別人傳、我還沒讀的訊息數 → { chatId: count }
+async function unreadCounts(email, chats) {
+  if (chats.length === 0) return {};
+  const rows = await Message.aggregate([
+    {
+      $match: {
+        senderEmail: { $ne: email },
+        deletedAt: null,
+        $or: chats.map((c) => {
+          const cond = { chatId: String(c._id) };
+          const lastRead = lastReadOf(c, email);
+          if (lastRead) cond.createdAt = { $gt: lastRead };
+          return cond;
+        }),
+      },
+    },
+    { $group: { _id: "$chatId", count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((r) => [r._id, r.count]));
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  MAX_TEXT_LEN,
+  buildMessage,
+  messageView,
+  previewOf,
+  recordLastMessage,
+  refreshLastMessage,
+  editError,
+  ORDER_ASC,
+  cursorCond,
+  loadMessages,
+  lastReadOf,
+  markRead,
+  unreadCounts,
+};
@@ -0,0 +1,25 @@
+// lib/modelBackends/fake.js
+// 本機開發用：不打外部服務，等一下後回傳固定的 glb 網址
+// FAKE_MODEL_DELAY_MS 控制耗時；FAKE_MODEL_FAIL_RATE（0–1）模擬失敗以測重試
+const crypto = require("crypto");
+
+const DELAY_MS = Number(process.env.FAKE_MODEL_DELAY_MS) || 2000;
+const FAIL_RATE = Number(process.env.FAKE_MODEL_FAIL_RATE) || 0;
+const BASE_URL =
+  process.env.FAKE_MODEL_BASE_URL || "https://example.com/fake-models";
+const STEPS = 4;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function generate(imageUrl, onProgress) {
+  for (let i = 1; i <= STEPS; i++) {
+    await sleep(DELAY_MS / STEPS);
+    if (i < STEPS) await onProgress(Math.round((i / STEPS) * 100));
+  }
+  if (Math.random() < FAIL_RATE) throw new Error("fake backend failure");
+
+  const hash = crypto.createHash("sha1").update(imageUrl).digest("hex");
+  return `${BASE_URL}/${hash.slice(0, 16)}.glb`;
+}
+
+module.exports = { name: "fake", generate };
@@ -0,0 +1,26 @@
+// lib/modelBackends/flask.js
+// 呼叫 Render 上的 Flask /generate（內部再呼叫 Tripo3D）
+const axios = require("axios");
+
+const FLASK_BASE =
+  process.env.FLASK_BASE_URL || "https://fal-tripo3d.onrender.com";
+
+async function generate(imageUrl) {
+  const resp = await axios.post(
+    `${FLASK_BASE}/generate`,
+    { image_url: imageUrl }, // ⭐ Flask 端參數名稱是 image_url
+    { timeout: 1000 * 60 * 5 } // 最多等 5 分鐘（Tripo3D 有時候會慢）
+  );
+
+  // 期待 Flask 回傳：
+  // { "success": true, "modelUrl": "https://...glb", ... }
+  const data = resp.data;
+  if (!data || data.success !== true || !data.modelUrl) {
+    throw new Error(
+      (data && data.error) || "Flask 回傳格式錯誤或缺少 modelUrl"
+    );
+  }
+  return data.modelUrl;
+}
+
+module.exports = { name: "flask", generate };
@@ -0,0 +1,15 @@
+// lib/modelBackends/index.js
+// 3D 模型產生後端：MODEL_BACKEND=flask（預設）| fake
+// 後端介面：{ name, generate(imageUrl, onProgress) → Promise<glbUrl> }
+const backends = {
+  flask: require("./flask"),
+  fake: require("./fake"),
+};
+
+function getBackend(name = process.env.MODEL_BACKEND || "flask") {
+  const backend = backends[name];
+  if (!backend) throw new Error(`unknown MODEL_BACKEND: ${name}`);
+  return backend;
+}
+
+module.exports = { getBackend };
@@ -0,0 +1,160 @@
+// lib/modelJobs.js
+// 3D 模型產生工作佇列：工作存在 MongoDB，由本行程的 worker 依序處理
+// - 同一個 imageUrl 只產生一次（成功的結果直接重用）
+// - 失敗會以指數退避重試，超過 MAX_ATTEMPTS 次標成 failed
+// - 完成後把 glbUrl 寫回提出工作時指定的物品
+const { ModelJob, Item } = require("../repositories");
+const { getBackend } = require("./modelBackends");
+
+const MAX_ATTEMPTS = Number(process.env.MODEL_JOB_MAX_ATTEMPTS) || 3;
+const BACKOFF_BASE_MS = Number(process.env.MODEL_JOB_BACKOFF_MS) || 30 * 1000;
+const CONCURRENCY = Number(process.env.MODEL_JOB_CONCURRENCY) || 1;
+const POLL_MS = 5 * 1000;
+
+let running = 0;
+let timer = null;
+
+// 第 n 次失敗後等待 base * 2^(n-1)
+const backoffMs = (attempts) => BACKOFF_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * 建立（或重用）imageUrl 的工作；itemId 有給就在完成後寫入該物品
+ * 回傳 ModelJob 文件
+ */
+async function enqueue({ imageUrl, email = null, itemId = null }) {
+  const $addToSet = {};
+  if (email) $addToSet.requesters = email;
+  if (itemId) $addToSet.itemIds = String(itemId);
+  const update = { $setOnInsert: { email } };
+  if (email || itemId) update.$addToSet = $addToSet;
+  const job = await ModelJob.findOneAndUpdate({ imageUrl }, update, {
+    upsert: true,
+    new: true,
+    setDefaultsOnInsert: true,
+  });
+
+  if (job.status === "done") {
+    if (itemId) await Item.updateOne({ _id: itemId }, { glbUrl: job.glbUrl });
+  } else if (job.status === "failed") {
+    // 之前失敗過：重新排入，次數歸零
+    job.set({
+      status: "queued",
+      attempts: 0,
+      progress: 0,
+      error: null,
+      nextRunAt: new Date(),
+      updatedAt: new Date(),
+    });
+    await job.save();
+  }
+  kick();
+  return job;
+}
+
+// 搶一筆可執行的工作（原子更新，避免重複執行）
+function claimNext() {
+  const now = new Date();
+  return ModelJob.findOneAndUpdate(
+    { status: "queued", nextRunAt: { $lte: now } },
+    {
+      $set: { status: "running", updatedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const backend = getBackend();
+  const onProgress = (progress) =>
+    ModelJob.updateOne(
+      { _id: job._id },
+      { $set: { progress, updatedAt: new Date() } }
+    );
+
+  try {
+    const glbUrl = await backend.generate(job.imageUrl, onProgress);
+    const done = await ModelJob.findByIdAndUpdate(
+      job._id,
+      {
+        $set: {
+          status: "done",
+          progress: 100,
+          glbUrl,
+          error: null,
+          backend: backend.name,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (done.itemIds.length > 0) {
+      await Item.updateMany({ _id: { $in: done.itemIds } }, { glbUrl });
+    }
+  } catch (err) {
+    const message = String(err?.response?.data?.error || err.message || err);
+    console.error("model job error", String(job._id), message);
+    const giveUp = job.attempts >= MAX_ATTEMPTS;
+    await ModelJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: giveUp ? "failed" : "queued",
+          error: message,
+          backend: backend.name,
+          nextRunAt: new Date(Date.now() + backoffMs(job.attempts)),
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+}
+
+// 有空位就一直拿工作來跑
+async function drain() {
+  while (running < CONCURRENCY) {
+    const job = await claimNext();
+    if (!job) return;
+    running++;
+    runJob(job)
+      .catch((err) => console.error("model job error", err))
+      .finally(() => {
+        running--;
+        kick();
+      });
+  }
+}
+
+function kick() {
+  drain().catch((err) => console.error("model worker error", err));
+}
+
+/**
+ * 啟動 worker：先把上次行程中斷時卡在 running 的工作放回佇列，
+ * 之後定期檢查到期的重試
+ */
+async function startWorker() {
+  if (timer) return;
+  await ModelJob.updateMany(
+    { status: "running" },
+    { $set: { status: "queued", nextRunAt: new Date() } }
+  );
+  timer = setInterval(kick, POLL_MS);
+  timer.unref();
+  kick();
+}
+
+/**
+ * 等工作結束（done / failed）或逾時；回傳最新的工作文件
+ */
+async function waitForJob(jobId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await ModelJob.findById(jobId);
+    if (!job || ["done", "failed"].includes(job.status)) return job;
+    if (Date.now() >= deadline) return job;
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+}
+
+module.exports = { enqueue, startWorker, waitForJob, MAX_ATTEMPTS };
@@ -0,0 +1,166 @@
+// lib/moderation.js
+// 封鎖、停權、隱藏物品
+const { User, Item, Invite, TradeCycle } = require("../repositories");
+const recommendCache = require("./recommendCache");
+const { setSuspended, replaceSuspended } = require("../middleware/auth");
+
+const SUSPENDED_REFRESH_MS = 60 * 1000;
+
+// 管理員：User.role === "admin"，或列在 ADMIN_EMAILS（逗號分隔）
+const ADMIN_EMAILS = new Set(
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean)
+);
+
+async function isAdmin(email) {
+  if (ADMIN_EMAILS.has(email)) return true;
+  return !!(await User.exists({ email, role: "admin" }));
+}
+
+// ===== 封鎖 =====
+
+// 與 email 互相封鎖的所有人（我封鎖的 + 封鎖我的）
+async function blockedEmailsFor(email) {
+  if (!email) return [];
+  const me = await User.findOne({ email }).select("blockedEmails").lean();
+  const blockedMe = await User.find({ blockedEmails: email }).distinct("email");
+  return [...new Set([...(me?.blockedEmails || []), ...blockedMe])];
+}
+
+// emails 之中任兩人有封鎖關係（任一方向）
+async function anyBlocked(emails) {
+  const list = [...new Set(emails)];
+  return !!(await User.exists({
+    email: { $in: list },
+    blockedEmails: { $in: list },
+  }));
+}
+
+// 取消兩人之間（或某人參與）的 pending 邀請；循環交換整組取消
+async function cancelPendingInvites(cond) {
+  const pending = await Invite.find({ ...cond, status: "pending" }).lean();
+  const cycleIds = [...new Set(pending.map((i) => i.cycleId).filter(Boolean))];
+  await Invite.updateMany(
+    { _id: { $in: pending.map((i) => i._id) } },
+    { $set: { status: "cancelled" } }
+  );
+  if (cycleIds.length > 0) {
+    await TradeCycle.updateMany(
+      { _id: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "cancelled" } }
+    );
+    await Invite.updateMany(
+      { cycleId: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "cancelled" } }
+    );
+  }
+}
+
+async function blockUser(email, target) {
+  await User.updateOne({ email }, { $addToSet: { blockedEmails: target } });
+  await cancelPendingInvites({
+    $or: [
+      { fromEmail: email, toEmail: target },
+      { fromEmail: target, toEmail: email },
+    ],
+  });
+  recommendCache.invalidate();
+}
+
+async function unblockUser(email, target) {
+  await User.updateOne({ email }, { $pull: { blockedEmails: target } });
+  recommendCache.invalidate();
+}
+
+// ===== 停權 =====
+
+async function suspendUser(email, reason) {
+  await User.updateOne(
+    { email },
+    {
+      $set: {
+        suspended: true,
+        suspendedAt: new Date(),
+        suspendReason: reason || null,
+      },
+    }
+  );
+  setSuspended(email, true);
+  // 已被個別隱藏的物品保留原因，解除停權時不會被一起恢復
+  await Item.updateMany(
+    { email, hidden: { $ne: true } },
+    { $set: { hidden: true, hiddenReason: "suspended" } }
+  );
+  await cancelPendingInvites({
+    $or: [{ fromEmail: email }, { toEmail: email }],
+  });
+  recommendCache.invalidate();
+}
+
+async function unsuspendUser(email) {
+  await User.updateOne(
+    { email },
+    { $set: { suspended: false, suspendedAt: null, suspendReason: null } }
+  );
+  setSuspended(email, false);
+  await Item.updateMany(
+    { email, hiddenReason: "suspended" },
+    { $set: { hidden: false, hiddenReason: null } }
+  );
+  recommendCache.invalidate();
+}
+
+// 其他 instance 的停權也要同步到本行程
+async function refreshSuspended() {
+  replaceSuspended(await User.find({ suspended: true }).distinct("email"));
+}
+
+async function startModeration() {
+  await refreshSuspended();
+  setInterval(() => {
+    refreshSuspended().catch((err) =>
+      console.error("refresh suspended error", err)
+    );
+  }, SUSPENDED_REFRESH_MS).unref();
+}
+
+// ===== 隱藏物品 =====
+
+async function setItemHidden(itemId, hidden, reason) {
+  const item = await Item.findByIdAndUpdate(
+    itemId,
+    {
+      $set: {
+        hidden,
+        hiddenReason: hidden ? reason || "moderation" : null,
+      },
+    },
+    { new: true }
+  );
+  if (item && hidden) {
+    await cancelPendingInvites({
+      $or: [
+        { fromItemId: String(item._id) },
+        { toItemId: String(item._id) },
+        { fromItemIds: String(item._id) },
+        { toItemIds: String(item._id) },
+      ],
+    });
+  }
+  recommendCache.invalidate();
+  return item;
+}
+
+module.exports = {
+  isAdmin,
+  blockedEmailsFor,
+  anyBlocked,
+  blockUser,
+  unblockUser,
+  suspendUser,
+  unsuspendUser,
+  startModeration,
+  setItemHidden,
+};
@@ -0,0 +1,51 @@
+// lib/notify.js
+// 產生站內通知；聊天室被靜音就不通知。通知失敗只記 log，不影響主要流程
+const { Notification, User } = require("../repositories");
+
+const TTL_DAYS = Number(process.env.NOTIFICATION_TTL_DAYS) || 30;
+
+// 邀請類、聊天室類（unread-counts 用）
+const INVITE_TYPES = [
+  "invite",
+  "invite_accepted",
+  "invite_rejected",
+  "invite_cancelled",
+  "invite_countered",
+];
+const CHAT_TYPES = ["message", "done", "meetup", "meetup_reminder", "trade"];
+
+/**
+ * recipients: email 或 email 陣列
+ * fields: { text, fromEmail, inviteId, chatId, itemId }
+ */
+async function notify(recipients, type, fields = {}) {
+  try {
+    let emails = [].concat(recipients).filter(Boolean);
+    if (emails.length === 0) return;
+
+    if (fields.chatId) {
+      const muted = await User.find({
+        email: { $in: emails },
+        mutedChats: String(fields.chatId),
+      }).distinct("email");
+      emails = emails.filter((e) => !muted.includes(e));
+    }
+
+    const expiresAt = new Date(Date.now() + TTL_DAYS * 864e5);
+    await Notification.insertMany(
+      emails.map((email) => ({
+        ...fields,
+        chatId: fields.chatId ? String(fields.chatId) : null,
+        inviteId: fields.inviteId ? String(fields.inviteId) : null,
+        itemId: fields.itemId ? String(fields.itemId) : null,
+        email,
+        type,
+        expiresAt,
+      }))
+    );
+  } catch (err) {
+    console.error("notify error", err);
+  }
+}
+
+module.exports = { INVITE_TYPES, CHAT_TYPES, notify };
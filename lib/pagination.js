@@ -0,0 +1,39 @@
+// lib/pagination.js
+// 以 offset 做的游標分頁；cursor 為不透明字串（base64url 的 offset）
+const PAGE_DEFAULT = 20;
+const PAGE_MAX = 100;
+
+const encodeCursor = (offset) =>
+  Buffer.from(String(offset)).toString("base64url");
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const n = Number(Buffer.from(String(cursor), "base64url"));
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+// 從 query 取出 { limit, offset }；limit 不是整數回傳 { error }
+// （小數直接丟給 $limit 會讓 MongoDB 報錯）
+function pageParams(query, def = PAGE_DEFAULT) {
+  if (query.limit === undefined || query.limit === "") {
+    return { limit: def, offset: decodeCursor(query.cursor) };
+  }
+  const n = Number(query.limit);
+  if (!Number.isInteger(n)) return { error: "limit 需為整數" };
+  const limit = Math.min(PAGE_MAX, Math.max(1, Math.floor(n)));
+  return { limit, offset: decodeCursor(query.cursor) };
+}
+
+// 已在記憶體中的完整列表 → 一頁；limit 不合法回傳 { error }
+function paginate(list, query) {
+  const { limit, offset, error } = pageParams(query);
+  if (error) return { error };
+  const end = offset + limit;
+  return {
+    results: list.slice(offset, end),
+    nextCursor: end < list.length ? encodeCursor(end) : null,
+    total: list.length,
+  };
+}
+
+module.exports = { encodeCursor, decodeCursor, pageParams, paginate };
@@ -0,0 +1,19 @@
+// lib/params.js
+// query / body 參數解析
+
+const numOr = (v, def) => {
+  if (v === undefined) return def;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : def;
+};
+
+// 逗號分隔的清單參數：?category=book,phone
+const listParam = (v) =>
+  v === undefined
+    ? []
+    : String(v)
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean);
+
+module.exports = { numOr, listParam };
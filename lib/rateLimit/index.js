@@ -0,0 +1,48 @@
+// lib/rateLimit/index.js
+// 限流：RATE_LIMIT_STORE=memory（預設）
+// store 介面：{ name, take([{ key, limit, windowMs }]) → { allowed, retryAfterMs },
+//              reset(key) }
+// take 要一次完成「全部檢查 + 全部記錄」：任一個超過上限就都不記，換成 Redis 時用 Lua script
+//
+// 各路由的上限可用環境變數覆寫，格式「次數/時間」，例如
+//   RATE_LIMIT_INVITE_USER=30/1h  RATE_LIMIT_MESSAGE_IP=120/1m  RATE_LIMIT_UPLOAD_USER=off
+const stores = {
+  memory: require("./memory"),
+};
+
+function getStore(name = process.env.RATE_LIMIT_STORE || "memory") {
+  const store = stores[name];
+  if (!store) throw new Error(`unknown RATE_LIMIT_STORE: ${name}`);
+  return store;
+}
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "30/1h" → { limit: 30, windowMs: 3600000 }；"off" / "0" → null（不限）
+function parseLimit(spec) {
+  if (!spec || spec === "off" || spec === "0") return null;
+  const m = /^(\d+)\s*\/\s*(\d+)\s*([smh]?)$/.exec(String(spec).trim());
+  if (!m || Number(m[1]) === 0) return null;
+  return { limit: Number(m[1]), windowMs: Number(m[2]) * UNIT_MS[m[3] || "s"] };
+}
+
+// 預設值：一般使用不會碰到，擋的是腳本大量送出
+const DEFAULTS = {
+  invite: { user: "30/1h", ip: "60/1h" },
+  message: { user: "30/1m", ip: "120/1m" },
+  upload: { user: "20/1h", ip: "40/1h" },
+};
+
+// name → { user: { limit, windowMs } | null, ip: … }
+function ruleFor(name) {
+  const defaults = DEFAULTS[name];
+  if (!defaults) throw new Error(`unknown rate limit rule: ${name}`);
+  const env = (scope) =>
+    process.env[`RATE_LIMIT_${name.toUpperCase()}_${scope.toUpperCase()}`];
+  return {
+    user: parseLimit(env("user") ?? defaults.user),
+    ip: parseLimit(env("ip") ?? defaults.ip),
+  };
+}
+
+module.exports = { getStore, parseLimit, ruleFor };
@@ -0,0 +1,53 @@
+// lib/rateLimit/memory.js
+// 單一行程內的滑動視窗：每個 key 記最近的請求時間（最多 limit 筆）
+// 多個 instance 時各算各的，需要共用計數就換成 Redis 等 store
+const hits = new Map(); // key → { times: [ms], windowMs }
+
+const SWEEP_MS = 60 * 1000;
+
+// 整個視窗都沒有請求的 key 就丟掉，避免 Map 一直長大
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of hits) {
+    const last = entry.times[entry.times.length - 1];
+    if (last === undefined || now - last >= entry.windowMs) hits.delete(key);
+  }
+}, SWEEP_MS).unref();
+
+// 視窗內的請求時間（順便丟掉過期的）
+function recent(key, windowMs, now) {
+  let entry = hits.get(key);
+  if (!entry) {
+    entry = { times: [], windowMs };
+    hits.set(key, entry);
+  }
+  entry.windowMs = windowMs;
+  const since = now - windowMs;
+  while (entry.times.length > 0 && entry.times[0] <= since) entry.times.shift();
+  return entry.times;
+}
+
+// 先檢查所有 bucket，全部在上限內才各記一筆；被擋的請求不會用掉任何額度
+async function take(buckets, now = Date.now()) {
+  const current = buckets.map((b) => ({
+    ...b,
+    times: recent(b.key, b.windowMs, now),
+  }));
+  const full = current.filter((b) => b.times.length >= b.limit);
+  if (full.length > 0) {
+    return {
+      allowed: false,
+      retryAfterMs: Math.max(
+        ...full.map((b) => b.times[b.times.length - b.limit] + b.windowMs - now)
+      ),
+    };
+  }
+  current.forEach((b) => b.times.push(now));
+  return { allowed: true, retryAfterMs: 0 };
+}
+
+async function reset(key) {
+  hits.delete(key);
+}
+
+module.exports = { name: "memory", take, reset };
@@ -0,0 +1,47 @@
+// lib/recommendCache.js
+// 推薦結果快取：key = 使用者 + 參數。
+// 任何物品/使用者/評價變動都可能影響所有人的結果，所以失效時整個清空。
+const TTL_MS = Number(process.env.RECOMMEND_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_ENTRIES = Number(process.env.RECOMMEND_CACHE_MAX) || 500;
+
+const entries = new Map(); // Map 保留插入順序，當成簡易 LRU
+let gen = 0; // 每次失效 +1；計算期間若已失效，結果就不寫入
+
+function cacheKey(email, params) {
+  // 參數依 key 排序，避免順序不同造成重複快取
+  const sorted = Object.keys(params)
+    .sort()
+    .map((k) => [k, params[k]]);
+  return `${email}|${JSON.stringify(sorted)}`;
+}
+
+function get(key) {
+  const hit = entries.get(key);
+  if (!hit) return undefined;
+  if (hit.expiresAt < Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  // 重新插入 → 移到最新
+  entries.delete(key);
+  entries.set(key, hit);
+  return hit.value;
+}
+
+const generation = () => gen;
+
+function set(key, value, startedGen = gen) {
+  if (startedGen !== gen) return;
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: Date.now() + TTL_MS });
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+function invalidate() {
+  gen++;
+  entries.clear();
+}
+
+module.exports = { cacheKey, get, set, generation, invalidate };
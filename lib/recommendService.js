@@ -0,0 +1,248 @@
+// lib/recommendService.js
+// /recommend 的資料流程：在 MongoDB 先篩候選物品 → 評分 → 快取
+const { User, Item, Rating } = require("../repositories");
+const { userLatLng, withinKm } = require("./geo");
+const { inferCategory } = require("./category");
+const {
+  priceBandsBetween,
+  AVAILABLE_ITEM,
+  recommendSwaps,
+  findTradeCycles,
+  swapRejections,
+} = require("./matching");
+const recommendCache = require("./recommendCache");
+const { loadInterests } = require("./interests");
+const { loadWants } = require("./wants");
+const { loadCooccurrence } = require("./cooccurrence");
+const { blockedEmailsFor } = require("./moderation");
+const { publicItem } = require("./items");
+
+// 候選上限：每位對象最多幾件、最多幾位對象
+const CANDIDATES_PER_USER = Number(process.env.RECOMMEND_PER_USER) || 20;
+const MAX_CANDIDATE_USERS = Number(process.env.RECOMMEND_MAX_USERS) || 200;
+
+// 評分平滑：樣本少時往全站平均靠攏（Bayesian average）
+const RATING_PRIOR_WEIGHT = 5;
+const RATING_DEFAULT_MEAN = 3;
+
+function bayesianRating(sum, count, priorMean) {
+  return (
+    (RATING_PRIOR_WEIGHT * priorMean + sum) / (RATING_PRIOR_WEIGHT + count)
+  );
+}
+
+// 1~5 星 → 0~1
+const ratingToScore = (r) => Math.min(1, Math.max(0, (r - 1) / 4));
+
+// 讀取所有使用者的平滑評分，回傳 { ratings: { email: 0~1 }, prior: 0~1 }
+async function loadUserRatings() {
+  const stats = await Rating.aggregate([
+    { $match: { score: { $gte: 1, $lte: 5 } } },
+    { $group: { _id: "$email", sum: { $sum: "$score" }, count: { $sum: 1 } } },
+  ]);
+  const total = stats.reduce((a, s) => a + s.count, 0);
+  const mean = total
+    ? stats.reduce((a, s) => a + s.sum, 0) / total
+    : RATING_DEFAULT_MEAN;
+
+  const ratings = {};
+  stats.forEach((s) => {
+    ratings[s._id] = ratingToScore(bayesianRating(s.sum, s.count, mean));
+  });
+  return { ratings, prior: ratingToScore(mean) };
+}
+
+// debug 模式最多列出幾組被濾掉的配對
+const DEBUG_MAX_FILTERED = 200;
+
+// 在 DB 端依類別、價格帶、半徑篩出其他人的候選物品，並限制每人件數
+// relaxed：不套類別與價格條件（debug 用來找出被濾掉的物品）
+// excludeEmails：有封鎖關係的人
+async function loadCandidates(
+  email,
+  myItems,
+  myLoc,
+  params,
+  { relaxed = false, excludeEmails = [] } = {}
+) {
+  const cond = {
+    ...AVAILABLE_ITEM,
+    email: { $nin: [email, ...excludeEmails] },
+  };
+
+  if (params.useCategory && !relaxed) {
+    const cats = new Set(
+      myItems.map((i) => i.category || inferCategory(i.title, i.tags))
+    );
+    cond.category = { $in: [...cats, null] };
+  }
+
+  // 價格容忍度：循環交換每一段都可差 priceTol，離自己的物品最多差 floor(n/2) 段
+  const steps = params.mode === "cycle" ? Math.floor(params.maxLen / 2) : 1;
+  const spread = params.priceTol * steps;
+  const prices = myItems.map((i) => Number(i.price) || 0);
+  let lo = Math.min(...prices) - spread;
+  let hi = Math.max(...prices) + spread;
+  // 組合交換：對方單件可能是我兩件的總和，或對方兩件才抵我一件
+  if (params.bundles) {
+    lo = 0;
+    hi = Math.max(...prices) * 2 + spread;
+  }
+  if (!relaxed) {
+    cond.priceBand = { $in: priceBandsBetween(lo, hi) };
+    cond.price = { $gte: lo, $lte: hi };
+  }
+
+  if (params.radiusKm > 0 && myLoc) {
+    cond.location = withinKm(myLoc, params.radiusKm);
+  }
+
+  const groups = await Item.aggregate([
+    { $match: cond },
+    { $sort: { condition: -1, _id: 1 } },
+    { $group: { _id: "$email", items: { $push: "$$ROOT" } } },
+    { $project: { items: { $slice: ["$items", CANDIDATES_PER_USER] } } },
+    { $limit: MAX_CANDIDATE_USERS },
+  ]).allowDiskUse(true);
+
+  return groups.flatMap((g) => g.items);
+}
+
+// 輸出前拿掉物品的內部欄位（距離另有 distanceKm）
+function publicResult(r) {
+  if (r.legs) {
+    return {
+      ...r,
+      legs: r.legs.map((l) => ({ ...l, item: publicItem(l.item) })),
+    };
+  }
+  const out = { ...r, from: publicItem(r.from), to: publicItem(r.to) };
+  if (r.bundle) {
+    out.fromItems = r.fromItems.map(publicItem);
+    out.toItems = r.toItems.map(publicItem);
+  }
+  return out;
+}
+
+// params: { weights, priceTol, useCategory, radiusKm, maxKm, curve, decayKm,
+//           mode, maxLen, bundles }
+// 回傳排序好的完整結果（已受候選上限限制），分頁由呼叫端處理
+async function getRecommendations(email, params) {
+  const key = recommendCache.cacheKey(email, params);
+  const cached = recommendCache.get(key);
+  if (cached) return cached;
+  const startedGen = recommendCache.generation();
+
+  const me = await User.findOne({ email }).lean();
+  if (!me) return [];
+  const myItems = await Item.find({ email, ...AVAILABLE_ITEM }).lean();
+  if (myItems.length === 0) return [];
+
+  const myLoc = userLatLng(me);
+  const blocked = await blockedEmailsFor(email);
+  const candidates = await loadCandidates(email, myItems, myLoc, params, {
+    excludeEmails: blocked,
+  });
+  const emails = [...new Set(candidates.map((i) => i.email))];
+  const users = await User.find({ email: { $in: [email, ...emails] } }).lean();
+
+  const userLocations = {};
+  users.forEach((u) => {
+    const loc = userLatLng(u);
+    if (loc) userLocations[u.email] = loc;
+  });
+
+  const { ratings, prior } = await loadUserRatings();
+  // 搜尋興趣會慢慢變，不即時失效快取，最多落後一個 TTL
+  const interests = await loadInterests(users.map((u) => u.email));
+  const wants = await loadWants(users.map((u) => u.email));
+  const opts = {
+    priceMode: "tolerance",
+    priceTol: params.priceTol,
+    useCategory: params.useCategory,
+    maxKm: params.maxKm || me.maxDistanceKm || params.radiusKm || undefined,
+    distanceCurve: params.curve,
+    decayKm: params.decayKm,
+    maxLen: params.maxLen,
+    bundles: params.bundles,
+    userRatings: ratings,
+    ratingPrior: prior,
+    userInterests: interests,
+    userWants: wants,
+    cooccurrence: await loadCooccurrence(),
+    blockedEmails: new Set(blocked),
+  };
+
+  const items = [...myItems, ...candidates];
+  const scored =
+    params.mode === "cycle"
+      ? findTradeCycles(
+          email,
+          users,
+          items,
+          userLocations,
+          params.weights,
+          opts
+        )
+      : recommendSwaps(
+          email,
+          users,
+          items,
+          userLocations,
+          params.weights,
+          opts
+        );
+
+  const result = scored.map(publicResult);
+  recommendCache.set(key, result, startedGen);
+  return result;
+}
+
+// debug：列出因 useCategory / priceTol 而沒有進入評分的配對與原因
+async function explainFiltered(email, params) {
+  const me = await User.findOne({ email }).lean();
+  if (!me) return [];
+  const myItems = await Item.find({ email, ...AVAILABLE_ITEM }).lean();
+  if (myItems.length === 0) return [];
+
+  const candidates = await loadCandidates(
+    email,
+    myItems,
+    userLatLng(me),
+    params,
+    {
+      relaxed: true,
+      excludeEmails: await blockedEmailsFor(email),
+    }
+  );
+  const opts = {
+    priceMode: "tolerance",
+    priceTol: params.priceTol,
+    useCategory: params.useCategory,
+  };
+
+  const filtered = [];
+  for (const from of myItems) {
+    for (const to of candidates) {
+      const reasons = swapRejections(from, to, opts);
+      if (reasons.length === 0) continue;
+      filtered.push({
+        toUser: to.email,
+        from: { _id: from._id, title: from.title, price: from.price },
+        to: { _id: to._id, title: to.title, price: to.price },
+        reasons,
+      });
+      if (filtered.length >= DEBUG_MAX_FILTERED) return filtered;
+    }
+  }
+  return filtered;
+}
+
+module.exports = {
+  CANDIDATES_PER_USER,
+  MAX_CANDIDATE_USERS,
+  loadUserRatings,
+  loadCandidates,
+  getRecommendations,
+  explainFiltered,
+};
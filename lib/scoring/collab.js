@@ -0,0 +1,97 @@
+// lib/scoring/collab.js
+// 協同過濾：「換過 X 的人也換了 Y」。以物品的類別、標籤當特徵，
+// 統計成交 / 同意的交換中，送出方與收到方特徵一起出現的次數（純函式，資料由 lib/cooccurrence 準備）
+
+// 特徵數量不足時不算（冷啟動改用內容分數）
+const MIN_SUPPORT = 3;
+const MAX_TAGS = 10;
+
+// 物品的特徵："cat:book"、"tag:小說"
+function itemFeatures(item) {
+  const out = new Set();
+  if (item.category) out.add(`cat:${item.category}`);
+  (item.tags || []).slice(0, MAX_TAGS).forEach((t) => {
+    const tag = String(t).trim().toLowerCase();
+    if (tag) out.add(`tag:${tag}`);
+  });
+  return out;
+}
+
+const featureLabel = (f) => f.slice(f.indexOf(":") + 1);
+
+/**
+ * trades: [{ give: [item], get: [item], w }] → { counts, totals, trades }
+ * counts[x][y]：特徵 x 與 y 分別出現在交換兩邊的加權次數（對稱）
+ */
+function buildCooccurrence(trades) {
+  const counts = new Map();
+  const totals = new Map();
+  const add = (x, y, w) => {
+    if (!counts.has(x)) counts.set(x, new Map());
+    counts.get(x).set(y, (counts.get(x).get(y) || 0) + w);
+  };
+
+  for (const { give, get, w = 1 } of trades) {
+    const fa = new Set(give.flatMap((it) => [...itemFeatures(it)]));
+    const fb = new Set(get.flatMap((it) => [...itemFeatures(it)]));
+    for (const x of fa) {
+      for (const y of fb) {
+        add(x, y, w);
+        add(y, x, w);
+      }
+    }
+    for (const f of new Set([...fa, ...fb])) {
+      totals.set(f, (totals.get(f) || 0) + w);
+    }
+  }
+  return { counts, totals, trades: trades.length };
+}
+
+/**
+ * 送出 own、收到 target 的關聯分數（0~1，特徵對的 cosine 取最大）
+ * own 的特徵在歷史中出現太少回傳 null
+ */
+function collabScore(model, own, target) {
+  const fo = [...itemFeatures(own)];
+  const ft = [...itemFeatures(target)];
+  const support = fo.reduce((a, f) => a + (model.totals.get(f) || 0), 0);
+  if (support < MIN_SUPPORT || ft.length === 0) return null;
+
+  let best = { value: 0, pair: null };
+  for (const x of fo) {
+    const row = model.counts.get(x);
+    if (!row) continue;
+    for (const y of ft) {
+      const c = row.get(y);
+      if (!c) continue;
+      const value = c / Math.sqrt(model.totals.get(x) * model.totals.get(y));
+      if (value > best.value) {
+        best = { value, pair: [featureLabel(x), featureLabel(y)] };
+      }
+    }
+  }
+  return { value: Math.min(1, best.value), pair: best.pair, support };
+}
+
+// 內容相似度：特徵與標題斷詞的 Jaccard 平均
+function contentSimilarity(a, b, tokensOf) {
+  const jaccard = (x, y) => {
+    if (x.size === 0 && y.size === 0) return 0;
+    let inter = 0;
+    x.forEach((v) => {
+      if (y.has(v)) inter++;
+    });
+    return inter / (x.size + y.size - inter);
+  };
+  const features = jaccard(itemFeatures(a), itemFeatures(b));
+  const tokens = jaccard(new Set(tokensOf(a)), new Set(tokensOf(b)));
+  return (features + tokens) / 2;
+}
+
+module.exports = {
+  MIN_SUPPORT,
+  itemFeatures,
+  buildCooccurrence,
+  collabScore,
+  contentSimilarity,
+};
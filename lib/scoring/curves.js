@@ -0,0 +1,24 @@
+// lib/scoring/curves.js
+// 距離衰減曲線：(km, scale) → 0~1
+const CURVES = {
+  // scale 公里處歸零（原本的算法）
+  linear: (km, scale) => Math.max(0, 1 - km / scale),
+  // 指數衰減：scale 公里處約 0.37（舊版 recommend.js 用 scale = 10）
+  exp: (km, scale) => Math.exp(-km / scale),
+  // 近距離幾乎不扣分，接近 scale 後快速下降
+  gaussian: (km, scale) => Math.exp(-((km / scale) ** 2)),
+  // scale 公里內滿分，超過 0 分
+  step: (km, scale) => (km <= scale ? 1 : 0),
+};
+
+const DEFAULT_CURVE = "linear";
+
+function getCurve(name = DEFAULT_CURVE) {
+  const curve = CURVES[name];
+  if (!curve) throw new Error(`unknown distance curve: ${name}`);
+  return curve;
+}
+
+const isCurve = (name) => Object.hasOwn(CURVES, name);
+
+module.exports = { CURVES, DEFAULT_CURVE, getCurve, isCurve };
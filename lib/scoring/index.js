@@ -0,0 +1,110 @@
+// lib/scoring/index.js
+// 評分引擎：註冊 scorer（見 scorers.js），依權重加權平均
+// 權重物件的 key 決定要跑哪些 scorer；未註冊的 key 忽略
+const {
+  DEFAULT_MAX_KM,
+  keywordScoreFor,
+  wantSatisfaction,
+  BUILTIN_SCORERS,
+} = require("./scorers");
+const { CURVES, DEFAULT_CURVE, getCurve, isCurve } = require("./curves");
+const {
+  PRESETS,
+  DEFAULT_PRESET,
+  isPreset,
+  normalizeWeights,
+} = require("./presets");
+
+const registry = new Map();
+
+function registerScorer(scorer) {
+  if (!scorer?.name || typeof scorer.score !== "function") {
+    throw new Error("scorer 需要 name 與 score()");
+  }
+  registry.set(scorer.name, scorer);
+}
+
+BUILTIN_SCORERS.forEach(registerScorer);
+
+const hasScorer = (name) => registry.has(name);
+
+/**
+ * user 拿 ownItem 換 targetItem 的意願
+ * opts: userRatings, ratingPrior, priceMode, priceTol, maxKm, decayKm,
+ *       distanceCurve, userInterests, userWants
+ * 回傳 { score, factors: 各項 0~1, weights: 實際套用（已正規化）的權重, details,
+ *        active: 各項是否有資料可算（沒資料的權重為 0） }
+ */
+function scoreDesire(
+  user,
+  targetItem,
+  ownItem,
+  userLocations,
+  weights,
+  opts = {}
+) {
+  const ctx = { user, target: targetItem, own: ownItem, userLocations, opts };
+  const factors = {};
+  const details = {};
+  const w = {};
+  const on = {};
+
+  for (const name of Object.keys(weights)) {
+    const scorer = registry.get(name);
+    if (!scorer) continue;
+    const { value, active = true, detail = {} } = scorer.score(ctx);
+    factors[name] = value;
+    details[name] = detail;
+    on[name] = active;
+    w[name] = active ? weights[name] || 0 : 0;
+  }
+
+  const applied = normalizeWeights(w);
+  const score = Object.keys(factors).reduce(
+    (a, f) => a + applied[f] * factors[f],
+    0
+  );
+  return { score, factors, weights: applied, details, active: on };
+}
+
+// 分數明細（四捨五入，給 API 回傳）
+function breakdownOf(desire) {
+  const round = (obj) => {
+    const out = {};
+    Object.keys(obj).forEach((f) => {
+      out[f] = +obj[f].toFixed(3);
+    });
+    return out;
+  };
+  return { factors: round(desire.factors), weights: round(desire.weights) };
+}
+
+// 給使用者看的理由：依各項對總分的貢獻排序，沒有貢獻的不列
+function reasonsFor(desire) {
+  const { factors, weights, details } = desire;
+  const contribution = (f) => weights[f] * factors[f];
+  return Object.keys(factors)
+    .filter((f) => contribution(f) > 0 && registry.get(f).reason)
+    .sort((a, b) => contribution(b) - contribution(a))
+    .map((f) => registry.get(f).reason(factors[f], details[f]))
+    .filter(Boolean);
+}
+
+module.exports = {
+  registerScorer,
+  hasScorer,
+  scoreDesire,
+  breakdownOf,
+  reasonsFor,
+  DEFAULT_MAX_KM,
+  keywordScoreFor,
+  wantSatisfaction,
+  CURVES,
+  DEFAULT_CURVE,
+  getCurve,
+  isCurve,
+  PRESETS,
+  DEFAULT_PRESET,
+  isPreset,
+  normalizeWeights,
+};
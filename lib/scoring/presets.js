@@ -0,0 +1,71 @@
+// lib/scoring/presets.js
+// 具名權重組合；/recommend 用 ?preset= 選擇，?w_xxx= 可再個別覆寫
+const PRESETS = {
+  balanced: {
+    price: 25,
+    distance: 25,
+    rating: 25,
+    damage: 25,
+    keyword: 25,
+    want: 25,
+    collab: 25,
+  },
+  // 想就近面交
+  nearby: {
+    price: 15,
+    distance: 50,
+    rating: 15,
+    damage: 10,
+    keyword: 5,
+    want: 5,
+    collab: 5,
+  },
+  // 在意價值對等
+  fair: {
+    price: 50,
+    distance: 10,
+    rating: 15,
+    damage: 15,
+    keyword: 5,
+    want: 5,
+    collab: 10,
+  },
+  // 在意物品狀況與對方信用
+  quality: {
+    price: 10,
+    distance: 10,
+    rating: 30,
+    damage: 40,
+    keyword: 5,
+    want: 5,
+    collab: 10,
+  },
+  // 以願望清單與搜尋興趣為主
+  wishlist: {
+    price: 10,
+    distance: 10,
+    rating: 10,
+    damage: 10,
+    keyword: 20,
+    want: 40,
+    collab: 10,
+  },
+  // 舊版 recommend.js：評分看物品上的 rating，沒有願望清單
+  legacy: { damage: 1, itemRating: 1, keyword: 1, price: 1, distance: 1 },
+};
+
+const DEFAULT_PRESET = "balanced";
+
+const isPreset = (name) => Object.hasOwn(PRESETS, name);
+
+// 權重總和正規化為 1
+function normalizeWeights(raw) {
+  const sum = Object.values(raw).reduce((a, b) => a + b, 0) || 1;
+  const weights = {};
+  Object.keys(raw).forEach((k) => {
+    weights[k] = raw[k] / sum;
+  });
+  return weights;
+}
+
+module.exports = { PRESETS, DEFAULT_PRESET, isPreset, normalizeWeights };
@@ -0,0 +1,219 @@
+// lib/scoring/scorers.js
+// 內建評分項目。每個 scorer：
+//   name   權重 key（/recommend 的 w_<name>）
+//   score(ctx) → { value: 0~1, active?: false 表示資料不足、不計權重, detail? }
+//   reason(value, detail) → 給使用者看的理由（可省略或回傳 null）
+// ctx = { user, target, own, userLocations, opts }：user 拿 own 換 target
+const { haversineDistance } = require("../geo");
+const { indexTokens, queryTokens } = require("../searchTokens");
+const { itemCategory } = require("../category");
+const { getCurve } = require("./curves");
+const { collabScore } = require("./collab");
+
+// 距離分數歸零的距離（公里）；使用者可用 maxDistanceKm 或 ?maxKm= 覆寫
+const DEFAULT_MAX_KM = 50;
+
+// 物品標題/標籤符合使用者近期興趣的程度：命中關鍵字權重 / 全部權重
+function keywordScoreFor(interests, item) {
+  const total = interests.reduce((a, k) => a + k.weight, 0);
+  if (total <= 0) return 0;
+  const title = String(item.title || "").toLowerCase();
+  const tags = (item.tags || []).map((t) => String(t).toLowerCase());
+  const matched = interests
+    .filter(
+      ({ keyword }) =>
+        title.includes(keyword) || tags.some((t) => t.includes(keyword))
+    )
+    .reduce((a, k) => a + k.weight, 0);
+  return matched / total;
+}
+
+// 願望清單：每個有設定的條件給 0~1 分，取平均
+// 關鍵字以斷詞比對（與搜尋一致）：關鍵字的每個詞都出現在物品裡才算命中
+function wantSatisfaction(want, item) {
+  const parts = [];
+  if (want.category) {
+    parts.push(itemCategory(item) === want.category ? 1 : 0);
+  }
+  if (want.maxPrice != null && want.maxPrice > 0) {
+    const over = (Number(item.price) || 0) - want.maxPrice;
+    parts.push(over <= 0 ? 1 : Math.max(0, 1 - over / want.maxPrice));
+  }
+  if (want.minCondition != null && want.minCondition > 0) {
+    const short = want.minCondition - (Number(item.condition) || 0);
+    parts.push(short <= 0 ? 1 : Math.max(0, 1 - short / want.minCondition));
+  }
+  const keywords = (want.keywords || []).filter(Boolean);
+  if (keywords.length > 0) {
+    const tokens = new Set(
+      item.searchTokens || indexTokens(item.title, item.tags)
+    );
+    const hit = keywords.some((k) => {
+      const qt = queryTokens(k);
+      return qt.length > 0 && qt.every((t) => tokens.has(t));
+    });
+    parts.push(hit ? 1 : 0);
+  }
+  if (parts.length === 0) return 0;
+  return parts.reduce((a, b) => a + b, 0) / parts.length;
+}
+
+// 完整度（condition %）
+const damage = {
+  name: "damage",
+  score: ({ target }) => {
+    const condition = Number(target.condition) || 0;
+    return { value: condition / 100, detail: { condition } };
+  },
+  reason: (value, { condition }) => `對方物品完整度 ${Math.round(condition)}%`,
+};
+
+// 對方（物品擁有者）的平滑評分；沒有評價就用全站平均
+const rating = {
+  name: "rating",
+  score: ({ target, opts }) => {
+    const own = opts.userRatings?.[target.email];
+    return {
+      value: own ?? opts.ratingPrior ?? 0.5,
+      detail: { hasRating: own != null },
+    };
+  },
+  reason: (value, { hasRating }) =>
+    hasRating ? `對方評價約 ${(1 + value * 4).toFixed(1)} 星` : null,
+};
+
+// 物品本身的 rating 欄位（0~5，舊版 recommend.js）
+const itemRating = {
+  name: "itemRating",
+  score: ({ target }) => ({ value: (Number(target.rating) || 0) / 5 }),
+  reason: (value) => `物品評分 ${(value * 5).toFixed(1)}`,
+};
+
+// 價格接近程度：tolerance 模式在 priceTol 處歸零，否則以較高價為基準
+const price = {
+  name: "price",
+  score: ({ target, own, opts }) => {
+    const priceA = Number(target.price) || 0;
+    const priceB = Number(own?.price) || 0;
+    const diff = Math.abs(priceA - priceB);
+    const maxP = Math.max(priceA, priceB);
+
+    let value;
+    if (opts.priceMode === "tolerance") {
+      const tol = Math.max(0, Number(opts.priceTol) || 0);
+      value = tol > 0 ? Math.max(0, 1 - diff / tol) : diff === 0 ? 1 : 0;
+    } else {
+      value = maxP === 0 ? 0 : 1 - diff / maxP;
+    }
+    return { value, detail: { diff, pct: maxP > 0 ? diff / maxP : 0 } };
+  },
+  reason: (value, { diff, pct }) =>
+    diff === 0 ? "價格相同" : `價差 ${Math.round(pct * 100)}%`,
+};
+
+// 距離：opts.distanceCurve 選曲線，scale = opts.decayKm 或 maxKm
+// 任一方沒有位置就不計權重
+const distance = {
+  name: "distance",
+  score: ({ user, target, userLocations, opts }) => {
+    const userLoc = userLocations[user.email];
+    const targetLoc = userLocations[target.email];
+    if (
+      !userLoc ||
+      !targetLoc ||
+      userLoc.lat == null ||
+      targetLoc.lat == null
+    ) {
+      return { value: 0, active: false };
+    }
+    const km = haversineDistance(userLoc, targetLoc);
+    const maxKm = opts.maxKm > 0 ? opts.maxKm : DEFAULT_MAX_KM;
+    const scale = opts.decayKm > 0 ? opts.decayKm : maxKm;
+    return { value: getCurve(opts.distanceCurve)(km, scale), detail: { km } };
+  },
+  reason: (value, { km }) => {
+    const rounded = +km.toFixed(1);
+    return rounded < 1
+      ? "距離不到 1 公里"
+      : `距離 ${Math.ceil(rounded)} 公里內`;
+  },
+};
+
+// 搜尋興趣：沒有搜尋紀錄就不計權重
+const keyword = {
+  name: "keyword",
+  score: ({ user, target, opts }) => {
+    const interests = opts.userInterests?.[user.email];
+    if (!Array.isArray(interests) || interests.length === 0) {
+      return { value: 0, active: false };
+    }
+    return { value: keywordScoreFor(interests, target) };
+  },
+  reason: () => "符合你最近搜尋的關鍵字",
+};
+
+// 舊版 recommend.js 的關鍵字：user.searchHistory 有幾個出現在標題/標籤（分大小寫）÷ 總數
+// 沒有搜尋紀錄算 0 分，權重照算（不像 keyword 會略過）
+const legacyKeyword = {
+  name: "legacyKeyword",
+  score: ({ user, target }) => {
+    const history = user.searchHistory || [];
+    const matched = new Set(
+      history.filter(
+        (kw) =>
+          (target.title || "").includes(kw) ||
+          (target.tags || []).some((tag) => tag.includes(kw))
+      )
+    );
+    return { value: matched.size / (history.length || 1) };
+  },
+  reason: () => "符合你最近搜尋的關鍵字",
+};
+
+// 願望清單：取最符合的那一筆；沒有願望就不計權重
+const want = {
+  name: "want",
+  score: ({ user, target, opts }) => {
+    const wants = opts.userWants?.[user.email];
+    if (!Array.isArray(wants) || wants.length === 0) {
+      return { value: 0, active: false };
+    }
+    return {
+      value: Math.max(...wants.map((wt) => wantSatisfaction(wt, target))),
+    };
+  },
+  reason: (value) =>
+    value === 1 ? "符合你的願望清單" : "部分符合你的願望清單",
+};
+
+// 協同過濾：別人換過類似的組合（opts.cooccurrence）；歷史太少就不計權重
+const collab = {
+  name: "collab",
+  score: ({ target, own, opts }) => {
+    const result =
+      opts.cooccurrence && own
+        ? collabScore(opts.cooccurrence, own, target)
+        : null;
+    if (!result) return { value: 0, active: false };
+    return { value: result.value, detail: { pair: result.pair } };
+  },
+  reason: (value, { pair }) =>
+    pair ? `換過「${pair[0]}」的人也常換到「${pair[1]}」` : null,
+};
+
+module.exports = {
+  DEFAULT_MAX_KM,
+  keywordScoreFor,
+  wantSatisfaction,
+  BUILTIN_SCORERS: [
+    damage,
+    rating,
+    itemRating,
+    price,
+    distance,
+    keyword,
+    legacyKeyword,
+    want,
+    collab,
+  ],
+};
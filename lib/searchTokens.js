@@ -0,0 +1,59 @@
+// lib/searchTokens.js
+// 中英文斷詞：英數字以單字為單位；中文（CJK）用單字 + 相鄰兩字（bigram）
+// 物品存 searchTokens，查詢時用 $in 比對，不需要把使用者輸入轉成 RegExp
+const CJK = "\\u3400-\\u9fff\\uf900-\\ufaff";
+const RUN_RE = new RegExp(`[${CJK}]+|[a-z0-9]+`, "g");
+const CJK_RE = new RegExp(`^[${CJK}]`);
+
+const MAX_QUERY_TOKENS = 20;
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 20;
+
+function runs(text) {
+  return (
+    String(text || "")
+      .normalize("NFKC") // 全形 → 半形
+      .toLowerCase()
+      .match(RUN_RE) || []
+  );
+}
+
+function bigrams(run) {
+  const out = [];
+  for (let i = 0; i < run.length - 1; i++) out.push(run.slice(i, i + 2));
+  return out;
+}
+
+// 物品索引用：中文單字與 bigram 都存，才能同時支援一個字與多字查詢；
+// 英文存字首（mac → macbook），方便邊打邊搜
+function indexTokens(title, tags = []) {
+  const tokens = new Set();
+  runs(`${title || ""} ${(tags || []).join(" ")}`).forEach((run) => {
+    if (CJK_RE.test(run)) {
+      [...run].forEach((ch) => tokens.add(ch));
+      bigrams(run).forEach((bg) => tokens.add(bg));
+    } else {
+      const max = Math.min(run.length, MAX_PREFIX);
+      for (let n = Math.min(MIN_PREFIX, run.length); n <= max; n++) {
+        tokens.add(run.slice(0, n));
+      }
+      tokens.add(run);
+    }
+  });
+  return [...tokens];
+}
+
+// 查詢用：中文只取 bigram（單一個字才用單字），避免一個字命中太多
+function queryTokens(q) {
+  const tokens = new Set();
+  runs(q).forEach((run) => {
+    if (CJK_RE.test(run) && run.length > 1) {
+      bigrams(run).forEach((bg) => tokens.add(bg));
+    } else {
+      tokens.add(run);
+    }
+  });
+  return [...tokens].slice(0, MAX_QUERY_TOKENS);
+}
+
+module.exports = { indexTokens, queryTokens };
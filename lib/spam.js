@@ -0,0 +1,81 @@
+// lib/spam.js
+// 垃圾訊息偵測：短時間內重複相同訊息、大量發送邀請 → 自動建立檢舉交給管理員
+// 只標記不阻擋；偵測失敗只記 log，不影響主要流程
+const { Message, Invite, Report } = require("../repositories");
+
+// 自動檢舉的 reporterEmail
+const SYSTEM_REPORTER = "system";
+
+const DUP_MESSAGES = Number(process.env.SPAM_DUP_MESSAGES) || 5;
+const DUP_WINDOW_MIN = Number(process.env.SPAM_DUP_WINDOW_MIN) || 10;
+const INVITE_RECIPIENTS = Number(process.env.SPAM_INVITE_RECIPIENTS) || 15;
+const INVITE_WINDOW_MIN = Number(process.env.SPAM_INVITE_WINDOW_MIN) || 60;
+// 同一人 24 小時內最多自動檢舉一次（還沒處理的話）
+const FLAG_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const minutesAgo = (min) => new Date(Date.now() - min * 60 * 1000);
+
+async function flagUser(email, details, snapshot) {
+  const recent = await Report.exists({
+    reporterEmail: SYSTEM_REPORTER,
+    targetType: "user",
+    targetId: email,
+    status: "open",
+    createdAt: { $gt: new Date(Date.now() - FLAG_COOLDOWN_MS) },
+  });
+  if (recent) return false;
+  await Report.create({
+    reporterEmail: SYSTEM_REPORTER,
+    targetType: "user",
+    targetId: email,
+    targetEmail: email,
+    reason: "spam",
+    details,
+    snapshot,
+  });
+  return true;
+}
+
+// 同一個人在 DUP_WINDOW_MIN 分鐘內送出 DUP_MESSAGES 則以上相同文字（不分聊天室）
+async function checkMessageSpam(message) {
+  try {
+    if (message.type !== "text" || !message.text) return;
+    const same = await Message.find({
+      senderEmail: message.senderEmail,
+      type: "text",
+      text: message.text,
+      createdAt: { $gte: minutesAgo(DUP_WINDOW_MIN) },
+    })
+      .select("chatId")
+      .lean();
+    if (same.length < DUP_MESSAGES) return;
+    const chats = new Set(same.map((m) => m.chatId)).size;
+    await flagUser(
+      message.senderEmail,
+      `${DUP_WINDOW_MIN} 分鐘內送出 ${same.length} 則相同訊息（${chats} 個聊天室）`,
+      message.text.slice(0, 200)
+    );
+  } catch (err) {
+    console.error("message spam check error", err);
+  }
+}
+
+// 同一個人在 INVITE_WINDOW_MIN 分鐘內邀請 INVITE_RECIPIENTS 位以上不同的人
+async function checkInviteSpam(fromEmail) {
+  try {
+    const recipients = await Invite.find({
+      fromEmail,
+      createdAt: { $gte: minutesAgo(INVITE_WINDOW_MIN) },
+    }).distinct("toEmail");
+    if (recipients.length < INVITE_RECIPIENTS) return;
+    await flagUser(
+      fromEmail,
+      `${INVITE_WINDOW_MIN} 分鐘內邀請了 ${recipients.length} 位不同的使用者`,
+      recipients.slice(0, 10).join(", ")
+    );
+  } catch (err) {
+    console.error("invite spam check error", err);
+  }
+}
+
+module.exports = { SYSTEM_REPORTER, checkMessageSpam, checkInviteSpam };
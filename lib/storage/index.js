@@ -0,0 +1,16 @@
+// lib/storage/index.js
+// 圖片儲存：STORAGE_DRIVER=local（預設）
+// 介面：{ name, put(key, buffer, contentType), get(key) → { size, stream } | null,
+//         remove(key), urlFor(key) }
+// 之後接物件儲存（S3、GCS…）時新增一個 driver，get 可改成讓路由導向 urlFor
+const drivers = {
+  local: require("./local"),
+};
+
+function getStorage(name = process.env.STORAGE_DRIVER || "local") {
+  const driver = drivers[name];
+  if (!driver) throw new Error(`unknown STORAGE_DRIVER: ${name}`);
+  return driver;
+}
+
+module.exports = { getStorage };
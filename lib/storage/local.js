@@ -0,0 +1,34 @@
+// lib/storage/local.js
+// 存在本機磁碟（UPLOAD_DIR，預設專案下的 uploads/），由 GET /images/:key 提供
+const fs = require("fs");
+const path = require("path");
+
+const UPLOAD_DIR =
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads");
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "";
+
+const fileOf = (key) => path.join(UPLOAD_DIR, key);
+
+async function put(key, buffer) {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(fileOf(key), buffer);
+}
+
+// 找不到回傳 null
+async function get(key) {
+  try {
+    const stat = await fs.promises.stat(fileOf(key));
+    return { size: stat.size, stream: fs.createReadStream(fileOf(key)) };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function remove(key) {
+  await fs.promises.rm(fileOf(key), { force: true });
+}
+
+const urlFor = (key) => `${PUBLIC_BASE_URL}/images/${key}`;
+
+module.exports = { name: "local", put, get, remove, urlFor };
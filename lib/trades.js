@@ -0,0 +1,479 @@
+// lib/trades.js
+// 交易狀態機：agreed → meetup_scheduled → completed，或取消（全員同意 / 逾時）、爭議
+// 每次變更都寫進 Trade.history；狀態的結果同步到聊天室與物品
+const { Trade, Chat, Item, Invite, TradeCycle } = require("../repositories");
+const recommendCache = require("./recommendCache");
+const chatEvents = require("./chatEvents");
+const { notify } = require("./notify");
+
+const CANCEL_TIMEOUT_HOURS =
+  Number(process.env.TRADE_CANCEL_TIMEOUT_HOURS) || 48;
+const DISPUTE_WINDOW_DAYS = Number(process.env.TRADE_DISPUTE_WINDOW_DAYS) || 7;
+const SWEEP_MS = 5 * 60 * 1000;
+const MAX_EVIDENCE = 5;
+const MAX_DETAILS = 2000;
+const MAX_REASON = 500;
+// 同時操作而寫入衝突時，最多重試幾次
+const MAX_ATTEMPTS = 3;
+
+const DISPUTE_REASONS = Trade.schema
+  .path("dispute")
+  .schema.path("reason").enumValues;
+
+// 允許的狀態轉換；cancelled 是終點，completed 只能在期限內提出爭議
+const TRANSITIONS = {
+  agreed: ["meetup_scheduled", "completed", "cancelled", "disputed"],
+  meetup_scheduled: ["agreed", "completed", "cancelled", "disputed"],
+  completed: ["disputed"],
+  disputed: ["agreed", "meetup_scheduled", "completed", "cancelled"],
+  cancelled: [],
+};
+
+// 進行中（可以按完成、提出取消）
+const ACTIVE_STATES = ["agreed", "meetup_scheduled"];
+
+// 各狀態下物品應有的 status；disputed 維持原狀
+const ITEM_STATUS = {
+  agreed: "reserved",
+  meetup_scheduled: "reserved",
+  completed: "traded",
+  cancelled: "available",
+};
+
+const invalid = (error, status = 409) => ({ status, error });
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// 聊天室涉及的物品（舊聊天室只有 pair）
+function chatItemIds(chat) {
+  if (chat.itemIds && chat.itemIds.length > 0) return chat.itemIds;
+  return [chat.pair?.fromItemId, chat.pair?.toItemId].filter(Boolean);
+}
+
+// 自動拒絕涉及這些物品的 pending 邀請（含整個循環交換）
+async function rejectPendingInvitesFor(itemIds) {
+  if (itemIds.length === 0) return;
+  const cond = {
+    status: "pending",
+    $or: [
+      { fromItemId: { $in: itemIds } },
+      { toItemId: { $in: itemIds } },
+      { fromItemIds: { $in: itemIds } },
+      { toItemIds: { $in: itemIds } },
+    ],
+  };
+  const cycleIds = (await Invite.find(cond).distinct("cycleId")).filter(
+    Boolean
+  );
+  await Invite.updateMany(cond, { $set: { status: "rejected" } });
+
+  if (cycleIds.length > 0) {
+    await TradeCycle.updateMany(
+      { _id: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "rejected" } }
+    );
+    await Invite.updateMany(
+      { cycleId: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "rejected" } }
+    );
+  }
+}
+
+/**
+ * 取得聊天室的交易，沒有就建立
+ * 改版前的聊天室：已關閉視為 completed，否則 agreed
+ */
+async function ensureTrade(chat) {
+  const state = chat.closed ? "completed" : "agreed";
+  return Trade.findOneAndUpdate(
+    { chatId: String(chat._id) },
+    {
+      $setOnInsert: {
+        members: chat.members,
+        itemIds: chatItemIds(chat),
+        cycleId: chat.cycleId || null,
+        state,
+        confirmations: chat.doneConfirmations || [],
+        completedAt: chat.closed ? chat.closedAt || new Date() : null,
+        history: [{ action: "created", from: null, to: state, by: "system" }],
+        createdAt: chat.createdAt || new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// 寫一筆紀錄（沒有狀態轉換）
+function record(trade, action, by, note = "") {
+  trade.history.push({
+    action,
+    from: trade.state,
+    to: trade.state,
+    by,
+    note,
+    at: new Date(),
+  });
+  trade.updatedAt = new Date();
+}
+
+// 轉換狀態；不允許的轉換回傳 { status, error }，不會修改 trade
+function transition(trade, to, by, action, note = "") {
+  const from = trade.state;
+  if (!TRANSITIONS[from]?.includes(to)) {
+    return invalid(`交易狀態 ${from} 不能變成 ${to}`);
+  }
+  const now = new Date();
+  trade.state = to;
+  trade.history.push({ action, from, to, by, note, at: now });
+  trade.updatedAt = now;
+  if (to === "completed") trade.completedAt = now;
+  if (to === "cancelled") trade.cancelledAt = now;
+  // 狀態變了，進行中的取消請求就不再適用
+  trade.cancelRequest = null;
+  return null;
+}
+
+// 交易狀態 → 聊天室開關與物品狀態
+async function syncChat(trade) {
+  const terminal = ["completed", "cancelled"].includes(trade.state);
+  const chat = await Chat.findByIdAndUpdate(
+    trade.chatId,
+    {
+      $set: {
+        doneConfirmations: trade.confirmations,
+        closed: terminal,
+        closedAt: terminal ? trade.completedAt || trade.cancelledAt : null,
+        closeReason: terminal ? trade.state : null,
+      },
+    },
+    { new: false }
+  );
+
+  const itemStatus = ITEM_STATUS[trade.state];
+  if (itemStatus && trade.itemIds.length > 0) {
+    await Item.updateMany(
+      { _id: { $in: trade.itemIds }, status: { $ne: "withdrawn" } },
+      { $set: { status: itemStatus } }
+    );
+    recommendCache.invalidate();
+  }
+  if (trade.state === "completed") {
+    await rejectPendingInvitesFor(trade.itemIds);
+  }
+  if (terminal && chat && !chat.closed) {
+    chatEvents.publish(trade.chatId, "closed", {
+      closedAt: trade.completedAt || trade.cancelledAt,
+      reason: trade.state,
+    });
+  }
+}
+
+// 成員操作會改到的欄位
+const MUTABLE_FIELDS = [
+  "state",
+  "confirmations",
+  "cancelRequest",
+  "dispute",
+  "history",
+  "completedAt",
+  "cancelledAt",
+  "updatedAt",
+];
+
+// 條件寫回：只有 revision 跟讀取時一樣才寫入，被別人搶先改過回傳 null
+function saveIfUnchanged(trade) {
+  const doc = trade.toObject();
+  const $set = Object.fromEntries(MUTABLE_FIELDS.map((k) => [k, doc[k]]));
+  // 改版前的交易沒有 revision 欄位
+  const revision = doc.revision || { $in: [0, null] };
+  return Trade.findOneAndUpdate(
+    { _id: trade._id, revision },
+    { $set, $inc: { revision: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * 寫回、同步聊天室，並通知其他成員；讀取後被別人改過則不寫入，回傳 null
+ * actor 為 "system" 時通知全部成員
+ */
+async function commit(trade, actor, text) {
+  const saved = await saveIfUnchanged(trade);
+  if (!saved) return null;
+  await syncChat(saved);
+  const view = tradeView(saved);
+  chatEvents.publish(saved.chatId, "trade", view);
+  if (text) {
+    await notify(
+      saved.members.filter((m) => m !== actor),
+      "trade",
+      {
+        text,
+        fromEmail: actor === "system" ? null : actor,
+        chatId: saved.chatId,
+      }
+    );
+  }
+  return view;
+}
+
+/**
+ * 套用操作並寫回；op(trade) 修改 trade，回傳 { text }、{ status, error }，
+ * 或 null（不用變更）
+ * 寫回時如果有人同時改了這筆交易，就重新讀取、在最新狀態上再套用一次
+ * 回傳 op 的結果加上 trade（寫回後的輸出格式），或 { status, error }
+ */
+async function applyAction(trade, actor, op) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const result = await op(trade);
+    if (!result) return { trade: tradeView(trade), text: null };
+    if (result.error) return result;
+    const view = await commit(trade, actor, result.text);
+    if (view) return { ...result, trade: view };
+    trade = await Trade.findById(trade._id);
+    if (!trade) return invalid("找不到交易", 404);
+  }
+  return invalid("交易剛被其他人更新，請重新整理後再試");
+}
+
+function tradeView(t) {
+  return {
+    _id: t._id,
+    chatId: t.chatId,
+    members: t.members,
+    itemIds: t.itemIds,
+    cycleId: t.cycleId,
+    state: t.state,
+    confirmations: t.confirmations,
+    cancelRequest: t.cancelRequest || null,
+    dispute: t.dispute || null,
+    history: t.history,
+    completedAt: t.completedAt,
+    cancelledAt: t.cancelledAt,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  };
+}
+
+// ===== 成員操作：修改 trade，回傳 { text }（通知內容）或 { status, error } =====
+
+// 按下完成；全員都按了就 completed
+function confirmDone(trade, email) {
+  if (!ACTIVE_STATES.includes(trade.state)) {
+    return invalid(`交易狀態為 ${trade.state}，不能按完成`);
+  }
+  if (!trade.confirmations.includes(email)) {
+    trade.confirmations.push(email);
+    record(trade, "done_confirmed", email);
+  }
+  if (trade.members.every((m) => trade.confirmations.includes(m))) {
+    transition(trade, "completed", email, "completed");
+    return { text: "交易已完成" };
+  }
+  return { text: `${email} 已按下交易完成，等你確認` };
+}
+
+// 提出或同意取消；全員同意就取消
+function requestCancel(trade, email, reason) {
+  if (!ACTIVE_STATES.includes(trade.state)) {
+    return invalid(`交易狀態為 ${trade.state}，不能取消`);
+  }
+  const note = String(reason || "").slice(0, MAX_REASON);
+  const req = trade.cancelRequest;
+  if (!req) {
+    trade.cancelRequest = {
+      requestedBy: email,
+      reason: note,
+      consents: [email],
+      requestedAt: new Date(),
+      expiresAt: new Date(Date.now() + CANCEL_TIMEOUT_HOURS * 36e5),
+    };
+    record(trade, "cancel_requested", email, note);
+  } else if (!req.consents.includes(email)) {
+    req.consents.push(email);
+    record(trade, "cancel_consented", email, note);
+  } else {
+    return { text: null };
+  }
+
+  if (trade.members.every((m) => trade.cancelRequest.consents.includes(m))) {
+    transition(trade, "cancelled", email, "cancelled", "全員同意取消");
+    return { text: "交易已取消" };
+  }
+  return {
+    text:
+      `${email} 想取消交易` +
+      `（${CANCEL_TIMEOUT_HOURS} 小時內沒有人反對會自動取消）`,
+  };
+}
+
+// 提出者撤回、其他成員拒絕取消
+function declineCancel(trade, email) {
+  if (!trade.cancelRequest) return invalid("沒有進行中的取消請求", 404);
+  const withdrawn = trade.cancelRequest.requestedBy === email;
+  trade.cancelRequest = null;
+  record(trade, withdrawn ? "cancel_withdrawn" : "cancel_declined", email);
+  return {
+    text: withdrawn ? `${email} 撤回了取消請求` : `${email} 不同意取消交易`,
+  };
+}
+
+// 驗證並整理爭議內容；回傳 { fields } 或 { status, error }
+function parseDispute(body) {
+  if (!DISPUTE_REASONS.includes(body.reason)) {
+    return invalid(`reason 需為 ${DISPUTE_REASONS.join(" / ")}`, 400);
+  }
+  const evidence = Array.isArray(body.evidence)
+    ? body.evidence.filter(isHttpUrl).slice(0, MAX_EVIDENCE)
+    : [];
+  const messageIds = Array.isArray(body.messageIds)
+    ? body.messageIds.map(String).slice(0, MAX_EVIDENCE)
+    : [];
+  const details = String(body.details || "").slice(0, MAX_DETAILS);
+  // 至少要有說明或一項佐證
+  if (!details.trim() && evidence.length === 0 && messageIds.length === 0) {
+    return invalid("需附上 details、evidence 或 messageIds", 400);
+  }
+  return { fields: { reason: body.reason, details, evidence, messageIds } };
+}
+
+// 提出爭議：進行中，或完成後 DISPUTE_WINDOW_DAYS 天內
+function openDispute(trade, email, fields) {
+  if (trade.state === "completed") {
+    const since = Date.now() - new Date(trade.completedAt).getTime();
+    if (since > DISPUTE_WINDOW_DAYS * 864e5) {
+      return invalid(`交易完成超過 ${DISPUTE_WINDOW_DAYS} 天，不能提出爭議`);
+    }
+  }
+  const fromState = trade.state;
+  const err = transition(
+    trade,
+    "disputed",
+    email,
+    "dispute_opened",
+    fields.reason
+  );
+  if (err) return err;
+  trade.dispute = {
+    ...fields,
+    openedBy: email,
+    fromState,
+    openedAt: new Date(),
+  };
+  return { text: `${email} 對這筆交易提出爭議，等待管理員處理` };
+}
+
+// 提出者撤回爭議，回到提出前的狀態
+function withdrawDispute(trade, email) {
+  if (trade.state !== "disputed") return invalid("交易沒有進行中的爭議");
+  if (trade.dispute.openedBy !== email) {
+    return invalid("只有提出者可以撤回爭議", 403);
+  }
+  const err = transition(
+    trade,
+    trade.dispute.fromState,
+    email,
+    "dispute_withdrawn"
+  );
+  if (err) return err;
+  Object.assign(trade.dispute, {
+    resolvedBy: email,
+    resolution: "withdrawn",
+    resolvedAt: new Date(),
+  });
+  return { text: `${email} 撤回了爭議` };
+}
+
+/**
+ * 管理員處理爭議
+ * outcome: completed | cancelled | reopen（回到進行中；原本已完成的回到 agreed）
+ */
+function resolveDispute(trade, admin, outcome, note) {
+  if (trade.state !== "disputed") return invalid("交易沒有進行中的爭議");
+  if (!["completed", "cancelled", "reopen"].includes(outcome)) {
+    return invalid("outcome 需為 completed / cancelled / reopen", 400);
+  }
+  const from = trade.dispute.fromState;
+  let to = outcome;
+  if (outcome === "reopen") to = ACTIVE_STATES.includes(from) ? from : "agreed";
+  const text = String(note || "").slice(0, MAX_REASON);
+  const err = transition(trade, to, admin, "dispute_resolved", text);
+  if (err) return err;
+  if (to !== "completed") trade.confirmations = [];
+  Object.assign(trade.dispute, {
+    resolvedBy: admin,
+    resolution: outcome === "reopen" ? "reopened" : outcome,
+    resolutionNote: text || null,
+    resolvedAt: new Date(),
+  });
+  const label = {
+    completed: "交易完成",
+    cancelled: "交易取消",
+    reopen: "交易恢復進行",
+  };
+  return { text: `管理員處理了爭議：${label[outcome]}` };
+}
+
+// 面交同意 / 取消時更新交易狀態（只在進行中）
+async function syncMeetup(chat, scheduled, by) {
+  const to = scheduled ? "meetup_scheduled" : "agreed";
+  await applyAction(await ensureTrade(chat), by, (trade) => {
+    if (!ACTIVE_STATES.includes(trade.state) || trade.state === to) {
+      return null;
+    }
+    const action = scheduled ? "meetup_scheduled" : "meetup_cleared";
+    return transition(trade, to, by, action) || { text: null };
+  });
+}
+
+// 取消請求逾時沒人反對 → 自動取消
+async function expireCancelRequests(now = new Date()) {
+  const isDue = (trade) =>
+    ACTIVE_STATES.includes(trade.state) &&
+    trade.cancelRequest &&
+    trade.cancelRequest.expiresAt <= now;
+  const due = await Trade.find({
+    state: { $in: ACTIVE_STATES },
+    "cancelRequest.expiresAt": { $lte: now },
+  });
+  for (const trade of due) {
+    await applyAction(trade, "system", (t) => {
+      if (!isDue(t)) return null;
+      const note = "取消請求逾時";
+      const err = transition(t, "cancelled", "system", "cancel_timeout", note);
+      return err || { text: "取消請求逾時沒有人反對，交易已取消" };
+    });
+  }
+}
+
+function startTradeSweeper() {
+  setInterval(() => {
+    expireCancelRequests().catch((err) =>
+      console.error("expire trade cancels error", err)
+    );
+  }, SWEEP_MS).unref();
+}
+
+module.exports = {
+  DISPUTE_REASONS,
+  rejectPendingInvitesFor,
+  ensureTrade,
+  tradeView,
+  applyAction,
+  confirmDone,
+  requestCancel,
+  declineCancel,
+  parseDispute,
+  openDispute,
+  withdrawDispute,
+  resolveDispute,
+  syncMeetup,
+  expireCancelRequests,
+  startTradeSweeper,
+};
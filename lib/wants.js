@@ -0,0 +1,88 @@
+// lib/wants.js
+// 願望清單的 DB 查詢：找符合的物品、上架時標記符合的願望
+const { Want, Item } = require("../repositories");
+const { AVAILABLE_ITEM, wantMatches } = require("./matching");
+const { queryTokens } = require("./searchTokens");
+const { PRIVATE_ITEM_FIELDS } = require("./items");
+const { blockedEmailsFor } = require("./moderation");
+const { itemCategory } = require("./category");
+
+const MATCHES_LIMIT = 100;
+
+// 願望 → 物品查詢條件（與 matching.wantMatches 一致）
+// excludeEmails：與願望擁有者有封鎖關係的人
+function wantItemQuery(want, excludeEmails = []) {
+  const cond = {
+    ...AVAILABLE_ITEM,
+    email: { $nin: [want.email, ...excludeEmails] },
+  };
+  // 沒填 category 的舊物品要推測類別才知道合不合，先一起撈出來再由 wantMatches 過濾
+  if (want.category) cond.category = { $in: [want.category, null, ""] };
+  if (want.maxPrice > 0) cond.price = { $lte: want.maxPrice };
+  if (want.minCondition > 0) cond.condition = { $gte: want.minCondition };
+
+  const ors = (want.keywords || [])
+    .map((k) => queryTokens(k))
+    .filter((qt) => qt.length > 0)
+    .map((qt) => ({ searchTokens: { $all: qt } }));
+  if (ors.length > 0) cond.$or = ors;
+  return cond;
+}
+
+async function findWantMatches(want, limit = MATCHES_LIMIT) {
+  const blocked = await blockedEmailsFor(want.email);
+  const items = await Item.find(wantItemQuery(want, blocked))
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select(PRIVATE_ITEM_FIELDS)
+    .lean();
+  return items.filter((it) => wantMatches(want, it));
+}
+
+// 新上架的物品：把它加進所有符合的願望的 newMatchItemIds，回傳符合的願望
+// 與上架者有封鎖關係的人不會被標記
+async function flagWantMatches(item) {
+  const price = Number(item.price) || 0;
+  const condition = Number(item.condition) || 0;
+  const blocked = await blockedEmailsFor(item.email);
+  const candidates = await Want.find({
+    email: { $nin: [item.email, ...blocked] },
+    $and: [
+      { $or: [{ category: null }, { category: itemCategory(item) }] },
+      {
+        $or: [
+          { maxPrice: null },
+          { maxPrice: { $lte: 0 } },
+          { maxPrice: { $gte: price } },
+        ],
+      },
+      { $or: [{ minCondition: null }, { minCondition: { $lte: condition } }] },
+    ],
+  }).lean();
+
+  const matched = candidates.filter((w) => wantMatches(w, item));
+  if (matched.length > 0) {
+    await Want.updateMany(
+      { _id: { $in: matched.map((w) => w._id) } },
+      { $addToSet: { newMatchItemIds: String(item._id) } }
+    );
+  }
+  return matched;
+}
+
+// 回傳 { email: [want] }
+async function loadWants(emails) {
+  const rows = await Want.find({ email: { $in: emails } }).lean();
+  const out = {};
+  rows.forEach((w) => {
+    (out[w.email] = out[w.email] || []).push(w);
+  });
+  return out;
+}
+
+module.exports = {
+  wantItemQuery,
+  findWantMatches,
+  flagWantMatches,
+  loadWants,
+};
@@ -0,0 +1,272 @@
+// lib/weightLearning.js
+// 由邀請結果學推薦權重：受邀者（toEmail）對這筆交換的各項分數為特徵，
+// 同意 = 1，拒絕 / 還價 / 過期 = 0，交易完成的樣本加倍權重，用邏輯迴歸擬合
+// 注意：特徵用的是「現在」的評價、位置、興趣，不是邀請當時的；
+// collab 不列入，因為共現表本身就是由這些邀請建出來的（部署時沿用預設比重）
+// 沒資料可算的因子（沒評價、沒位置、沒興趣…）不放進樣本，訓練時視為遮蔽：
+// 特徵先減去該因子在有資料樣本中的平均，遮蔽的當 0，
+// 「沒資料」就等於「平均水準」，不會被當成「完全不符合」而拉低係數
+const { User, Item, Invite, Chat } = require("../repositories");
+const { userLatLng } = require("./geo");
+const { mergeBundle } = require("./matching");
+const {
+  scoreDesire,
+  PRESETS,
+  DEFAULT_PRESET,
+  normalizeWeights,
+} = require("./scoring");
+const { loadUserRatings } = require("./recommendService");
+const { loadInterests } = require("./interests");
+const { loadWants } = require("./wants");
+
+const TRAIN_FACTORS = [
+  "price",
+  "distance",
+  "rating",
+  "damage",
+  "keyword",
+  "want",
+];
+const LABELS = { accepted: 1, rejected: 0, countered: 0, expired: 0 };
+const COMPLETED_WEIGHT = 2;
+const MIN_USER_SAMPLES = 20;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+const itemsKey = (ids) => [...ids].map(String).sort().join(",");
+
+/**
+ * 讀出 [since, until) 期間有結果的兩人邀請，轉成訓練樣本
+ * 回傳 [{ email, x: { factor: 0~1 }, y: 0|1, w, at }]；x 只含有資料的因子
+ */
+async function loadExamples({ since, until } = {}) {
+  const cond = { cycleId: null, status: { $in: Object.keys(LABELS) } };
+  if (since || until) {
+    cond.createdAt = {};
+    if (since) cond.createdAt.$gte = since;
+    if (until) cond.createdAt.$lt = until;
+  }
+  const invites = await Invite.find(cond).lean();
+  if (invites.length === 0) return [];
+
+  const itemIdsOf = (inv) => ({
+    from: inv.fromItemIds?.length ? inv.fromItemIds : [inv.fromItemId],
+    to: inv.toItemIds?.length ? inv.toItemIds : [inv.toItemId],
+  });
+  const allIds = invites.flatMap((inv) => {
+    const { from, to } = itemIdsOf(inv);
+    return [...from, ...to];
+  });
+  const items = await Item.find({ _id: { $in: allIds } }).lean();
+  const itemById = new Map(items.map((it) => [String(it._id), it]));
+
+  const emails = [
+    ...new Set(invites.flatMap((inv) => [inv.fromEmail, inv.toEmail])),
+  ];
+  const users = await User.find({ email: { $in: emails } }).lean();
+  const userLocations = {};
+  users.forEach((u) => {
+    const loc = userLatLng(u);
+    if (loc) userLocations[u.email] = loc;
+  });
+
+  // 完成交易的聊天室（以物品組合辨識；取消的不算）
+  const closed = await Chat.find({
+    closed: true,
+    closeReason: { $ne: "cancelled" },
+    cycleId: null,
+  })
+    .select("itemIds pair")
+    .lean();
+  const completed = new Set(
+    closed.map((c) =>
+      itemsKey(
+        c.itemIds?.length ? c.itemIds : [c.pair?.fromItemId, c.pair?.toItemId]
+      )
+    )
+  );
+
+  const { ratings, prior } = await loadUserRatings();
+  const opts = {
+    userRatings: ratings,
+    ratingPrior: prior,
+    userInterests: await loadInterests(emails),
+    userWants: await loadWants(emails),
+  };
+  const allOn = Object.fromEntries(TRAIN_FACTORS.map((f) => [f, 1]));
+
+  const examples = [];
+  for (const inv of invites) {
+    const { from, to } = itemIdsOf(inv);
+    const give = from.map((id) => itemById.get(String(id)));
+    const get = to.map((id) => itemById.get(String(id)));
+    if (give.some((it) => !it) || get.some((it) => !it)) continue; // 物品已刪
+
+    // 受邀者收到 give、送出 get
+    const desire = scoreDesire(
+      { email: inv.toEmail },
+      give.length > 1 ? mergeBundle(give) : give[0],
+      get.length > 1 ? mergeBundle(get) : get[0],
+      userLocations,
+      allOn,
+      opts
+    );
+    const done = completed.has(itemsKey([...from, ...to]));
+    const x = {};
+    TRAIN_FACTORS.forEach((f) => {
+      if (desire.active[f]) x[f] = desire.factors[f];
+    });
+    examples.push({
+      email: inv.toEmail,
+      x,
+      y: LABELS[inv.status],
+      w: done ? COMPLETED_WEIGHT : 1,
+      at: inv.createdAt,
+    });
+  }
+  return examples;
+}
+
+// 置中後的特徵；樣本沒有的因子（遮蔽）回傳 0
+const centered = (model, x, f) =>
+  x[f] === undefined ? 0 : x[f] - (model.means?.[f] || 0);
+
+const linear = (model, x) =>
+  TRAIN_FACTORS.reduce(
+    (z, f) => z + model.coef[f] * centered(model, x, f),
+    model.bias
+  );
+
+// 各因子在有資料的樣本中的加權平均（沒有任何樣本有資料的當 0）
+function factorMeans(examples) {
+  return Object.fromEntries(
+    TRAIN_FACTORS.map((f) => {
+      let sum = 0;
+      let w = 0;
+      examples.forEach((e) => {
+        if (e.x[f] === undefined) return;
+        sum += e.x[f] * e.w;
+        w += e.w;
+      });
+      return [f, w ? sum / w : 0];
+    })
+  );
+}
+
+/**
+ * 加權邏輯迴歸（批次梯度下降）
+ * prior：L2 往這組係數拉（個人模型往全站模型靠），預設往 0
+ * 個人模型沿用 prior 的 means，係數才能互相比較
+ */
+function fitLogistic(
+  examples,
+  { epochs = 500, lr = 1, l2 = 0.01, prior = null } = {}
+) {
+  const center = prior?.coef || {};
+  const model = {
+    coef: Object.fromEntries(TRAIN_FACTORS.map((f) => [f, center[f] || 0])),
+    bias: prior?.bias || 0,
+    means: prior?.means || factorMeans(examples),
+  };
+  const totalW = examples.reduce((a, e) => a + e.w, 0) || 1;
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const grad = Object.fromEntries(TRAIN_FACTORS.map((f) => [f, 0]));
+    let gradBias = 0;
+    for (const e of examples) {
+      const err = (sigmoid(linear(model, e.x)) - e.y) * e.w;
+      TRAIN_FACTORS.forEach((f) => {
+        grad[f] += err * centered(model, e.x, f);
+      });
+      gradBias += err;
+    }
+    TRAIN_FACTORS.forEach((f) => {
+      const reg = l2 * (model.coef[f] - (center[f] || 0));
+      model.coef[f] -= lr * (grad[f] / totalW + reg);
+    });
+    model.bias -= (lr * gradBias) / totalW;
+  }
+  return model;
+}
+
+// 係數 → /recommend 權重：負的當 0，正規化；全部 ≤ 0 回傳 null（改用預設）
+// 沒訓練的因子（collab）保留預設 preset 的比重，學到的因子分剩下的
+function toRecommendWeights(model) {
+  const pos = TRAIN_FACTORS.map((f) => Math.max(0, model.coef[f]));
+  const sum = pos.reduce((a, b) => a + b, 0);
+  if (sum <= 0) return null;
+
+  const preset = normalizeWeights(PRESETS[DEFAULT_PRESET]);
+  const fixed = Object.keys(preset).filter((f) => !TRAIN_FACTORS.includes(f));
+  const rest = 1 - fixed.reduce((a, f) => a + preset[f], 0);
+  return {
+    ...Object.fromEntries(
+      TRAIN_FACTORS.map((f, i) => [f, (pos[i] / sum) * rest])
+    ),
+    ...Object.fromEntries(fixed.map((f) => [f, preset[f]])),
+  };
+}
+
+/**
+ * 訓練全站模型，perUser 時再替樣本數夠的受邀者各訓練一個（往全站模型靠攏）
+ * 回傳 { global, users: { email: model } }；model 附 samples / positives
+ */
+function trainModels(examples, { perUser = false, minUserSamples } = {}) {
+  const stats = (list) => ({
+    samples: list.length,
+    positives: list.filter((e) => e.y === 1).length,
+  });
+  const global = { ...fitLogistic(examples), ...stats(examples) };
+  const users = {};
+  if (!perUser) return { global, users };
+
+  const byUser = {};
+  examples.forEach((e) => {
+    (byUser[e.email] = byUser[e.email] || []).push(e);
+  });
+  const min = minUserSamples || MIN_USER_SAMPLES;
+  for (const [email, list] of Object.entries(byUser)) {
+    if (list.length < min) continue;
+    users[email] = {
+      ...fitLogistic(list, { prior: global, l2: 0.1, epochs: 200 }),
+      ...stats(list),
+    };
+  }
+  return { global, users };
+}
+
+/**
+ * 離線評估：每位受邀者的邀請依模型分數排序，算 precision@k（前 k 筆中被同意的比例）
+ * scoreFn(example) → 分數；只計有至少一筆同意的受邀者
+ */
+function evaluate(examples, scoreFn, ks = [1, 3, 5]) {
+  const byUser = {};
+  examples.forEach((e) => {
+    (byUser[e.email] = byUser[e.email] || []).push(e);
+  });
+  const groups = Object.values(byUser).filter((list) =>
+    list.some((e) => e.y === 1)
+  );
+
+  const precision = {};
+  for (const k of ks) {
+    const values = groups.map((list) => {
+      const top = [...list].sort((a, b) => scoreFn(b) - scoreFn(a)).slice(0, k);
+      return top.filter((e) => e.y === 1).length / top.length;
+    });
+    precision[k] = values.length
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : null;
+  }
+  return { users: groups.length, examples: examples.length, precision };
+}
+
+module.exports = {
+  TRAIN_FACTORS,
+  MIN_USER_SAMPLES,
+  loadExamples,
+  fitLogistic,
+  toRecommendWeights,
+  trainModels,
+  evaluate,
+  predict: (model, x) => sigmoid(linear(model, x)),
+};
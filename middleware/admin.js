@@ -0,0 +1,16 @@
+// middleware/admin.js
+// 管理員限定：需先經過 requireAuth
+const { isAdmin } = require("../lib/moderation");
+
+async function requireAdmin(req, res, next) {
+  try {
+    if (!(await isAdmin(req.userEmail))) {
+      return res.status(403).json({ error: "需要管理員權限" });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,127 @@
+// middleware/auth.js
+// 簽章 token（HMAC-SHA256）與密碼雜湊，不依賴外部套件
+const crypto = require("crypto");
+
+const TOKEN_TTL_SEC =
+  Number(process.env.AUTH_TOKEN_TTL_SEC) || 60 * 60 * 24 * 30; // 預設 30 天
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET) {
+  // 開發用：每次重啟都會讓舊 token 失效，正式環境請設定 AUTH_SECRET
+  SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ AUTH_SECRET 未設定，使用隨機金鑰");
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const sign = (data) =>
+  crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+
+// token = base64url(payload).簽章
+function issueToken(email, ttlSec = TOKEN_TTL_SEC) {
+  const payload = b64url(
+    JSON.stringify({
+      sub: email,
+      exp: Math.floor(Date.now() / 1000) + ttlSec,
+    })
+  );
+  return `${payload}.${sign(payload)}`;
+}
+
+// 驗證成功回傳 email，否則回傳 null
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [payload, sig] = token.split(".");
+  if (!payload || !sig) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length) return null;
+  if (!crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, "base64url"));
+    if (!sub || !exp || exp < Date.now() / 1000) return null;
+    return sub;
+  } catch {
+    return null;
+  }
+}
+
+// 停權的帳號（由 lib/moderation 從 DB 同步）：token 有效也一律拒絕
+const suspended = new Set();
+
+function setSuspended(email, on) {
+  if (on) suspended.add(email);
+  else suspended.delete(email);
+}
+
+function replaceSuspended(emails) {
+  suspended.clear();
+  emails.forEach((e) => suspended.add(e));
+}
+
+function tokenFromRequest(req) {
+  const header = req.get("authorization") || "";
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  return m ? m[1].trim() : null;
+}
+
+// 必須登入：req.userEmail 為呼叫者身分
+function requireAuth(req, res, next) {
+  const email = verifyToken(tokenFromRequest(req));
+  if (!email) return res.status(401).json({ error: "未登入或 token 無效" });
+  if (suspended.has(email)) {
+    return res.status(403).json({ error: "帳號已停權" });
+  }
+  req.userEmail = email;
+  next();
+}
+
+// EventSource 無法自訂 header，串流路由允許用 ?token= 帶入
+function requireStreamAuth(req, res, next) {
+  const email = verifyToken(tokenFromRequest(req) || req.query.token);
+  if (!email) return res.status(401).json({ error: "未登入或 token 無效" });
+  if (suspended.has(email)) {
+    return res.status(403).json({ error: "帳號已停權" });
+  }
+  req.userEmail = email;
+  next();
+}
+
+// 可選登入：有帶有效 token 才設定 req.userEmail
+function optionalAuth(req, res, next) {
+  const email = verifyToken(tokenFromRequest(req));
+  if (email && !suspended.has(email)) req.userEmail = email;
+  next();
+}
+
+// ===== 密碼 =====
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !stored) return false;
+  const [salt, hash] = stored.split(":");
+  if (!salt || !hash) return false;
+  const actual = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  requireAuth,
+  requireStreamAuth,
+  optionalAuth,
+  setSuspended,
+  replaceSuspended,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,45 @@
+// middleware/rateLimit.js
+// 每個路由各自限流（見 lib/rateLimit）：同一 IP、同一帳號都要在上限內
+// 帳號的部分需放在 requireAuth 之後；multipart 路由放在 imageUpload 之前，被擋的請求不用先收檔案
+const { getStore, ruleFor } = require("../lib/rateLimit");
+const { requireAuth } = require("./auth");
+
+const store = getStore();
+
+function rateLimit(name) {
+  const rule = ruleFor(name);
+  return async function rateLimitMiddleware(req, res, next) {
+    try {
+      const buckets = [
+        ["ip", req.ip],
+        ["user", req.userEmail],
+      ]
+        .filter(([scope, id]) => rule[scope] && id)
+        .map(([scope, id]) => ({
+          key: `${name}:${scope}:${id}`,
+          ...rule[scope],
+        }));
+      if (buckets.length === 0) return next();
+
+      const result = await store.take(buckets);
+      if (!result.allowed) {
+        const seconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set("Retry-After", String(seconds));
+        return res.status(429).json({
+          error: `請求太頻繁，請 ${seconds} 秒後再試`,
+          retryAfter: seconds,
+        });
+      }
+      next();
+    } catch (err) {
+      // store 出問題時不擋正常使用
+      console.error("rate limit error", err);
+      next();
+    }
+  };
+}
+
+// 需登入的路由：requireAuth + 限流
+const rateLimited = (name) => [requireAuth, rateLimit(name)];
+
+module.exports = { rateLimit, rateLimited };
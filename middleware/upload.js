@@ -0,0 +1,30 @@
+// middleware/upload.js
+// multipart 圖片上傳：檔案放記憶體（之後由 lib/images 檢查並存到 storage）
+const multer = require("multer");
+const { MAX_IMAGE_BYTES, MAX_IMAGES_PER_ITEM } = require("../lib/images");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_ITEM },
+});
+
+const LIMIT_ERRORS = {
+  LIMIT_FILE_SIZE: [413, `單張圖片不可超過 ${MAX_IMAGE_BYTES} bytes`],
+  LIMIT_FILE_COUNT: [400, `最多 ${MAX_IMAGES_PER_ITEM} 張圖片`],
+  LIMIT_UNEXPECTED_FILE: [400, "圖片欄位需為 images"],
+};
+
+// 欄位名稱 images，可多張；非 multipart 的請求直接放行
+function imageUpload(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  upload.array("images", MAX_IMAGES_PER_ITEM)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const [status, error] = LIMIT_ERRORS[err.code] || [400, err.message];
+      return res.status(status).json({ error });
+    }
+    next(err);
+  });
+}
+
+module.exports = { imageUpload };
@@ -1,7 +1,8 @@
 // models/Chat.js
 const mongoose = require("mongoose");
 
-const MessageSchema = new mongoose.Schema(
+// 舊版嵌入式訊息，只給 scripts/migrate-messages.js 讀取
+const LegacyMessageSchema = new mongoose.Schema(
   {
     senderEmail: { type: String, required: true },
     text:        { type: String, required: true },
@@ -10,6 +11,27 @@ const MessageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// 最後一則訊息的摘要（text = 預覽文字）
+const LastMessageSchema = new mongoose.Schema(
+  {
+    _id:         mongoose.Schema.Types.ObjectId, // Message _id
+    senderEmail: String,
+    type:        String,
+    text:        String,
+    createdAt:   Date,
+  },
+  { _id: false }
+);
+
+// 每位成員讀到哪裡（email 含 "."，不能當 Map 的 key）
+const ReadReceiptSchema = new mongoose.Schema(
+  {
+    email:      { type: String, required: true },
+    lastReadAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 const ChatSchema = new mongoose.Schema(
   {
     members: { type: [String], required: true, index: true }, // [userAEmail, userBEmail]
@@ -17,12 +39,25 @@ const ChatSchema = new mongoose.Schema(
       fromItemId: String,
       toItemId:   String,
     },
+    cycleId:   { type: String, default: null }, // 多人循環交換的聊天室
+    itemIds:   { type: [String], default: [] },  // 這筆交易涉及的所有物品 _id
     createdAt: { type: Date, default: Date.now },
-    messages:  { type: [MessageSchema], default: [] },
+    // 訊息存在 Message；這裡只留最後一則的摘要與時間（/chats 排序用，沒有訊息時 = 建立時間）
+    lastMessage:   { type: LastMessageSchema, default: null },
+    lastMessageAt: { type: Date, default: Date.now, index: true },
+    readReceipts:  { type: [ReadReceiptSchema], default: [] },
+    // 舊欄位：訊息搬到 Message 之前的資料
+    messages:  { type: [LegacyMessageSchema], default: undefined },
 
+    // 交易狀態在 Trade；這裡保留結果方便查詢（舊資料 closeReason 為 null = 完成）
     doneConfirmations: { type: [String], default: [] }, // 已按下完成的 email
     closed:            { type: Boolean, default: false },
     closedAt:          { type: Date },
+    closeReason: {
+      type: String,
+      enum: ["completed", "cancelled", null],
+      default: null,
+    },
   },
   { versionKey: false }
 );
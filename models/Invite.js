@@ -7,18 +7,23 @@ const InviteSchema = new mongoose.Schema(
     toEmail:   { type: String, required: true },  // 接收方（email）
     fromItemId: { type: String, required: true }, // A 的物品 _id（字串）
     toItemId:   { type: String, required: true }, // B 的物品 _id（字串）
+    // 組合交換：雙方各自出的所有物品（第一件同 fromItemId / toItemId）
+    fromItemIds: { type: [String], default: undefined },
+    toItemIds:   { type: [String], default: undefined },
     status: {
       type: String,
-      enum: ["pending", "accepted", "rejected"],
+      enum: ["pending", "accepted", "rejected", "cancelled", "countered", "expired"],
       default: "pending",
       index: true,
     },
+    cycleId: { type: String, default: null, index: true }, // 多人循環交換（TradeCycle _id）
+    // 還價：parentInviteId = 被還價的那張邀請，threadId = 最初那張邀請
+    parentInviteId: { type: String, default: null },
+    threadId:       { type: String, default: null, index: true },
+    expiresAt: { type: Date, default: null, index: true },
     createdAt: { type: Date, default: Date.now },
   },
   { versionKey: false }
 );
 
 module.exports = mongoose.model("Invite", InviteSchema);
-
-
-
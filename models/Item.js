@@ -1,5 +1,6 @@
 // models/Item.js
 const mongoose = require("mongoose");
+const { PointSchema } = require("./PointSchema");
 
 const ItemSchema = new mongoose.Schema({
   title: String,
@@ -9,14 +10,46 @@ const ItemSchema = new mongoose.Schema({
 
   // 物品擁有者的 email（取代原本的 Firebase uid）
   email: { type: String, required: true, index: true },
-  // ✅ 新增：圖片網址（可選）
+  // ✅ 新增：圖片網址（可選）；有上傳圖片時 = 封面（images[0]）的網址
   imageUrl: { type: String, default: null },
+  // 上傳的圖片，陣列順序即顯示順序，第一張為封面（lib/images）
+  images: {
+    type: [{
+      _id: false,
+      key: String,          // storage 的 key
+      url: String,
+      contentType: String,
+      size: Number,
+    }],
+    default: [],
+  },
+  // 3D 模型（ModelJob 完成後寫入）
+  glbUrl: { type: String, default: null },
 
   rating:   { type: Number, default: 0 },
   category: { type: String, default: "other", index: true },
   priceBand:{ type: String, index: true },
+  // 搜尋用斷詞（lib/searchTokens.indexTokens(title, tags)）
+  searchTokens: { type: [String], index: true },
+  createdAt: { type: Date, default: Date.now, index: true },
+
+  // 擁有者位置（由 User.location 同步），供距離搜尋
+  location: { type: PointSchema, default: undefined },
+
+  // 生命週期：可交換 → 已保留（邀請被同意）→ 已交換；或由擁有者下架
+  status: {
+    type: String,
+    enum: ["available", "reserved", "traded", "withdrawn"],
+    default: "available",
+    index: true,
+  },
+  // 管理員隱藏（檢舉成立或擁有者被停權），隱藏的物品不會出現在任何列表
+  hidden:       { type: Boolean, default: false, index: true },
+  hiddenReason: { type: String, default: null }, // "suspended" = 隨停權隱藏，解除時一併恢復
 }, { versionKey: false });
 
+ItemSchema.index({ location: "2dsphere" });
+
 module.exports = mongoose.model("Item", ItemSchema);
 
 
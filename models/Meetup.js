@@ -0,0 +1,37 @@
+// models/Meetup.js
+const mongoose = require("mongoose");
+const { PointSchema } = require("./PointSchema");
+
+// 聊天室中的面交提案：地點 + 時間區間；同一聊天室同時只有一個 proposed / accepted
+const MeetupSchema = new mongoose.Schema(
+  {
+    chatId:     { type: String, required: true },
+    proposedBy: { type: String, required: true },
+    placeId:    { type: String, default: null }, // 來自地點清單時的 id；自訂地點為 null
+    placeName:  { type: String, required: true },
+    address:    { type: String, default: null },
+    location:   { type: PointSchema, required: true },
+    startAt:    { type: Date, required: true },
+    endAt:      { type: Date, required: true },
+    note:       { type: String, default: "" },
+    status: {
+      type: String,
+      enum: ["proposed", "accepted", "cancelled"],
+      default: "proposed",
+    },
+    acceptedBy:  { type: String, default: null },
+    acceptedAt:  { type: Date, default: null },
+    cancelledBy: { type: String, default: null },
+    cancelledAt: { type: Date, default: null },
+    // 已送出的提醒（開始前幾分鐘），避免重複通知
+    remindersSent: { type: [Number], default: [] },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+MeetupSchema.index({ chatId: 1, createdAt: -1 });
+// 提醒排程：找即將開始的 accepted
+MeetupSchema.index({ status: 1, startAt: 1 });
+
+module.exports = mongoose.model("Meetup", MeetupSchema);
@@ -0,0 +1,53 @@
+// models/Message.js
+const mongoose = require("mongoose");
+const { PointSchema } = require("./PointSchema");
+
+// 聊天訊息（原本嵌在 Chat.messages，改成獨立集合以便分頁）
+// 依 (createdAt, _id) 排序；分頁游標是訊息 _id（見 lib/messages）
+const MessageSchema = new mongoose.Schema(
+  {
+    chatId:      { type: String, required: true },
+    senderEmail: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["text", "item", "image", "location"],
+      default: "text",
+    },
+    text: { type: String, default: "" }, // text 的內容；其他類型當說明文字
+    // item：物品卡片（送出當下的快照）
+    item: {
+      type: {
+        _id: false,
+        itemId:   String,
+        title:    String,
+        price:    Number,
+        imageUrl: String,
+      },
+      default: undefined,
+    },
+    // image：上傳到 storage 的圖片（lib/images）
+    image: {
+      type: {
+        _id: false,
+        key:         String,
+        url:         String,
+        contentType: String,
+        size:        Number,
+      },
+      default: undefined,
+    },
+    // location：位置標記
+    location:      { type: PointSchema, default: undefined },
+    locationLabel: { type: String, default: null },
+
+    createdAt: { type: Date, default: Date.now },
+    editedAt:  { type: Date, default: null },
+    deletedAt: { type: Date, default: null }, // 軟刪除：內容清空，保留位置
+  },
+  { versionKey: false }
+);
+
+MessageSchema.index({ chatId: 1, createdAt: 1, _id: 1 });
+MessageSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model("Message", MessageSchema);
@@ -0,0 +1,29 @@
+// models/ModelJob.js
+const mongoose = require("mongoose");
+
+// 3D 模型產生工作（Tripo3D）；同一張圖片只會有一筆，結果重複使用
+const ModelJobSchema = new mongoose.Schema(
+  {
+    imageUrl: { type: String, required: true, unique: true },
+    status: {
+      type: String,
+      enum: ["queued", "running", "done", "failed"],
+      default: "queued",
+      index: true,
+    },
+    progress: { type: Number, default: 0 }, // 0–100
+    glbUrl:   { type: String, default: null },
+    error:    { type: String, default: null },
+    backend:  { type: String, default: null },   // 實際跑的後端（flask / fake）
+    attempts: { type: Number, default: 0 },
+    nextRunAt: { type: Date, default: Date.now, index: true }, // 重試退避
+    email:   { type: String, default: null },    // 第一個提出的人
+    requesters: { type: [String], default: [] }, // 所有提出過的人（可查詢工作）
+    itemIds: { type: [String], default: [] },    // 完成後要寫入 glbUrl 的物品
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("ModelJob", ModelJobSchema);
@@ -0,0 +1,40 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true },           // 收到通知的人
+    type: {
+      type: String,
+      enum: [
+        "invite",           // 收到交換邀請
+        "invite_accepted",  // 我送出的邀請被同意
+        "invite_rejected",  // 我送出的邀請被拒絕
+        "invite_cancelled", // 對方取消了邀請
+        "invite_countered", // 對方還價
+        "message",          // 聊天室新訊息
+        "done",             // 對方按下交易完成
+        "meetup",           // 面交提案、同意、取消
+        "meetup_reminder",  // 面交快到了
+        "trade",            // 交易取消、爭議等狀態變更
+        "want_match",       // 新上架物品符合願望清單
+      ],
+      required: true,
+    },
+    text:     { type: String, default: "" },
+    fromEmail:{ type: String, default: null },
+    inviteId: { type: String, default: null },
+    chatId:   { type: String, default: null },
+    itemId:   { type: String, default: null },
+    read:     { type: Boolean, default: false },
+    createdAt:{ type: Date, default: Date.now },
+    expiresAt:{ type: Date, required: true },
+  },
+  { versionKey: false }
+);
+
+NotificationSchema.index({ email: 1, read: 1, createdAt: -1 });
+// 到期自動刪除
+NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,29 @@
+// models/PointSchema.js
+// GeoJSON Point（給 2dsphere index 用）；注意座標順序是 [lng, lat]
+const mongoose = require("mongoose");
+
+const PointSchema = new mongoose.Schema(
+  {
+    type:        { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+// { lat, lng } → GeoJSON；座標不合法回傳 null
+function toPoint(gps) {
+  const lat = Number(gps?.lat);
+  const lng = Number(gps?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+// GeoJSON → { lat, lng }
+function fromPoint(point) {
+  const c = point?.coordinates;
+  if (!Array.isArray(c) || c.length < 2) return null;
+  return { lat: c[1], lng: c[0] };
+}
+
+module.exports = { PointSchema, toPoint, fromPoint };
@@ -2,13 +2,23 @@ const mongoose = require('mongoose');
 
 const ratingSchema = new mongoose.Schema({
   // 被評價的對象
-  email:     String,
+  email:     { type: String, index: true },
 
   // 評價來源（可選）
   fromEmail: String,
 
-  score:   Number,
+  // 來自哪一個已完成交易的聊天室
+  chatId:    { type: String, index: true },
+
+  score:   { type: Number, min: 1, max: 5 },
   comment: String,
+  createdAt: { type: Date, default: Date.now },
 }, { versionKey: false });
 
+// 同一聊天室中，每位成員對同一對象只能評一次
+ratingSchema.index(
+  { chatId: 1, fromEmail: 1, email: 1 },
+  { unique: true, partialFilterExpression: { chatId: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,41 @@
+// models/Report.js
+const mongoose = require("mongoose");
+
+// 使用者檢舉（對象：使用者、物品、聊天訊息），由管理員審核
+const ReportSchema = new mongoose.Schema(
+  {
+    reporterEmail: { type: String, required: true, index: true },
+    targetType: {
+      type: String,
+      enum: ["user", "item", "message"],
+      required: true,
+    },
+    // user → email；item → 物品 _id；message → 聊天室 _id
+    targetId:    { type: String, required: true },
+    messageId:   { type: String, default: null }, // message：訊息 _id
+    messageIndex: { type: Number, default: null }, // 舊資料：聊天室中第幾則
+    targetEmail: { type: String, index: true },    // 被檢舉的人（方便依人彙整）
+    reason: {
+      type: String,
+      enum: ["spam", "scam", "harassment", "inappropriate", "other"],
+      required: true,
+    },
+    details:  { type: String, default: "" },
+    evidence: { type: [String], default: [] }, // 截圖等網址
+    snapshot: { type: String, default: null }, // 檢舉當下的內容（訊息文字、物品標題）
+
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+      index: true,
+    },
+    reviewedBy: { type: String, default: null },
+    reviewNote: { type: String, default: null },
+    reviewedAt: { type: Date, default: null },
+    createdAt:  { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Report", ReportSchema);
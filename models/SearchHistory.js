@@ -0,0 +1,22 @@
+// models/SearchHistory.js
+const mongoose = require("mongoose");
+
+// 每位使用者每個關鍵字一筆；重複搜尋累加 count
+const SearchHistorySchema = new mongoose.Schema(
+  {
+    email:   { type: String, required: true },
+    keyword: { type: String, required: true }, // 小寫、去頭尾空白
+    count:   { type: Number, default: 1 },
+    lastSearchedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+SearchHistorySchema.index({ email: 1, keyword: 1 }, { unique: true });
+// 太久沒搜尋的關鍵字自動刪除（90 天）
+SearchHistorySchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: 60 * 60 * 24 * 90 }
+);
+
+module.exports = mongoose.model("SearchHistory", SearchHistorySchema);
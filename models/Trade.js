@@ -0,0 +1,79 @@
+// models/Trade.js
+const mongoose = require("mongoose");
+
+// 狀態變更紀錄（成員都看得到）
+const HistorySchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true }, // 例如 cancel_requested、dispute_opened
+    from:   { type: String, default: null },  // 變更前狀態
+    to:     { type: String, default: null },  // 變更後狀態（沒有轉換時同 from）
+    by:     { type: String, default: null },  // email；系統自動處理為 "system"
+    note:   { type: String, default: "" },
+    at:     { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// 取消要全員同意；沒人反對的話 expiresAt 到了自動取消
+const CancelRequestSchema = new mongoose.Schema(
+  {
+    requestedBy: { type: String, required: true },
+    reason:      { type: String, default: "" },
+    consents:    { type: [String], default: [] }, // 已同意取消的 email（含提出者）
+    requestedAt: { type: Date, default: Date.now },
+    expiresAt:   { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+const DisputeSchema = new mongoose.Schema(
+  {
+    openedBy:   { type: String, required: true },
+    reason: {
+      type: String,
+      enum: ["no_show", "not_as_described", "damaged", "other"],
+      required: true,
+    },
+    details:    { type: String, default: "" },
+    evidence:   { type: [String], default: [] }, // 照片等網址
+    messageIds: { type: [String], default: [] }, // 聊天室中的相關訊息
+    fromState:  { type: String, required: true }, // 撤回或「恢復交易」時回到這個狀態
+    openedAt:   { type: Date, default: Date.now },
+    resolvedBy: { type: String, default: null },
+    resolution: { type: String, default: null }, // completed | cancelled | reopened | withdrawn
+    resolutionNote: { type: String, default: null },
+    resolvedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// 一個聊天室一筆交易：agreed → meetup_scheduled → completed，或 cancelled / disputed
+const TradeSchema = new mongoose.Schema(
+  {
+    chatId:  { type: String, required: true, unique: true },
+    members: { type: [String], required: true, index: true },
+    itemIds: { type: [String], default: [] },
+    cycleId: { type: String, default: null },
+    state: {
+      type: String,
+      enum: ["agreed", "meetup_scheduled", "completed", "cancelled", "disputed"],
+      default: "agreed",
+      index: true,
+    },
+    confirmations: { type: [String], default: [] }, // 已按下完成的 email
+    cancelRequest: { type: CancelRequestSchema, default: null },
+    dispute:       { type: DisputeSchema, default: null }, // 最近一次爭議
+    history:       { type: [HistorySchema], default: [] },
+    completedAt:   { type: Date, default: null },
+    cancelledAt:   { type: Date, default: null },
+    createdAt:     { type: Date, default: Date.now },
+    updatedAt:     { type: Date, default: Date.now },
+    revision:      { type: Number, default: 0 }, // 每次寫入 +1，同時操作時做條件更新
+  },
+  { versionKey: false }
+);
+
+// 取消逾時排程
+TradeSchema.index({ "cancelRequest.expiresAt": 1 });
+
+module.exports = mongoose.model("Trade", TradeSchema);
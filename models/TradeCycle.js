@@ -0,0 +1,33 @@
+// models/TradeCycle.js
+const mongoose = require("mongoose");
+
+// 多人循環交換中的一段：fromEmail 把 itemId 交給 toEmail
+const LegSchema = new mongoose.Schema(
+  {
+    fromEmail: { type: String, required: true },
+    toEmail:   { type: String, required: true },
+    itemId:    { type: String, required: true }, // fromEmail 的物品 _id（字串）
+  },
+  { _id: false }
+);
+
+const TradeCycleSchema = new mongoose.Schema(
+  {
+    initiatorEmail: { type: String, required: true },
+    members:    { type: [String], required: true, index: true }, // 依循環順序
+    legs:       { type: [LegSchema], required: true },
+    key:        { type: String, index: true },       // 去重用：同一組循環只建一次
+    acceptedBy: { type: [String], default: [] },     // 已同意的 email（發起人自動同意）
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "cancelled", "expired"],
+      default: "pending",
+      index: true,
+    },
+    chatId:    { type: String, default: null },      // 全員同意後建立的聊天室
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("TradeCycle", TradeCycleSchema);
@@ -1,13 +1,31 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { PointSchema } = require('./PointSchema');
 
 const userSchema = new mongoose.Schema({
   // 以 email 當成唯一識別（不再用 Firebase uid 當主 key）
   email:       { type: String, required: true, unique: true, index: true },
   displayName: { type: String, default: null },
-  gps:         { lat: Number, lng: Number },
+  gps:         { lat: Number, lng: Number }, // 舊欄位，改存 location；讀取時相容
+  location:    { type: PointSchema, default: undefined },
+  // 推薦時的最大距離（公里），null = 使用系統預設
+  maxDistanceKm: { type: Number, default: null, min: 0 },
+  // 靜音的聊天室（不產生通知）
+  mutedChats:  { type: [String], default: [] },
+  // 密碼雜湊（salt:hash），預設查詢不帶出
+  passwordHash: { type: String, select: false },
+  // 封鎖的使用者：雙方互相看不到對方的物品、不能邀請、不能在聊天室發言
+  blockedEmails: { type: [String], default: [], index: true },
+  // 管理員（另可用環境變數 ADMIN_EMAILS 指定）
+  role:        { type: String, enum: ['user', 'admin'], default: 'user' },
+  // 停權：token 失效、物品下架（lib/moderation）
+  suspended:     { type: Boolean, default: false, index: true },
+  suspendedAt:   { type: Date, default: null },
+  suspendReason: { type: String, default: null },
   updatedAt:   { type: Date, default: Date.now },
 }, { versionKey: false });
 
+userSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('User', userSchema);
 
@@ -0,0 +1,20 @@
+// models/Want.js
+const mongoose = require("mongoose");
+
+// 使用者想要的物品條件（每個欄位都可省略，省略代表不限）
+const WantSchema = new mongoose.Schema(
+  {
+    email:        { type: String, required: true, index: true },
+    category:     { type: String, default: null },
+    keywords:     { type: [String], default: [] }, // 任一符合即可
+    maxPrice:     { type: Number, default: null },
+    minCondition: { type: Number, default: null }, // 完整度%
+
+    // 上架後符合條件、使用者還沒看過的物品 _id
+    newMatchItemIds: { type: [String], default: [] },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Want", WantSchema);
@@ -0,0 +1,21 @@
+// models/WeightModel.js
+const mongoose = require("mongoose");
+
+// 由邀請結果訓練出來的推薦權重（scripts/train-weights.js）
+const WeightModelSchema = new mongoose.Schema(
+  {
+    scope:   { type: String, required: true, unique: true }, // "global" 或使用者 email
+    weights: { type: Map, of: Number, default: {} }, // 正規化後給 /recommend 用
+    coef:    { type: Map, of: Number, default: {} }, // 邏輯迴歸係數
+    bias:    { type: Number, default: 0 },
+    means:   { type: Map, of: Number, default: {} }, // 特徵置中用的各因子平均
+    samples:   { type: Number, default: 0 },
+    positives: { type: Number, default: 0 },
+    since: { type: Date, default: null }, // 訓練資料的期間
+    until: { type: Date, default: null },
+    trainedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("WeightModel", WeightModelSchema);
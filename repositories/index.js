@@ -0,0 +1,33 @@
+// repositories/index.js
+// 資料存取層：DB_BACKEND=mongo（預設）| memory
+// 每個 repository 的介面跟 Mongoose Model 相同（find / updateOne / aggregate…）：
+// mongo 後端就是 Model 本身；memory 後端用同一份 schema 在記憶體中實作
+// 另外匯出 { backend, connect(), disconnect() }
+const MODELS = {
+  User: require("../models/User"),
+  Item: require("../models/Item"),
+  Invite: require("../models/Invite"),
+  Chat: require("../models/Chat"),
+  Message: require("../models/Message"),
+  Meetup: require("../models/Meetup"),
+  Trade: require("../models/Trade"),
+  TradeCycle: require("../models/TradeCycle"),
+  Rating: require("../models/Rating"),
+  Notification: require("../models/Notification"),
+  SearchHistory: require("../models/SearchHistory"),
+  Want: require("../models/Want"),
+  ModelJob: require("../models/ModelJob"),
+  WeightModel: require("../models/WeightModel"),
+  Report: require("../models/Report"),
+};
+
+const backends = {
+  mongo: require("./mongo"),
+  memory: require("./memory"),
+};
+
+const name = process.env.DB_BACKEND || "mongo";
+const backend = backends[name];
+if (!backend) throw new Error(`unknown DB_BACKEND: ${name}`);
+
+module.exports = { backend: name, ...backend.create(MODELS) };
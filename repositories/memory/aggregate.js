@@ -0,0 +1,253 @@
+// repositories/memory/aggregate.js
+// aggregation pipeline 的子集（專案用到的 stage），在記憶體中依序執行
+const {
+  clone,
+  compare,
+  equals,
+  getPath,
+  setPath,
+  unsetPath,
+} = require("./values");
+const { matches, angularDistance, coordinatesOf } = require("./match");
+const { evaluate, maxOf } = require("./expressions");
+
+// MongoDB 球面距離用的地球半徑（公尺）
+const EARTH_RADIUS_M = 6378100;
+
+function sortDocs(docs, spec) {
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [k, dir] of keys) {
+      const c = compare(getPath(a, k), getPath(b, k));
+      if (c !== 0) return dir < 0 ? -c : c;
+    }
+    return 0;
+  });
+}
+
+function project(doc, spec) {
+  const entries = Object.entries(spec);
+  const isExclusion = entries.every(
+    ([k, v]) =>
+      v === 0 || v === false || (k === "_id" && (v === 1 || v === true))
+  );
+  if (isExclusion) {
+    const out = clone(doc);
+    entries.forEach(([k, v]) => {
+      if (v === 0 || v === false) unsetPath(out, k);
+    });
+    return out;
+  }
+  const out = {};
+  if (spec._id === undefined && doc._id !== undefined) out._id = doc._id;
+  entries.forEach(([k, v]) => {
+    if (v === 0 || v === false) return;
+    const value = v === 1 || v === true ? getPath(doc, k) : evaluate(v, doc);
+    if (value !== undefined) setPath(out, k, clone(value));
+  });
+  return out;
+}
+
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    add: (acc, v) => (typeof v === "number" ? acc + v : acc),
+  },
+  $avg: {
+    init: () => ({ sum: 0, n: 0 }),
+    add: (acc, v) =>
+      typeof v === "number" ? { sum: acc.sum + v, n: acc.n + 1 } : acc,
+    done: (acc) => (acc.n ? acc.sum / acc.n : null),
+  },
+  $push: { init: () => [], add: (acc, v) => [...acc, v] },
+  $addToSet: {
+    init: () => [],
+    add: (acc, v) =>
+      v === undefined || acc.some((x) => equals(x, v)) ? acc : [...acc, v],
+  },
+  $first: { init: () => undefined, add: (acc, v, i) => (i === 0 ? v : acc) },
+  $last: { init: () => undefined, add: (acc, v) => v },
+  $max: { init: () => null, add: (acc, v) => maxOf([acc, v], 1) },
+  $min: { init: () => null, add: (acc, v) => maxOf([acc, v], -1) },
+};
+
+function group(docs, spec) {
+  const { _id: idExpr, ...fields } = spec;
+  const groups = [];
+  docs.forEach((doc) => {
+    const id = evaluate(idExpr, doc) ?? null;
+    let g = groups.find((x) => equals(x.id, id));
+    if (!g) {
+      g = { id, n: 0, acc: {} };
+      Object.entries(fields).forEach(([name, acc]) => {
+        const [op] = Object.keys(acc);
+        if (!ACCUMULATORS[op]) {
+          throw new Error(`memory backend: unsupported accumulator ${op}`);
+        }
+        g.acc[name] = ACCUMULATORS[op].init();
+      });
+      groups.push(g);
+    }
+    Object.entries(fields).forEach(([name, acc]) => {
+      const [op] = Object.keys(acc);
+      g.acc[name] = ACCUMULATORS[op].add(
+        g.acc[name],
+        clone(evaluate(acc[op], doc)),
+        g.n
+      );
+    });
+    g.n += 1;
+  });
+  return groups.map((g) => {
+    const out = { _id: g.id };
+    Object.entries(fields).forEach(([name, acc]) => {
+      const { done } = ACCUMULATORS[Object.keys(acc)[0]];
+      out[name] = done ? done(g.acc[name]) : g.acc[name];
+    });
+    return out;
+  });
+}
+
+function unwind(docs, arg) {
+  const { path, preserveNullAndEmptyArrays = false } =
+    typeof arg === "string" ? { path: arg } : arg;
+  const field = path.slice(1);
+  return docs.flatMap((doc) => {
+    const arr = getPath(doc, field);
+    if (!Array.isArray(arr) || arr.length === 0) {
+      if (!preserveNullAndEmptyArrays) return [];
+      return [doc];
+    }
+    return arr.map((el) => {
+      const out = clone(doc);
+      setPath(out, field, clone(el));
+      return out;
+    });
+  });
+}
+
+function geoNear(docs, spec) {
+  const center = spec.near.coordinates || spec.near;
+  const key = spec.key || "location";
+  const out = [];
+  docs.forEach((doc) => {
+    if (spec.query && !matches(doc, spec.query)) return;
+    const c = coordinatesOf(getPath(doc, key));
+    if (!c) return;
+    const dist = angularDistance(c, center) * EARTH_RADIUS_M;
+    if (spec.maxDistance != null && dist > spec.maxDistance) return;
+    if (spec.minDistance != null && dist < spec.minDistance) return;
+    const copy = clone(doc);
+    setPath(copy, spec.distanceField, dist);
+    out.push(copy);
+  });
+  return out.sort((a, b) =>
+    compare(getPath(a, spec.distanceField), getPath(b, spec.distanceField))
+  );
+}
+
+/**
+ * docs：集合中的文件（會被複製，不影響原資料）
+ * source(name)：依集合名稱取文件，給 $lookup / $unionWith 用
+ */
+function runPipeline(docs, pipeline, source, vars = {}) {
+  let out = docs.map(clone);
+  pipeline.forEach((stage, i) => {
+    const [name] = Object.keys(stage);
+    const arg = stage[name];
+    switch (name) {
+      case "$match":
+        out = out.filter((doc) => matches(doc, arg, vars));
+        break;
+      case "$project":
+        out = out.map((doc) => project(doc, arg));
+        break;
+      case "$addFields":
+      case "$set":
+        out = out.map((doc) => {
+          const copy = clone(doc);
+          Object.entries(arg).forEach(([k, v]) =>
+            setPath(copy, k, clone(evaluate(v, doc, vars)))
+          );
+          return copy;
+        });
+        break;
+      case "$unset":
+        out = out.map((doc) =>
+          project(doc, Object.fromEntries([].concat(arg).map((k) => [k, 0])))
+        );
+        break;
+      case "$replaceRoot":
+        out = out.map((doc) => clone(evaluate(arg.newRoot, doc, vars)));
+        break;
+      case "$group":
+        out = group(out, arg);
+        break;
+      case "$sort":
+        out = sortDocs(out, arg);
+        break;
+      case "$skip":
+        out = out.slice(arg);
+        break;
+      case "$limit":
+        out = out.slice(0, arg);
+        break;
+      case "$count":
+        out = out.length ? [{ [arg]: out.length }] : [];
+        break;
+      case "$unwind":
+        out = unwind(out, arg);
+        break;
+      case "$facet": {
+        const facets = {};
+        Object.entries(arg).forEach(([k, sub]) => {
+          facets[k] = runPipeline(out, sub, source, vars);
+        });
+        out = [facets];
+        break;
+      }
+      case "$unionWith": {
+        const { coll, pipeline: sub = [] } =
+          typeof arg === "string" ? { coll: arg } : arg;
+        out = out.concat(runPipeline(source(coll), sub, source));
+        break;
+      }
+      case "$lookup": {
+        const foreign = source(arg.from);
+        out = out.map((doc) => {
+          let joined = foreign;
+          if (arg.localField) {
+            const local = getPath(doc, arg.localField);
+            const locals = Array.isArray(local) ? local : [local];
+            joined = joined.filter((f) => {
+              const v = getPath(f, arg.foreignField);
+              const vs = Array.isArray(v) ? v : [v];
+              return vs.some((x) => locals.some((l) => equals(x, l)));
+            });
+          }
+          if (arg.pipeline) {
+            const letVars = {};
+            Object.entries(arg.let || {}).forEach(([k, v]) => {
+              letVars[k] = evaluate(v, doc, vars);
+            });
+            joined = runPipeline(joined, arg.pipeline, source, {
+              ...vars,
+              ...letVars,
+            });
+          }
+          return { ...doc, [arg.as]: joined.map(clone) };
+        });
+        break;
+      }
+      case "$geoNear":
+        if (i !== 0) throw new Error("$geoNear must be the first stage");
+        out = geoNear(out, arg);
+        break;
+      default:
+        throw new Error(`memory backend: unsupported stage ${name}`);
+    }
+  });
+  return out;
+}
+
+module.exports = { runPipeline, sortDocs, project };
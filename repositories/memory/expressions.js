@@ -0,0 +1,242 @@
+// repositories/memory/expressions.js
+// aggregation 運算式（$cond、$dateTrunc…）的子集，給 $project / $group / $expr 用
+const {
+  isPlainObject,
+  isObjectId,
+  equals,
+  compare,
+  getPath,
+} = require("./values");
+
+// ---- 時區 ----
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// 某時區的「牆上時間」
+function partsIn(date, timeZone = "UTC") {
+  const p = {};
+  formatterFor(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => (p[type] = value));
+  return {
+    year: +p.year,
+    month: +p.month,
+    day: +p.day,
+    hour: +p.hour,
+    minute: +p.minute,
+    second: +p.second,
+    ms: date.getUTCMilliseconds(),
+    weekday: WEEKDAYS.indexOf(p.weekday.toLowerCase()),
+  };
+}
+
+// 牆上時間 → UTC Date（夏令時間切換時再校正一次）
+function fromParts({ year, month, day, hour = 0, minute = 0, second = 0 }, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (t) => {
+    const p = partsIn(new Date(t), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - t;
+  };
+  let t = wall - offsetAt(wall);
+  t = wall - offsetAt(t);
+  return new Date(t);
+}
+
+function dateTrunc(date, { unit, timezone = "UTC", startOfWeek = "sunday" }) {
+  if (!(date instanceof Date)) return null;
+  const p = partsIn(date, timezone);
+  switch (unit) {
+    case "year":
+      return fromParts({ year: p.year, month: 1, day: 1 }, timezone);
+    case "month":
+      return fromParts({ year: p.year, month: p.month, day: 1 }, timezone);
+    case "week": {
+      const start = WEEKDAYS.indexOf(startOfWeek.slice(0, 3).toLowerCase());
+      const back = (p.weekday - start + 7) % 7;
+      const d = new Date(Date.UTC(p.year, p.month - 1, p.day - back));
+      return fromParts(
+        {
+          year: d.getUTCFullYear(),
+          month: d.getUTCMonth() + 1,
+          day: d.getUTCDate(),
+        },
+        timezone
+      );
+    }
+    case "day":
+      return fromParts({ ...p, hour: 0, minute: 0, second: 0 }, timezone);
+    case "hour":
+      return fromParts({ ...p, minute: 0, second: 0 }, timezone);
+    default:
+      throw new Error(`memory backend: unsupported $dateTrunc unit ${unit}`);
+  }
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+function dateToString(date, { format = "%Y-%m-%dT%H:%M:%S.%LZ", timezone }) {
+  if (!(date instanceof Date)) return null;
+  const p = partsIn(date, timezone || "UTC");
+  const tokens = {
+    Y: pad(p.year, 4),
+    m: pad(p.month),
+    d: pad(p.day),
+    H: pad(p.hour),
+    M: pad(p.minute),
+    S: pad(p.second),
+    L: pad(p.ms, 3),
+    "%": "%",
+  };
+  return format.replace(/%(.)/g, (all, t) => tokens[t] ?? all);
+}
+
+function toDate(v) {
+  if (v == null) return null;
+  if (v instanceof Date) return v;
+  if (isObjectId(v)) return v.getTimestamp();
+  return new Date(v);
+}
+
+const num = (v) => (typeof v === "number" ? v : v instanceof Date ? v : null);
+
+// ---- 運算子 ----
+const OPERATORS = {
+  $literal: (args) => args,
+  $size: ([arr]) => {
+    if (!Array.isArray(arr)) throw new Error("$size requires an array");
+    return arr.length;
+  },
+  $setIntersection: (lists) => {
+    const [first = [], ...rest] = lists;
+    return first.filter(
+      (x, i) =>
+        first.findIndex((y) => equals(x, y)) === i &&
+        rest.every((l) => (l || []).some((y) => equals(x, y)))
+    );
+  },
+  $ifNull: (vals) => vals.find((v) => v != null) ?? vals[vals.length - 1],
+  $add: (vals) => {
+    const date = vals.find((v) => v instanceof Date);
+    const sum = vals.reduce((a, v) => a + Number(v), 0);
+    return date ? new Date(sum) : sum;
+  },
+  $subtract: ([a, b]) => {
+    if (a == null || b == null) return null;
+    if (a instanceof Date && b instanceof Date) return a - b;
+    if (a instanceof Date) return new Date(a.getTime() - b);
+    return num(a) - num(b);
+  },
+  $multiply: (vals) =>
+    vals.some((v) => v == null) ? null : vals.reduce((a, v) => a * v, 1),
+  $divide: ([a, b]) => (a == null || b == null ? null : a / b),
+  $floor: ([v]) => (v == null ? null : Math.floor(v)),
+  $round: ([v, places = 0]) =>
+    v == null ? null : Math.round(v * 10 ** places) / 10 ** places,
+  $eq: ([a, b]) => equals(a, b),
+  $ne: ([a, b]) => !equals(a, b),
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $lt: ([a, b]) => compare(a, b) < 0,
+  $lte: ([a, b]) => compare(a, b) <= 0,
+  $in: ([x, arr]) => {
+    if (!Array.isArray(arr)) throw new Error("$in requires an array");
+    return arr.some((y) => equals(x, y));
+  },
+  $and: (vals) => vals.every(truthy),
+  $or: (vals) => vals.some(truthy),
+  $not: ([v]) => !truthy(v),
+  $first: ([arr]) => (Array.isArray(arr) ? arr[0] : null),
+  $last: ([arr]) => (Array.isArray(arr) ? arr[arr.length - 1] : null),
+  $arrayElemAt: ([arr, i]) =>
+    Array.isArray(arr) ? arr[i < 0 ? arr.length + i : i] : null,
+  $slice: ([arr, a, b]) => {
+    if (!Array.isArray(arr)) return null;
+    if (b === undefined) return a < 0 ? arr.slice(a) : arr.slice(0, a);
+    return arr.slice(a < 0 ? arr.length + a : a).slice(0, b);
+  },
+  $concat: (vals) => (vals.some((v) => v == null) ? null : vals.join("")),
+  $toString: ([v]) => (v == null ? null : String(v)),
+  $toDate: ([v]) => toDate(v),
+  $max: (vals) => maxOf(vals.flat(), 1),
+  $min: (vals) => maxOf(vals.flat(), -1),
+};
+
+// 這些運算子的參數是物件，另外處理
+const OBJECT_OPERATORS = {
+  $cond: (arg, root, vars) => {
+    const [cond, then, otherwise] = Array.isArray(arg)
+      ? arg
+      : [arg.if, arg.then, arg.else];
+    return truthy(evaluate(cond, root, vars))
+      ? evaluate(then, root, vars)
+      : evaluate(otherwise, root, vars);
+  },
+  $dateTrunc: (arg, root, vars) =>
+    dateTrunc(toDate(evaluate(arg.date, root, vars)), arg),
+  $dateToString: (arg, root, vars) => {
+    const date = evaluate(arg.date, root, vars);
+    return date == null
+      ? (arg.onNull ?? null)
+      : dateToString(toDate(date), arg);
+  },
+};
+
+function maxOf(vals, sign) {
+  const list = vals.filter((v) => v != null);
+  if (list.length === 0) return null;
+  return list.reduce((best, v) => (sign * compare(v, best) > 0 ? v : best));
+}
+
+const truthy = (v) => v != null && v !== false && v !== 0;
+
+/**
+ * 計算運算式；root 是目前的文件，vars 是 $lookup let 等變數
+ */
+function evaluate(expr, root, vars = {}) {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...rest] = expr.slice(2).split(".");
+    const base = name === "ROOT" || name === "CURRENT" ? root : vars[name];
+    return rest.length ? getPath(base, rest.join(".")) : base;
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return getPath(root, expr.slice(1));
+  }
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, root, vars));
+  if (!isPlainObject(expr)) return expr;
+
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith("$")) {
+    const op = keys[0];
+    if (OBJECT_OPERATORS[op]) return OBJECT_OPERATORS[op](expr[op], root, vars);
+    if (op === "$literal") return expr[op];
+    const fn = OPERATORS[op];
+    if (!fn) throw new Error(`memory backend: unsupported expression ${op}`);
+    const args = Array.isArray(expr[op]) ? expr[op] : [expr[op]];
+    return fn(args.map((a) => evaluate(a, root, vars)));
+  }
+  const out = {};
+  keys.forEach((k) => (out[k] = evaluate(expr[k], root, vars)));
+  return out;
+}
+
+module.exports = { evaluate, truthy, maxOf };
@@ -0,0 +1,67 @@
+// repositories/memory/index.js
+// 記憶體後端：不需要資料庫，開發與整合測試用
+// MEMORY_DB_FILE 有設定時，啟動時讀入、寫入後存回該 JSON 檔；沒設定則重開就清空
+// 限制：只支援專案用到的查詢 / 更新運算子與 aggregation stage，沒有交易；
+// 支援範圍以 test/memoryBackend.test.js 為準，用到新的運算子要先在那裡補測試
+// （TEST_MONGODB_URI 可讓同一組測試對真的 MongoDB 跑），其餘一律丟 unsupported 錯誤
+const mongoose = require("mongoose");
+const { MemoryRepository } = require("./repository");
+const { load, createPersister } = require("./persist");
+
+const MEMORY_DB_FILE = process.env.MEMORY_DB_FILE || "";
+
+function create(models) {
+  // 沒改成走 repository 的 Model 呼叫會直接報錯，而不是等連線逾時
+  mongoose.set("bufferCommands", false);
+
+  let persister = null;
+  const onChange = () => persister?.schedule();
+
+  const byCollection = {};
+  const source = (name) => {
+    const repo = byCollection[name];
+    if (!repo) throw new Error(`memory backend: unknown collection ${name}`);
+    return repo.all();
+  };
+
+  const repos = {};
+  Object.entries(models).forEach(([name, Model]) => {
+    const repo = new MemoryRepository(Model, { onChange, source });
+    repos[name] = repo;
+    byCollection[repo.collection.name] = repo;
+  });
+
+  const snapshot = () =>
+    Object.fromEntries(
+      Object.values(repos).map((r) => [r.collection.name, r.docs])
+    );
+
+  // 程式結束前把還沒寫的資料存檔
+  const flushPending = () => {
+    if (persister?.pending()) persister.flush();
+  };
+
+  async function connect(file = MEMORY_DB_FILE) {
+    if (!file) return;
+    const data = load(file);
+    Object.values(repos).forEach((r) => {
+      r.docs = (data[r.collection.name] || []).map((d) => r.normalize(d));
+    });
+    persister = createPersister(file, snapshot);
+    process.once("exit", flushPending);
+    ["SIGINT", "SIGTERM"].forEach((sig) =>
+      process.once(sig, () => {
+        flushPending();
+        process.kill(process.pid, sig);
+      })
+    );
+  }
+
+  async function disconnect() {
+    flushPending();
+  }
+
+  return { ...repos, connect, disconnect };
+}
+
+module.exports = { create };
@@ -0,0 +1,155 @@
+// repositories/memory/match.js
+// MongoDB 查詢條件的子集（專案用到的運算子）；條件需先經 Mongoose 轉型
+const {
+  isPlainObject,
+  equals,
+  compare,
+  comparable,
+  lookup,
+} = require("./values");
+const { evaluate, truthy } = require("./expressions");
+
+const isOperatorObject = (v) =>
+  isPlainObject(v) &&
+  Object.keys(v).length > 0 &&
+  Object.keys(v).every((k) => k.startsWith("$"));
+
+// 陣列欄位：條件可以比整個陣列，也可以比其中任一元素
+const expand = (values) =>
+  values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+
+function equalsAny(values, target) {
+  if (target instanceof RegExp) {
+    return expand(values).some((v) => typeof v === "string" && target.test(v));
+  }
+  if (target == null) return values.some((v) => v == null);
+  return expand(values).some((v) => equals(v, target));
+}
+
+// 兩點的球面夾角（弧度）
+function angularDistance([lng1, lat1], [lng2, lat2]) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const coordinatesOf = (v) => {
+  const c = Array.isArray(v) ? v : v?.coordinates;
+  return Array.isArray(c) && c.length >= 2 ? c : null;
+};
+
+const TYPE_CHECKS = {
+  number: (v) => typeof v === "number",
+  double: (v) => typeof v === "number",
+  int: (v) => Number.isInteger(v),
+  string: (v) => typeof v === "string",
+  bool: (v) => typeof v === "boolean",
+  date: (v) => v instanceof Date,
+  array: (v) => Array.isArray(v),
+  null: (v) => v === null,
+  objectId: (v) => v?._bsontype === "ObjectId",
+  object: (v) => isPlainObject(v),
+};
+
+function matchOperator(values, op, arg, cond) {
+  switch (op) {
+    case "$eq":
+      return equalsAny(values, arg);
+    case "$ne":
+      return !equalsAny(values, arg);
+    case "$in":
+      return arg.some((x) => equalsAny(values, x));
+    case "$nin":
+      return !arg.some((x) => equalsAny(values, x));
+    case "$gt":
+    case "$gte":
+    case "$lt":
+    case "$lte":
+      return expand(values).some((v) => {
+        if (!comparable(v, arg)) return false;
+        const c = compare(v, arg);
+        if (op === "$gt") return c > 0;
+        if (op === "$gte") return c >= 0;
+        if (op === "$lt") return c < 0;
+        return c <= 0;
+      });
+    case "$exists":
+      return values.some((v) => v !== undefined) === Boolean(arg);
+    case "$size":
+      return values.some((v) => Array.isArray(v) && v.length === arg);
+    case "$all":
+      return values.some(
+        (v) =>
+          Array.isArray(v) && arg.every((x) => v.some((el) => equals(el, x)))
+      );
+    case "$type": {
+      const check = TYPE_CHECKS[arg];
+      if (!check) throw new Error(`memory backend: unsupported $type ${arg}`);
+      return expand(values).some(check);
+    }
+    case "$regex": {
+      const re =
+        arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || "");
+      return expand(values).some((v) => typeof v === "string" && re.test(v));
+    }
+    case "$options":
+      return true;
+    case "$elemMatch":
+      return values.some(
+        (v) =>
+          Array.isArray(v) &&
+          v.some((el) =>
+            isOperatorObject(arg) ? matchField([el], arg) : matches(el, arg)
+          )
+      );
+    case "$not":
+      return !matchField(values, arg);
+    case "$geoWithin": {
+      if (!arg.$centerSphere) {
+        throw new Error("memory backend: only $centerSphere is supported");
+      }
+      const [center, radius] = arg.$centerSphere;
+      return values.some((v) => {
+        const c = coordinatesOf(v);
+        return c != null && angularDistance(c, center) <= radius;
+      });
+    }
+    default:
+      throw new Error(`memory backend: unsupported operator ${op}`);
+  }
+}
+
+function matchField(values, cond) {
+  if (cond instanceof RegExp || !isOperatorObject(cond)) {
+    return equalsAny(values, cond);
+  }
+  return Object.entries(cond).every(([op, arg]) =>
+    matchOperator(values, op, arg, cond)
+  );
+}
+
+// vars：$lookup 的 let 變數（給 $expr 用）
+function matches(doc, query = {}, vars = {}) {
+  return Object.entries(query).every(([key, cond]) => {
+    switch (key) {
+      case "$and":
+        return cond.every((q) => matches(doc, q, vars));
+      case "$or":
+        return cond.some((q) => matches(doc, q, vars));
+      case "$nor":
+        return !cond.some((q) => matches(doc, q, vars));
+      case "$expr":
+        return truthy(evaluate(cond, doc, vars));
+      case "$comment":
+        return true;
+      default:
+        return matchField(lookup(doc, key.split(".")), cond);
+    }
+  });
+}
+
+module.exports = { matches, angularDistance, coordinatesOf };
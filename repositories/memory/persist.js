@@ -0,0 +1,78 @@
+// repositories/memory/persist.js
+// 記憶體資料存成 JSON 檔（MEMORY_DB_FILE）；Date / ObjectId 用 { $date } / { $oid } 標記
+const fs = require("fs");
+const path = require("path");
+const { Types } = require("mongoose");
+const { isObjectId, isPlainObject } = require("./values");
+
+const FLUSH_DELAY_MS = 500;
+
+function encode(v) {
+  if (Array.isArray(v)) return v.map(encode);
+  if (v instanceof Date) return { $date: v.toISOString() };
+  if (isObjectId(v)) return { $oid: v.toHexString() };
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) {
+      if (x !== undefined) out[k] = encode(x);
+    }
+    return out;
+  }
+  return v;
+}
+
+function decode(v) {
+  if (Array.isArray(v)) return v.map(decode);
+  if (isPlainObject(v)) {
+    const keys = Object.keys(v);
+    if (keys.length === 1 && keys[0] === "$date") return new Date(v.$date);
+    if (keys.length === 1 && keys[0] === "$oid") {
+      return new Types.ObjectId(v.$oid);
+    }
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = decode(x);
+    return out;
+  }
+  return v;
+}
+
+// 檔案不存在回傳 {}；格式：{ [collectionName]: [doc, ...] }
+function load(file) {
+  if (!fs.existsSync(file)) return {};
+  return decode(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// 先寫暫存檔再 rename，寫到一半當掉也不會留下壞檔
+function save(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(encode(data)));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * 寫入後延遲一下再存檔（連續寫入只存一次）
+ * 回傳 { schedule(), flush() }；flush 是同步的，可在程式結束前呼叫
+ */
+function createPersister(file, snapshot) {
+  let timer = null;
+  const flush = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    save(file, snapshot());
+  };
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        console.error("memory db save error", err);
+      }
+    }, FLUSH_DELAY_MS);
+    timer.unref();
+  };
+  return { schedule, flush, pending: () => timer != null };
+}
+
+module.exports = { load, save, createPersister };
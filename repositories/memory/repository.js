@@ -0,0 +1,478 @@
+// repositories/memory/repository.js
+// 一個集合的記憶體實作，介面跟 Mongoose Model 相同（專案用到的部分）
+// 用 Model 的 schema 做轉型、預設值與驗證，資料以純物件保存
+const mongoose = require("mongoose");
+const { clone, equals, isObjectId } = require("./values");
+const { matches } = require("./match");
+const { applyUpdate, seedFromFilter } = require("./update");
+const { runPipeline, sortDocs, project } = require("./aggregate");
+
+const TO_OBJECT = { flattenMaps: true, depopulate: true, virtuals: false };
+const TTL_SWEEP_MS = 60 * 1000;
+
+const idKey = (id) => (isObjectId(id) ? id.toHexString() : String(id));
+
+// 依 "a.0.b" 直接取值（不展開陣列）
+const pick = (obj, path) =>
+  path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+// select 字串 / 物件 → project() 用的規格；select: false 的欄位預設不帶出
+function projectionSpec(select, hiddenPaths) {
+  const spec = {};
+  const forced = new Set();
+  if (typeof select === "string") {
+    select
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((t) => {
+        if (t[0] === "+") forced.add(t.slice(1));
+        else if (t[0] === "-") spec[t.slice(1)] = 0;
+        else spec[t] = 1;
+      });
+  } else if (select) {
+    Object.assign(spec, select);
+  }
+  const inclusion = Object.entries(spec).some(
+    ([k, v]) => k !== "_id" && v !== 0 && v !== false
+  );
+  if (!inclusion) {
+    hiddenPaths.forEach((p) => {
+      if (!forced.has(p) && !(p in spec)) spec[p] = 0;
+    });
+  }
+  return Object.keys(spec).length ? spec : null;
+}
+
+function duplicateKeyError(collection, fields, keyValue) {
+  const err = new Error(
+    `E11000 duplicate key error collection: ${collection} index: ${fields.join(
+      "_1_"
+    )}_1 dup key: ${JSON.stringify(keyValue)}`
+  );
+  err.name = "MongoServerError";
+  err.code = 11000;
+  err.keyValue = keyValue;
+  return err;
+}
+
+/**
+ * 可串接的查詢（sort / skip / limit / select / lean），await 時才執行
+ * run(opts) 依選項產生結果
+ */
+class MemoryQuery {
+  constructor(run, opts = {}) {
+    this.run = run;
+    this.opts = { lean: false, ...opts };
+  }
+
+  sort(spec) {
+    if (typeof spec === "string") {
+      spec = Object.fromEntries(
+        spec
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((k) => (k[0] === "-" ? [k.slice(1), -1] : [k, 1]))
+      );
+    }
+    this.opts.sort = { ...this.opts.sort, ...spec };
+    return this;
+  }
+
+  skip(n) {
+    this.opts.skip = n;
+    return this;
+  }
+
+  limit(n) {
+    this.opts.limit = n;
+    return this;
+  }
+
+  select(spec) {
+    this.opts.select = spec;
+    return this;
+  }
+
+  lean(v = true) {
+    this.opts.lean = v;
+    return this;
+  }
+
+  // Model.find(cond).distinct(field)
+  distinct(field) {
+    this.opts.distinct = field;
+    return this;
+  }
+
+  // 逐筆讀取（scripts 用）；記憶體資料量小，直接一次取出
+  cursor() {
+    const pending = this.exec();
+    return {
+      async *[Symbol.asyncIterator]() {
+        const docs = await pending;
+        for (const doc of [].concat(docs || [])) yield doc;
+      },
+    };
+  }
+
+  exec() {
+    return new Promise((resolve) => resolve(this.run(this.opts)));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+class MemoryRepository {
+  /**
+   * Model：對應的 Mongoose Model（只用 schema，不會連線）
+   * onChange()：資料變動時呼叫（排程存檔）
+   * source(name)：依集合名稱取文件，給 aggregation 的 $lookup / $unionWith
+   */
+  constructor(Model, { onChange = () => {}, source } = {}) {
+    this.Model = Model;
+    this.modelName = Model.modelName;
+    this.schema = Model.schema;
+    this.collection = { name: Model.collection.name };
+    this.docs = [];
+    this.onChange = onChange;
+    this.source = source;
+    this.lastSweep = 0;
+
+    const indexes = Model.schema.indexes();
+    this.uniqueIndexes = indexes
+      .filter(([, opts]) => opts.unique)
+      .map(([fields, opts]) => ({
+        fields: Object.keys(fields),
+        partial: opts.partialFilterExpression,
+      }));
+    this.ttlIndexes = indexes
+      .filter(([, opts]) => opts.expireAfterSeconds != null)
+      .map(([fields, opts]) => ({
+        field: Object.keys(fields)[0],
+        ms: opts.expireAfterSeconds * 1000,
+      }));
+    this.hiddenPaths = Object.entries(Model.schema.paths)
+      .filter(([, p]) => p.options?.select === false)
+      .map(([name]) => name);
+  }
+
+  // ---- 內部 ----
+
+  // 照 schema 轉型查詢條件（字串 → ObjectId / Number / Date）
+  cast(filter) {
+    return this.Model.find().cast(this.Model, clone(filter || {}));
+  }
+
+  // 照 schema 轉型並補上預設值
+  // 更新既有文件時不補：與 MongoDB 相同，$unset 掉的欄位維持不存在
+  normalize(obj, { defaults = true } = {}) {
+    return new this.Model(obj, null, { defaults }).toObject(TO_OBJECT);
+  }
+
+  // TTL index：過期的文件在下次讀取時移除
+  sweepExpired() {
+    if (this.ttlIndexes.length === 0) return;
+    const now = Date.now();
+    if (now - this.lastSweep < TTL_SWEEP_MS) return;
+    this.lastSweep = now;
+    const before = this.docs.length;
+    this.docs = this.docs.filter((doc) =>
+      this.ttlIndexes.every(({ field, ms }) => {
+        const at = doc[field];
+        return !(at instanceof Date) || at.getTime() + ms > now;
+      })
+    );
+    if (this.docs.length !== before) this.onChange();
+  }
+
+  all() {
+    this.sweepExpired();
+    return this.docs;
+  }
+
+  matching(filter) {
+    const cond = this.cast(filter);
+    return this.all().filter((doc) => matches(doc, cond));
+  }
+
+  assertUnique(doc) {
+    this.uniqueIndexes.forEach(({ fields, partial }) => {
+      if (partial && !matches(doc, partial)) return;
+      const key = fields.map((f) => pick(doc, f) ?? null);
+      const clash = this.docs.find(
+        (other) =>
+          !equals(other._id, doc._id) &&
+          (!partial || matches(other, partial)) &&
+          fields.every((f, i) => equals(pick(other, f) ?? null, key[i]))
+      );
+      if (clash) {
+        throw duplicateKeyError(
+          this.collection.name,
+          fields,
+          Object.fromEntries(fields.map((f, i) => [f, key[i]]))
+        );
+      }
+    });
+  }
+
+  indexOfId(id) {
+    const key = idKey(id);
+    return this.docs.findIndex((d) => idKey(d._id) === key);
+  }
+
+  // 新增或取代（同 _id）一筆，含唯一性檢查
+  write(doc) {
+    this.assertUnique(doc);
+    const i = this.indexOfId(doc._id);
+    if (i >= 0) this.docs[i] = doc;
+    else this.docs.push(doc);
+    this.onChange();
+  }
+
+  // 回傳給呼叫端：lean 時是純物件，否則是可 save() 的 Mongoose document
+  present(stored, { select, lean } = {}) {
+    if (!stored) return null;
+    const spec = projectionSpec(select, this.hiddenPaths);
+    const obj = spec ? project(stored, spec) : clone(stored);
+    if (lean) return obj;
+    const doc = this.Model.hydrate(obj);
+    const repo = this;
+    // 只寫回改過的欄位（跟 Mongoose 一樣，select 過的文件 save 不會清掉其他欄位）
+    doc.save = async function save() {
+      await this.validate();
+      const full = this.toObject(TO_OBJECT);
+      const $set = {};
+      const $unset = {};
+      this.directModifiedPaths().forEach((p) => {
+        const v = pick(full, p);
+        if (v === undefined) $unset[p] = "";
+        else $set[p] = v;
+      });
+      const i = repo.indexOfId(this._id);
+      if (i < 0) {
+        throw new mongoose.Error.DocumentNotFoundError(
+          { _id: this._id },
+          repo.modelName
+        );
+      }
+      const next = clone(repo.docs[i]);
+      applyUpdate(next, { $set, $unset });
+      repo.write(repo.normalize(next, { defaults: false }));
+      return this;
+    };
+    return doc;
+  }
+
+  select(docs, opts) {
+    let out = docs;
+    if (opts.sort) out = sortDocs(out, opts.sort);
+    if (opts.skip) out = out.slice(opts.skip);
+    if (opts.limit) out = out.slice(0, opts.limit);
+    return out;
+  }
+
+  async insert(data) {
+    const doc = new this.Model(data);
+    await doc.validate();
+    const obj = doc.toObject(TO_OBJECT);
+    if (this.indexOfId(obj._id) >= 0) {
+      throw duplicateKeyError(this.collection.name, ["_id"], { _id: obj._id });
+    }
+    this.write(obj);
+    return this.present(obj);
+  }
+
+  // 更新符合條件的文件；upsert 時沒有符合就新增
+  update(filter, update, { many = false, upsert = false, sort } = {}) {
+    let targets = this.matching(filter);
+    if (sort) targets = sortDocs(targets, sort);
+    if (!many) targets = targets.slice(0, 1);
+
+    if (targets.length === 0) {
+      if (!upsert) return { matched: [], updated: [], upserted: null };
+      const seed = seedFromFilter(this.cast(filter));
+      applyUpdate(seed, update, { isInsert: true });
+      const doc = this.normalize(seed);
+      this.write(doc);
+      return { matched: [], updated: [doc], upserted: doc };
+    }
+
+    const updated = targets.map((stored) => {
+      const next = clone(stored);
+      applyUpdate(next, update);
+      const doc = this.normalize(next, { defaults: false });
+      if (!equals(doc, stored)) this.write(doc);
+      return { before: stored, after: doc };
+    });
+    return {
+      matched: targets,
+      updated: updated.map((u) => u.after),
+      before: updated.map((u) => u.before),
+      modified: updated.filter((u) => !equals(u.after, u.before)).length,
+      upserted: null,
+    };
+  }
+
+  remove(filter, { many }) {
+    const targets = this.matching(filter);
+    const gone = new Set(many ? targets : targets.slice(0, 1));
+    if (gone.size > 0) {
+      this.docs = this.docs.filter((d) => !gone.has(d));
+      this.onChange();
+    }
+    return [...gone];
+  }
+
+  // ---- Mongoose Model 相容介面 ----
+
+  find(filter, select, options = {}) {
+    return new MemoryQuery(
+      (opts) => {
+        const docs = this.select(this.matching(filter), opts);
+        if (opts.distinct) return distinctOf(docs, opts.distinct);
+        return docs.map((d) => this.present(d, opts));
+      },
+      { select, ...options }
+    );
+  }
+
+  findOne(filter, select, options = {}) {
+    return new MemoryQuery(
+      (opts) => {
+        const [doc] = this.select(this.matching(filter), { ...opts, limit: 1 });
+        return this.present(doc, opts);
+      },
+      { select, ...options }
+    );
+  }
+
+  findById(id, select, options) {
+    return this.findOne({ _id: id }, select, options);
+  }
+
+  exists(filter) {
+    return new MemoryQuery(() => {
+      const [doc] = this.matching(filter);
+      return doc ? { _id: doc._id } : null;
+    });
+  }
+
+  countDocuments(filter) {
+    return new MemoryQuery(() => this.matching(filter).length);
+  }
+
+  estimatedDocumentCount() {
+    return new MemoryQuery(() => this.all().length);
+  }
+
+  distinct(field, filter) {
+    return new MemoryQuery(() => distinctOf(this.matching(filter), field));
+  }
+
+  async create(data) {
+    if (Array.isArray(data)) {
+      const out = [];
+      for (const d of data) out.push(await this.insert(d));
+      return out;
+    }
+    return this.insert(data);
+  }
+
+  insertMany(docs) {
+    return this.create([].concat(docs));
+  }
+
+  updateOne(filter, update, options = {}) {
+    return new MemoryQuery(() =>
+      writeResult(this.update(filter, update, options))
+    );
+  }
+
+  updateMany(filter, update, options = {}) {
+    return new MemoryQuery(() =>
+      writeResult(this.update(filter, update, { ...options, many: true }))
+    );
+  }
+
+  // options: { new / returnDocument: "after", upsert, sort, projection }
+  findOneAndUpdate(filter, update, options = {}) {
+    const returnNew = options.new || options.returnDocument === "after";
+    return new MemoryQuery(
+      (opts) => {
+        const r = this.update(filter, update, options);
+        const doc = returnNew ? r.updated[0] : r.before?.[0];
+        return this.present(doc, opts);
+      },
+      { select: options.projection || options.select, lean: options.lean }
+    );
+  }
+
+  findByIdAndUpdate(id, update, options) {
+    return this.findOneAndUpdate({ _id: id }, update, options);
+  }
+
+  findOneAndDelete(filter) {
+    return new MemoryQuery((opts) =>
+      this.present(this.remove(filter, { many: false })[0], opts)
+    );
+  }
+
+  findByIdAndDelete(id) {
+    return this.findOneAndDelete({ _id: id });
+  }
+
+  deleteOne(filter) {
+    return new MemoryQuery(() => ({
+      acknowledged: true,
+      deletedCount: this.remove(filter, { many: false }).length,
+    }));
+  }
+
+  deleteMany(filter) {
+    return new MemoryQuery(() => ({
+      acknowledged: true,
+      deletedCount: this.remove(filter, { many: true }).length,
+    }));
+  }
+
+  aggregate(pipeline = []) {
+    const query = new MemoryQuery(() =>
+      runPipeline(this.all(), pipeline, this.source)
+    );
+    query.allowDiskUse = () => query;
+    return query;
+  }
+
+  // 記憶體後端沒有 index 要建
+  async syncIndexes() {
+    return [];
+  }
+}
+
+function distinctOf(docs, field) {
+  const out = [];
+  docs.forEach((d) => {
+    [].concat(pick(d, field) ?? []).forEach((v) => {
+      if (!out.some((x) => equals(x, v))) out.push(v);
+    });
+  });
+  return out;
+}
+
+function writeResult({ matched, modified = 0, upserted }) {
+  return {
+    acknowledged: true,
+    matchedCount: matched.length,
+    modifiedCount: modified,
+    upsertedCount: upserted ? 1 : 0,
+    upsertedId: upserted ? upserted._id : null,
+  };
+}
+
+module.exports = { MemoryRepository, MemoryQuery };
@@ -0,0 +1,114 @@
+// repositories/memory/update.js
+// 更新運算子（$set、$inc、$addToSet…）套用到純物件上
+const {
+  isPlainObject,
+  clone,
+  equals,
+  compare,
+  getPath,
+  setPath,
+  unsetPath,
+} = require("./values");
+const { matches } = require("./match");
+
+const eachOf = (v) =>
+  isPlainObject(v) && Array.isArray(v.$each) ? v.$each : [v];
+
+function arrayAt(doc, path) {
+  const arr = getPath(doc, path);
+  if (arr == null) {
+    setPath(doc, path, []);
+    return getPath(doc, path);
+  }
+  if (!Array.isArray(arr)) {
+    throw new Error(`memory backend: ${path} is not an array`);
+  }
+  return arr;
+}
+
+// $pull 的條件：一般值比相等，物件當成子文件查詢
+function pullMatches(el, cond) {
+  if (isPlainObject(cond)) {
+    const isOps = Object.keys(cond).every((k) => k.startsWith("$"));
+    return isOps ? matches({ v: el }, { v: cond }) : matches(el, cond);
+  }
+  return equals(el, cond);
+}
+
+const APPLIERS = {
+  $set: (doc, path, v) => setPath(doc, path, clone(v)),
+  $setOnInsert: () => {},
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, v) => setPath(doc, path, (getPath(doc, path) || 0) + v),
+  $min: (doc, path, v) => {
+    const cur = getPath(doc, path);
+    if (cur == null || compare(v, cur) < 0) setPath(doc, path, clone(v));
+  },
+  $max: (doc, path, v) => {
+    const cur = getPath(doc, path);
+    if (cur == null || compare(v, cur) > 0) setPath(doc, path, clone(v));
+  },
+  $currentDate: (doc, path) => setPath(doc, path, new Date()),
+  $push: (doc, path, v) => {
+    const arr = arrayAt(doc, path);
+    arr.push(...eachOf(v).map(clone));
+    if (isPlainObject(v) && Number.isInteger(v.$slice)) {
+      const kept = v.$slice < 0 ? arr.slice(v.$slice) : arr.slice(0, v.$slice);
+      arr.splice(0, arr.length, ...kept);
+    }
+  },
+  $addToSet: (doc, path, v) => {
+    const arr = arrayAt(doc, path);
+    eachOf(v).forEach((x) => {
+      if (!arr.some((el) => equals(el, x))) arr.push(clone(x));
+    });
+  },
+  $pull: (doc, path, cond) => {
+    const arr = getPath(doc, path);
+    if (!Array.isArray(arr)) return;
+    const kept = arr.filter((el) => !pullMatches(el, cond));
+    arr.splice(0, arr.length, ...kept);
+  },
+};
+
+// 沒有 $ 的欄位跟 Mongoose 一樣視為 $set
+function normalizeUpdate(update) {
+  const out = {};
+  Object.entries(update || {}).forEach(([k, v]) => {
+    if (k.startsWith("$")) out[k] = { ...out[k], ...v };
+    else out.$set = { ...out.$set, [k]: v };
+  });
+  return out;
+}
+
+/**
+ * 直接修改 doc；isInsert 時才套用 $setOnInsert
+ */
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+  Object.entries(normalizeUpdate(update)).forEach(([op, fields]) => {
+    const apply =
+      op === "$setOnInsert" && isInsert ? APPLIERS.$set : APPLIERS[op];
+    if (!apply) throw new Error(`memory backend: unsupported update ${op}`);
+    Object.entries(fields).forEach(([path, v]) => apply(doc, path, v));
+  });
+  return doc;
+}
+
+// upsert 時由查詢條件中的相等欄位組出新文件
+function seedFromFilter(filter) {
+  const doc = {};
+  Object.entries(filter || {}).forEach(([k, v]) => {
+    if (k.startsWith("$")) {
+      if (k === "$and") v.forEach((q) => Object.assign(doc, seedFromFilter(q)));
+      return;
+    }
+    if (isPlainObject(v) && Object.keys(v).some((x) => x.startsWith("$"))) {
+      if ("$eq" in v) setPath(doc, k, clone(v.$eq));
+      return;
+    }
+    setPath(doc, k, clone(v));
+  });
+  return doc;
+}
+
+module.exports = { applyUpdate, seedFromFilter };
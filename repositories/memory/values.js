@@ -0,0 +1,164 @@
+// repositories/memory/values.js
+// 記憶體後端共用的值處理：複製、比較（照 BSON 型別順序）、依路徑取值
+const isObjectId = (v) => v != null && v._bsontype === "ObjectId";
+
+const isPlainObject = (v) => {
+  if (v == null || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+};
+
+// 深複製；ObjectId 不可變，直接共用
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v.getTime());
+  if (isObjectId(v)) return v;
+  if (Buffer.isBuffer(v)) return Buffer.from(v);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = clone(x);
+    return out;
+  }
+  return v;
+}
+
+// 比較時 ObjectId 與它的 hex 字串視為相同（Mongoose 查詢時會自動轉型）
+const norm = (v) => (isObjectId(v) ? v.toHexString() : v);
+
+function equals(a, b) {
+  a = norm(a);
+  b = norm(b);
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((x, i) => equals(x, b[i]))
+    );
+  }
+  if (typeof a === "object" && typeof b === "object") {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return (
+      ka.length === kb.length &&
+      ka.every((k, i) => k === kb[i] && equals(a[k], b[k]))
+    );
+  }
+  return a === b;
+}
+
+// MongoDB 的型別排序：null < 數字 < 字串 < 物件 < 陣列 < ObjectId < 布林 < 日期
+function typeRank(v) {
+  if (v == null) return 0;
+  if (typeof v === "number") return 1;
+  if (typeof v === "string") return 2;
+  if (Array.isArray(v)) return 4;
+  if (isObjectId(v)) return 5;
+  if (typeof v === "boolean") return 6;
+  if (v instanceof Date) return 7;
+  return 3;
+}
+
+function compare(a, b) {
+  const ra = typeRank(a);
+  const rb = typeRank(b);
+  if (ra !== rb) return ra - rb;
+  switch (ra) {
+    case 0:
+      return 0;
+    case 1:
+    case 6:
+      return Number(a) - Number(b);
+    case 2:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 5:
+      return compare(a.toHexString(), b.toHexString());
+    case 7:
+      return a.getTime() - b.getTime();
+    case 4:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = compare(a[i], b[i]);
+        if (c !== 0) return c;
+      }
+      return a.length - b.length;
+    default:
+      return compare(JSON.stringify(a), JSON.stringify(b));
+  }
+}
+
+// 可比大小的同類型（$gt/$lt 只比同類型，跟 MongoDB 一樣）
+const comparable = (a, b) => {
+  const ra = typeRank(a);
+  return ra !== 0 && ra === typeRank(b);
+};
+
+// 依 "a.b.c" 取值，遇到陣列會展開：回傳所有末端值
+function lookup(value, parts) {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) return lookup(value[+parts[0]], parts.slice(1));
+    return value.flatMap((el) =>
+      el != null && typeof el === "object" ? lookup(el, parts) : []
+    );
+  }
+  if (value == null || typeof value !== "object") return [undefined];
+  return lookup(value[parts[0]], parts.slice(1));
+}
+
+// 單一值的取法（aggregation 的 "$a.b"：陣列中的欄位會組成陣列）
+function getPath(value, path) {
+  let cur = value;
+  for (const part of path.split(".")) {
+    if (Array.isArray(cur)) {
+      cur = cur
+        .map((el) =>
+          el != null && typeof el === "object" ? el[part] : undefined
+        )
+        .filter((x) => x !== undefined);
+    } else if (cur != null && typeof cur === "object") {
+      cur = cur[part];
+    } else {
+      return undefined;
+    }
+  }
+  return cur;
+}
+
+function setPath(obj, path, value) {
+  const parts = path.split(".");
+  let cur = obj;
+  parts.slice(0, -1).forEach((p) => {
+    if (cur[p] == null || typeof cur[p] !== "object") cur[p] = {};
+    cur = cur[p];
+  });
+  cur[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(obj, path) {
+  const parts = path.split(".");
+  let cur = obj;
+  for (const p of parts.slice(0, -1)) {
+    cur = cur?.[p];
+    if (cur == null || typeof cur !== "object") return;
+  }
+  delete cur[parts[parts.length - 1]];
+}
+
+module.exports = {
+  isObjectId,
+  isPlainObject,
+  clone,
+  equals,
+  compare,
+  comparable,
+  lookup,
+  getPath,
+  setPath,
+  unsetPath,
+};
@@ -0,0 +1,16 @@
+// repositories/mongo.js
+// MongoDB 後端：repository 直接用 Mongoose Model
+const mongoose = require("mongoose");
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/barter";
+
+function create(models) {
+  return {
+    ...models,
+    connect: (uri = MONGODB_URI) => mongoose.connect(uri),
+    disconnect: () => mongoose.disconnect(),
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,215 @@
+// routes/admin.js
+// 管理員：審核檢舉、停權帳號、認領舊帳號、隱藏物品、處理交易爭議
+const express = require("express");
+const mongoose = require("mongoose");
+const { User, Report, Trade } = require("../repositories");
+const { requireAuth, issueToken } = require("../middleware/auth");
+const { requireAdmin } = require("../middleware/admin");
+const { pageParams, encodeCursor } = require("../lib/pagination");
+const {
+  suspendUser,
+  unsuspendUser,
+  setItemHidden,
+} = require("../lib/moderation");
+const { tradeView, applyAction, resolveDispute } = require("../lib/trades");
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+// 檢舉列表（舊到新，先處理等最久的）；?status=open|resolved|dismissed&targetEmail=
+router.get("/reports", async (req, res) => {
+  try {
+    const { limit, offset, error } = pageParams(req.query);
+    if (error) return res.status(400).json({ error });
+    const cond = { status: req.query.status || "open" };
+    if (req.query.targetEmail) cond.targetEmail = req.query.targetEmail;
+
+    const rows = await Report.find(cond)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(offset)
+      .limit(limit + 1)
+      .lean();
+    const hasMore = rows.length > limit;
+
+    // 每個被檢舉的人累積幾件未處理的檢舉
+    const emails = [...new Set(rows.map((r) => r.targetEmail))];
+    const counts = await Report.aggregate([
+      { $match: { targetEmail: { $in: emails }, status: "open" } },
+      { $group: { _id: "$targetEmail", count: { $sum: 1 } } },
+    ]);
+    const openCounts = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+
+    res.json({
+      results: rows.slice(0, limit).map((r) => ({
+        ...r,
+        openReportsAgainstTarget: openCounts[r.targetEmail] || 0,
+      })),
+      nextCursor: hasMore ? encodeCursor(offset + limit) : null,
+    });
+  } catch (err) {
+    console.error("admin reports error", err);
+    res.status(500).json({ error: "admin reports failed" });
+  }
+});
+
+// 結案：body { status: "resolved" | "dismissed", note? }
+router.post("/reports/:id/review", async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!["resolved", "dismissed"].includes(status)) {
+      return res
+        .status(400)
+        .json({ error: "status 需為 resolved 或 dismissed" });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到檢舉" });
+    }
+    const report = await Report.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: {
+          status,
+          reviewNote: note ? String(note) : null,
+          reviewedBy: req.userEmail,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!report) return res.status(404).json({ error: "找不到檢舉" });
+    res.json({ ok: true, report });
+  } catch (err) {
+    console.error("review report error", err);
+    res.status(500).json({ error: "review report failed" });
+  }
+});
+
+// 停權：body { reason? }
+router.post("/users/:email/suspend", async (req, res) => {
+  try {
+    const { email } = req.params;
+    if (email === req.userEmail) {
+      return res.status(400).json({ error: "不能停權自己" });
+    }
+    if (!(await User.exists({ email }))) {
+      return res.status(404).json({ error: "找不到使用者" });
+    }
+    await suspendUser(email, req.body.reason ? String(req.body.reason) : null);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("suspend user error", err);
+    res.status(500).json({ error: "suspend failed" });
+  }
+});
+
+router.post("/users/:email/unsuspend", async (req, res) => {
+  try {
+    if (!(await User.exists({ email: req.params.email }))) {
+      return res.status(404).json({ error: "找不到使用者" });
+    }
+    await unsuspendUser(req.params.email);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("unsuspend user error", err);
+    res.status(500).json({ error: "unsuspend failed" });
+  }
+});
+
+const CLAIM_TOKEN_TTL_SEC = Number(process.env.CLAIM_TOKEN_TTL_SEC) || 60 * 60;
+
+// 認領尚未設定密碼的舊帳號：管理員確認身分後把 token 交給本人，
+// 本人帶著它呼叫 /registerUser 補設密碼
+router.post("/users/:email/claim-token", async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.params.email }).select(
+      "+passwordHash"
+    );
+    if (!user) return res.status(404).json({ error: "找不到使用者" });
+    if (user.passwordHash) {
+      return res.status(409).json({ error: "帳號已設定密碼" });
+    }
+    res.json({
+      ok: true,
+      token: issueToken(user.email, CLAIM_TOKEN_TTL_SEC),
+      expiresIn: CLAIM_TOKEN_TTL_SEC,
+    });
+  } catch (err) {
+    console.error("claim token error", err);
+    res.status(500).json({ error: "claim token failed" });
+  }
+});
+
+// 隱藏 / 恢復物品：body { reason? }
+router.post("/items/:id/hide", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到物品" });
+    }
+    const reason = req.body.reason ? String(req.body.reason) : "moderation";
+    const item = await setItemHidden(req.params.id, true, reason);
+    if (!item) return res.status(404).json({ error: "找不到物品" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("hide item error", err);
+    res.status(500).json({ error: "hide item failed" });
+  }
+});
+
+router.post("/items/:id/unhide", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到物品" });
+    }
+    const item = await setItemHidden(req.params.id, false);
+    if (!item) return res.status(404).json({ error: "找不到物品" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("unhide item error", err);
+    res.status(500).json({ error: "unhide item failed" });
+  }
+});
+
+// 爭議中的交易（舊到新，先處理等最久的）
+router.get("/trades/disputes", async (req, res) => {
+  try {
+    const { limit, offset, error } = pageParams(req.query);
+    if (error) return res.status(400).json({ error });
+    const rows = await Trade.find({ state: "disputed" })
+      .sort({ "dispute.openedAt": 1, _id: 1 })
+      .skip(offset)
+      .limit(limit + 1)
+      .lean();
+    const hasMore = rows.length > limit;
+    res.json({
+      results: rows.slice(0, limit).map(tradeView),
+      nextCursor: hasMore ? encodeCursor(offset + limit) : null,
+    });
+  } catch (err) {
+    console.error("admin disputes error", err);
+    res.status(500).json({ error: "admin disputes failed" });
+  }
+});
+
+// 處理爭議：body { outcome: "completed" | "cancelled" | "reopen", note? }
+router.post("/trades/:id/resolve", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到交易" });
+    }
+    const trade = await Trade.findById(req.params.id);
+    if (!trade) return res.status(404).json({ error: "找不到交易" });
+
+    const result = await applyAction(trade, "system", (t) =>
+      resolveDispute(t, req.userEmail, req.body.outcome, req.body.note)
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ ok: true, trade: result.trade });
+  } catch (err) {
+    console.error("resolve dispute error", err);
+    res.status(500).json({ error: "resolve dispute failed" });
+  }
+});
+
+module.exports = router;
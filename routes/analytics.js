@@ -0,0 +1,74 @@
+// routes/analytics.js
+// 管理後台指標：GET /admin/analytics/:report?from=&to=&interval=&format=csv
+// report：activity | listings | funnel | time-to-complete | geo
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { requireAdmin } = require("../middleware/admin");
+const { numOr } = require("../lib/params");
+const { toCsv } = require("../lib/csv");
+const { INTERVALS, REPORTS } = require("../lib/analytics");
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366 * 2;
+
+// 預設最近 30 天；geo 沒給 from 時算全部使用者
+function parseRange(query, report) {
+  const to = query.to ? new Date(query.to) : new Date();
+  let from;
+  if (query.from) from = new Date(query.from);
+  else if (report === "geo") from = new Date(0);
+  else from = new Date(to.getTime() - DEFAULT_DAYS * 864e5);
+
+  if (Number.isNaN(+from) || Number.isNaN(+to)) {
+    return { error: "from / to 需為日期（ISO 8601）" };
+  }
+  if (from >= to) return { error: "from 需早於 to" };
+  if (report !== "geo" && to - from > MAX_DAYS * 864e5) {
+    return { error: `區間最長 ${MAX_DAYS} 天` };
+  }
+  return { from, to };
+}
+
+router.get("/", (req, res) => {
+  res.json({ reports: Object.keys(REPORTS), intervals: INTERVALS });
+});
+
+router.get("/:report", async (req, res) => {
+  try {
+    const { report } = req.params;
+    const run = REPORTS[report];
+    if (!run) return res.status(404).json({ error: "未知的報表" });
+
+    const range = parseRange(req.query, report);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      return res
+        .status(400)
+        .json({ error: `interval 需為 ${INTERVALS.join(" / ")}` });
+    }
+
+    const rows = await run({
+      ...range,
+      interval,
+      cellDeg: numOr(req.query.cellDeg, undefined),
+    });
+
+    if (req.query.format === "csv") {
+      const day = (d) => d.toISOString().slice(0, 10);
+      res.type("text/csv; charset=utf-8");
+      res.attachment(`${report}_${day(range.from)}_${day(range.to)}.csv`);
+      // 加 BOM，Excel 開啟中文才不會亂碼
+      return res.send("\uFEFF" + toCsv(rows));
+    }
+    res.json({ report, from: range.from, to: range.to, interval, rows });
+  } catch (err) {
+    console.error("analytics error", err);
+    res.status(500).json({ error: "analytics failed" });
+  }
+});
+
+module.exports = router;
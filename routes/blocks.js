@@ -0,0 +1,59 @@
+// routes/blocks.js
+// 我的封鎖名單
+const express = require("express");
+const { User } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const { blockUser, unblockUser } = require("../lib/moderation");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MAX_BLOCKS = 500;
+
+router.get("/", async (req, res) => {
+  try {
+    const me = await User.findOne({ email: req.userEmail }).lean();
+    res.json({ blockedEmails: me?.blockedEmails || [] });
+  } catch (err) {
+    console.error("blocks error", err);
+    res.status(500).json({ error: "blocks failed" });
+  }
+});
+
+// body: { email }
+router.post("/", async (req, res) => {
+  try {
+    const target = String(req.body.email || "").trim();
+    if (!target) return res.status(400).json({ error: "缺少 email" });
+    if (target === req.userEmail) {
+      return res.status(400).json({ error: "不能封鎖自己" });
+    }
+
+    const me = await User.findOne({ email: req.userEmail }).lean();
+    if (!me) return res.status(404).json({ error: "找不到使用者" });
+    if ((me.blockedEmails || []).length >= MAX_BLOCKS) {
+      return res.status(400).json({ error: `最多封鎖 ${MAX_BLOCKS} 人` });
+    }
+    if (!(await User.exists({ email: target }))) {
+      return res.status(404).json({ error: "找不到要封鎖的使用者" });
+    }
+
+    await blockUser(req.userEmail, target);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("block user error", err);
+    res.status(500).json({ error: "block failed" });
+  }
+});
+
+router.delete("/:email", async (req, res) => {
+  try {
+    await unblockUser(req.userEmail, req.params.email);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("unblock user error", err);
+    res.status(500).json({ error: "unblock failed" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// routes/images.js
+// 物品圖片：上傳、刪除、排序/封面，以及提供圖片檔
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { imageUpload } = require("../middleware/upload");
+const { rateLimited } = require("../middleware/rateLimit");
+const {
+  MAX_IMAGES_PER_ITEM,
+  isImageKey,
+  contentTypeOf,
+  storeImages,
+  removeImages,
+  syncCover,
+} = require("../lib/images");
+const { getStorage } = require("../lib/storage");
+const { ownItem } = require("../lib/items");
+
+const router = express.Router();
+
+// 新增圖片（multipart，欄位 images，可多張），接在現有圖片後面
+const uploadGuards = [...rateLimited("upload"), imageUpload];
+router.post("/items/:id/images", uploadGuards, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) return res.status(400).json({ error: "缺少圖片" });
+
+    const item = await ownItem(req, res);
+    if (!item) return;
+    if (item.images.length + files.length > MAX_IMAGES_PER_ITEM) {
+      return res
+        .status(400)
+        .json({ error: `每件物品最多 ${MAX_IMAGES_PER_ITEM} 張圖片` });
+    }
+
+    const stored = await storeImages(files);
+    if (stored.error) return res.status(415).json({ error: stored.error });
+
+    item.images.push(...stored.images);
+    syncCover(item);
+    try {
+      await item.save();
+    } catch (err) {
+      await removeImages(stored.images.map((img) => img.key));
+      throw err;
+    }
+    res.json({ ok: true, images: item.images, imageUrl: item.imageUrl });
+  } catch (err) {
+    console.error("upload images error", err);
+    res.status(500).json({ error: "upload images failed" });
+  }
+});
+
+// 重新排序；body: { keys: [...] }，必須是目前所有圖片的 key，第一個成為封面
+router.put("/items/:id/images/order", requireAuth, async (req, res) => {
+  try {
+    const item = await ownItem(req, res);
+    if (!item) return;
+
+    const { keys } = req.body;
+    const current = item.images.map((img) => img.key);
+    if (
+      !Array.isArray(keys) ||
+      keys.length !== current.length ||
+      !current.every((k) => keys.includes(k))
+    ) {
+      return res.status(400).json({ error: "keys 需包含所有圖片各一次" });
+    }
+
+    const byKey = new Map(item.images.map((img) => [img.key, img.toObject()]));
+    item.images = keys.map((k) => byKey.get(k));
+    syncCover(item);
+    await item.save();
+    res.json({ ok: true, images: item.images, imageUrl: item.imageUrl });
+  } catch (err) {
+    console.error("reorder images error", err);
+    res.status(500).json({ error: "reorder images failed" });
+  }
+});
+
+// 設為封面（移到第一張）
+router.post("/items/:id/images/:key/cover", requireAuth, async (req, res) => {
+  try {
+    const item = await ownItem(req, res);
+    if (!item) return;
+
+    const idx = item.images.findIndex((img) => img.key === req.params.key);
+    if (idx === -1) return res.status(404).json({ error: "找不到圖片" });
+
+    const [cover] = item.images.splice(idx, 1);
+    item.images.unshift(cover);
+    syncCover(item);
+    await item.save();
+    res.json({ ok: true, images: item.images, imageUrl: item.imageUrl });
+  } catch (err) {
+    console.error("set cover error", err);
+    res.status(500).json({ error: "set cover failed" });
+  }
+});
+
+router.delete("/items/:id/images/:key", requireAuth, async (req, res) => {
+  try {
+    const item = await ownItem(req, res);
+    if (!item) return;
+
+    const idx = item.images.findIndex((img) => img.key === req.params.key);
+    if (idx === -1) return res.status(404).json({ error: "找不到圖片" });
+
+    item.images.splice(idx, 1);
+    syncCover(item);
+    await item.save();
+    await removeImages([req.params.key]);
+    res.json({ ok: true, images: item.images, imageUrl: item.imageUrl });
+  } catch (err) {
+    console.error("delete image error", err);
+    res.status(500).json({ error: "delete image failed" });
+  }
+});
+
+// 提供圖片檔；key 是隨機產生且內容不會變，可長期快取
+router.get("/images/:key", async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!isImageKey(key)) return res.status(404).end();
+
+    const etag = `"${key}"`;
+    res.set({
+      "Cache-Control": "public, max-age=31536000, immutable",
+      ETag: etag,
+    });
+    if (req.get("If-None-Match") === etag) return res.status(304).end();
+
+    const file = await getStorage().get(key);
+    if (!file) return res.status(404).end();
+
+    res.set({
+      "Content-Type": contentTypeOf(key),
+      "Content-Length": file.size,
+      "X-Content-Type-Options": "nosniff",
+    });
+    file.stream.on("error", (err) => {
+      console.error("serve image error", err);
+      res.destroy(err);
+    });
+    file.stream.pipe(res);
+  } catch (err) {
+    console.error("serve image error", err);
+    res.status(500).end();
+  }
+});
+
+module.exports = router;
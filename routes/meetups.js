@@ -0,0 +1,243 @@
+// routes/meetups.js
+// 聊天室中的面交提案：建議地點、提案、同意、取消、匯出 .ics
+// 掛在 /chats/:chatId/meetups
+const express = require("express");
+const mongoose = require("mongoose");
+const { Chat, Meetup } = require("../repositories");
+const { requireAuth, requireStreamAuth } = require("../middleware/auth");
+const { anyBlocked } = require("../lib/moderation");
+const {
+  suggestPlaces,
+  parseProposal,
+  meetupView,
+  activeMeetup,
+  passedOffsets,
+  describe,
+  announce,
+  toICS,
+} = require("../lib/meetups");
+const { syncMeetup } = require("../lib/trades");
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_SUGGESTIONS = 20;
+const HISTORY_LIMIT = 10;
+
+// 聊天室成員才能操作；回傳 chat 或已回應錯誤時回傳 null
+async function memberChat(req, res) {
+  if (!mongoose.isValidObjectId(req.params.chatId)) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  const chat = await Chat.findById(req.params.chatId).lean();
+  if (!chat) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  if (!chat.members.includes(req.userEmail)) {
+    res.status(403).json({ error: "非聊天室成員" });
+    return null;
+  }
+  return chat;
+}
+
+// 提案、同意前的共同檢查
+async function openChat(req, res) {
+  const chat = await memberChat(req, res);
+  if (!chat) return null;
+  if (chat.closed) {
+    res.status(403).json({ error: "聊天室已關閉" });
+    return null;
+  }
+  if (await anyBlocked(chat.members)) {
+    res.status(403).json({ error: "聊天室成員之間有封鎖關係" });
+    return null;
+  }
+  return chat;
+}
+
+async function findMeetup(req, res, chat) {
+  const { meetupId } = req.params;
+  const meetup = mongoose.isValidObjectId(meetupId)
+    ? await Meetup.findOne({ _id: meetupId, chatId: String(chat._id) })
+    : null;
+  if (!meetup) res.status(404).json({ error: "找不到面交提案" });
+  return meetup;
+}
+
+// 建議地點：兩人位置的中點附近、對雙方都不會太遠的公共場所
+// ?limit=5 &type=mrt|station|police|library
+router.get("/suggestions", requireAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    const n = Number(req.query.limit);
+    const limit = Number.isFinite(n)
+      ? Math.min(MAX_SUGGESTIONS, Math.max(1, n))
+      : 5;
+    const result = await suggestPlaces(chat.members, {
+      limit,
+      type: req.query.type ? String(req.query.type) : null,
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("meetup suggestions error", err);
+    res.status(500).json({ error: "meetup suggestions failed" });
+  }
+});
+
+// 目前的提案與最近的紀錄
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    const [current, history] = await Promise.all([
+      activeMeetup(chat._id),
+      Meetup.find({ chatId: String(chat._id) })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .lean(),
+    ]);
+    res.json({
+      current: current ? meetupView(current) : null,
+      history: history.map(meetupView),
+    });
+  } catch (err) {
+    console.error("meetups error", err);
+    res.status(500).json({ error: "meetups failed" });
+  }
+});
+
+// 提出面交；已有的提案（不論是否已同意）會被取代
+// body: { placeId } 或 { placeName, lat, lng, address? }，加上 { startAt, endAt?, note? }
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const chat = await openChat(req, res);
+    if (!chat) return;
+    const parsed = parseProposal(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const email = req.userEmail;
+    const replaced = await activeMeetup(chat._id);
+    await Meetup.updateMany(
+      { chatId: String(chat._id), status: { $in: ["proposed", "accepted"] } },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledBy: email,
+          cancelledAt: new Date(),
+        },
+      }
+    );
+    const meetup = await Meetup.create({
+      ...parsed.fields,
+      chatId: String(chat._id),
+      proposedBy: email,
+    });
+    if (replaced?.status === "accepted") {
+      await syncMeetup(chat, false, email);
+    }
+    const view = await announce(
+      chat,
+      meetup,
+      email,
+      `${email} 提議面交：${describe(meetup)}`
+    );
+    res.json({ ok: true, meetup: view });
+  } catch (err) {
+    console.error("propose meetup error", err);
+    res.status(500).json({ error: "propose meetup failed" });
+  }
+});
+
+// 同意對方的提案
+router.post("/:meetupId/accept", requireAuth, async (req, res) => {
+  try {
+    const chat = await openChat(req, res);
+    if (!chat) return;
+    const meetup = await findMeetup(req, res, chat);
+    if (!meetup) return;
+
+    const email = req.userEmail;
+    if (meetup.status !== "proposed") {
+      return res.status(409).json({ error: `提案已是 ${meetup.status}` });
+    }
+    if (meetup.proposedBy === email) {
+      return res.status(400).json({ error: "不能同意自己的提案" });
+    }
+    if (meetup.startAt <= new Date()) {
+      return res.status(409).json({ error: "提案時間已過" });
+    }
+
+    meetup.status = "accepted";
+    meetup.acceptedBy = email;
+    meetup.acceptedAt = new Date();
+    meetup.remindersSent = passedOffsets(meetup.startAt);
+    await meetup.save();
+    await syncMeetup(chat, true, email);
+    const view = await announce(
+      chat,
+      meetup,
+      email,
+      `${email} 同意面交：${describe(meetup)}`
+    );
+    res.json({ ok: true, meetup: view });
+  } catch (err) {
+    console.error("accept meetup error", err);
+    res.status(500).json({ error: "accept meetup failed" });
+  }
+});
+
+// 取消（提案人撤回、對方拒絕、或取消已同意的面交）
+router.post("/:meetupId/cancel", requireAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    const meetup = await findMeetup(req, res, chat);
+    if (!meetup) return;
+    if (meetup.status === "cancelled") {
+      return res.status(409).json({ error: "提案已取消" });
+    }
+
+    const email = req.userEmail;
+    const wasAccepted = meetup.status === "accepted";
+    meetup.status = "cancelled";
+    meetup.cancelledBy = email;
+    meetup.cancelledAt = new Date();
+    await meetup.save();
+    if (wasAccepted) await syncMeetup(chat, false, email);
+    const view = await announce(
+      chat,
+      meetup,
+      email,
+      `${email} 取消面交：${describe(meetup)}`
+    );
+    res.json({ ok: true, meetup: view });
+  } catch (err) {
+    console.error("cancel meetup error", err);
+    res.status(500).json({ error: "cancel meetup failed" });
+  }
+});
+
+// 已同意的面交匯出成 .ics；行事曆 app 訂閱時無法帶 header，可用 ?token=
+router.get("/:meetupId/calendar.ics", requireStreamAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    const meetup = await findMeetup(req, res, chat);
+    if (!meetup) return;
+    if (meetup.status !== "accepted") {
+      return res.status(409).json({ error: "面交尚未確認" });
+    }
+
+    res.type("text/calendar; charset=utf-8");
+    res.attachment(`meetup-${meetup._id}.ics`);
+    res.send(toICS(meetup, chat, req.hostname));
+  } catch (err) {
+    console.error("meetup ics error", err);
+    res.status(500).json({ error: "meetup ics failed" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// routes/notifications.js
+// 站內通知：列表、已讀、全部已讀、未讀數
+const express = require("express");
+const mongoose = require("mongoose");
+const { Notification, User } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const { INVITE_TYPES, CHAT_TYPES } = require("../lib/notify");
+const { pageParams, encodeCursor } = require("../lib/pagination");
+
+const router = express.Router();
+router.use(requireAuth);
+
+// 通知列表（新到舊）；?unread=1 只看未讀
+router.get("/", async (req, res) => {
+  try {
+    const { limit, offset, error } = pageParams(req.query);
+    if (error) return res.status(400).json({ error });
+    const cond = { email: req.userEmail };
+    if (req.query.unread === "1" || req.query.unread === "true") {
+      cond.read = false;
+    }
+
+    // 多拿一筆判斷有沒有下一頁
+    const rows = await Notification.find(cond)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit + 1);
+    const hasMore = rows.length > limit;
+    res.json({
+      results: rows.slice(0, limit),
+      nextCursor: hasMore ? encodeCursor(offset + limit) : null,
+    });
+  } catch (err) {
+    console.error("notifications error", err);
+    res.status(500).json({ error: "notifications failed" });
+  }
+});
+
+// 未讀數：總數、邀請、每個聊天室
+router.get("/unread-counts", async (req, res) => {
+  try {
+    const rows = await Notification.aggregate([
+      { $match: { email: req.userEmail, read: false } },
+      {
+        $group: {
+          _id: { type: "$type", chatId: "$chatId" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const counts = { total: 0, invites: 0, chats: {} };
+    rows.forEach(({ _id, count }) => {
+      counts.total += count;
+      if (INVITE_TYPES.includes(_id.type)) counts.invites += count;
+      if (CHAT_TYPES.includes(_id.type) && _id.chatId) {
+        counts.chats[_id.chatId] = (counts.chats[_id.chatId] || 0) + count;
+      }
+    });
+    res.json(counts);
+  } catch (err) {
+    console.error("unread counts error", err);
+    res.status(500).json({ error: "unread counts failed" });
+  }
+});
+
+// 通知設定（目前只有靜音的聊天室）
+router.get("/settings", async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.userEmail });
+    res.json({ mutedChats: user?.mutedChats || [] });
+  } catch (err) {
+    console.error("notification settings error", err);
+    res.status(500).json({ error: "notification settings failed" });
+  }
+});
+
+// 全部標為已讀；可用 ?chatId= 只清某個聊天室
+router.post("/read-all", async (req, res) => {
+  try {
+    const cond = { email: req.userEmail, read: false };
+    if (req.query.chatId) cond.chatId = String(req.query.chatId);
+    const { modifiedCount } = await Notification.updateMany(cond, {
+      $set: { read: true },
+    });
+    res.json({ ok: true, updated: modifiedCount });
+  } catch (err) {
+    console.error("read all error", err);
+    res.status(500).json({ error: "read all failed" });
+  }
+});
+
+// 單則標為已讀
+router.post("/:id/read", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到通知" });
+    }
+    const result = await Notification.updateOne(
+      { _id: req.params.id, email: req.userEmail },
+      { $set: { read: true } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: "找不到通知" });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("read notification error", err);
+    res.status(500).json({ error: "read notification failed" });
+  }
+});
+
+module.exports = router;
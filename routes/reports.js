@@ -0,0 +1,129 @@
+// routes/reports.js
+// 檢舉使用者、物品或聊天訊息
+const express = require("express");
+const mongoose = require("mongoose");
+const { User, Item, Chat, Message, Report } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const { previewOf } = require("../lib/messages");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const REASONS = Report.schema.path("reason").enumValues;
+const MAX_EVIDENCE = 5;
+const MAX_DETAILS = 2000;
+// 同一人對同一對象 24 小時內只能檢舉一次
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// 找出被檢舉的對象；回傳 { targetEmail, snapshot } 或 { status, error }
+async function resolveTarget(type, targetId, messageId, reporter) {
+  if (type === "user") {
+    const user = await User.findOne({ email: targetId }).lean();
+    if (!user) return { status: 404, error: "找不到使用者" };
+    return { targetEmail: user.email, snapshot: user.displayName || null };
+  }
+  if (!mongoose.isValidObjectId(targetId)) {
+    return { status: 404, error: "找不到檢舉對象" };
+  }
+  if (type === "item") {
+    const item = await Item.findById(targetId).lean();
+    if (!item) return { status: 404, error: "找不到物品" };
+    return { targetEmail: item.email, snapshot: item.title || null };
+  }
+  // message：只有聊天室成員能檢舉
+  const chat = await Chat.findById(targetId).lean();
+  if (!chat) return { status: 404, error: "找不到聊天室" };
+  if (!chat.members.includes(reporter)) {
+    return { status: 403, error: "非聊天室成員" };
+  }
+  const msg = mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, chatId: String(chat._id) }).lean()
+    : null;
+  if (!msg) return { status: 404, error: "找不到訊息" };
+  return { targetEmail: msg.senderEmail, snapshot: previewOf(msg) };
+}
+
+// body: { targetType, targetId, messageId?, reason, details?, evidence? }
+// message：targetId 是聊天室 _id，messageId 是訊息 _id
+router.post("/", async (req, res) => {
+  try {
+    const { targetType, targetId, reason } = req.body;
+    const messageId =
+      targetType === "message" ? String(req.body.messageId || "") : null;
+    if (!["user", "item", "message"].includes(targetType) || !targetId) {
+      return res.status(400).json({ error: "缺少或錯誤的檢舉對象" });
+    }
+    if (!REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json({ error: `reason 需為 ${REASONS.join(" / ")}` });
+    }
+    const details = String(req.body.details || "").slice(0, MAX_DETAILS);
+    const evidence = Array.isArray(req.body.evidence)
+      ? req.body.evidence.filter(isHttpUrl).slice(0, MAX_EVIDENCE)
+      : [];
+
+    const target = await resolveTarget(
+      targetType,
+      String(targetId),
+      messageId,
+      req.userEmail
+    );
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+    if (target.targetEmail === req.userEmail) {
+      return res.status(400).json({ error: "不能檢舉自己" });
+    }
+
+    const dup = await Report.findOne({
+      reporterEmail: req.userEmail,
+      targetType,
+      targetId: String(targetId),
+      messageId,
+      createdAt: { $gt: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+    });
+    if (dup) return res.json({ ok: true, reportId: dup._id });
+
+    const report = await Report.create({
+      reporterEmail: req.userEmail,
+      targetType,
+      targetId: String(targetId),
+      messageId,
+      targetEmail: target.targetEmail,
+      reason,
+      details,
+      evidence,
+      snapshot: target.snapshot,
+    });
+    res.json({ ok: true, reportId: report._id });
+  } catch (err) {
+    console.error("report error", err);
+    res.status(500).json({ error: "report failed" });
+  }
+});
+
+// 我送出的檢舉與處理狀態
+router.get("/mine", async (req, res) => {
+  try {
+    const reports = await Report.find({ reporterEmail: req.userEmail })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .select("-reviewedBy")
+      .lean();
+    res.json(reports);
+  } catch (err) {
+    console.error("my reports error", err);
+    res.status(500).json({ error: "my reports failed" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+// routes/trades.js
+// 聊天室的交易狀態：查看（含完整紀錄）、取消（全員同意或逾時）、爭議
+// 掛在 /chats/:chatId/trade；按完成仍是 POST /chats/:chatId/done
+const express = require("express");
+const mongoose = require("mongoose");
+const { Chat, Message } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const {
+  ensureTrade,
+  tradeView,
+  applyAction,
+  requestCancel,
+  declineCancel,
+  parseDispute,
+  openDispute,
+  withdrawDispute,
+} = require("../lib/trades");
+
+const router = express.Router({ mergeParams: true });
+router.use(requireAuth);
+
+// 聊天室成員才能操作；回傳 { chat, trade } 或已回應錯誤時回傳 null
+async function memberTrade(req, res) {
+  if (!mongoose.isValidObjectId(req.params.chatId)) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  const chat = await Chat.findById(req.params.chatId).lean();
+  if (!chat) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  if (!chat.members.includes(req.userEmail)) {
+    res.status(403).json({ error: "非聊天室成員" });
+    return null;
+  }
+  return { chat, trade: await ensureTrade(chat) };
+}
+
+// 套用操作並存檔；op 回傳 { text } 或 { status, error }
+async function runAction(req, res, op) {
+  const found = await memberTrade(req, res);
+  if (!found) return;
+  const result = await applyAction(found.trade, req.userEmail, (trade) =>
+    op(trade, found.chat)
+  );
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  res.json({ ok: true, trade: result.trade });
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const found = await memberTrade(req, res);
+    if (!found) return;
+    res.json(tradeView(found.trade));
+  } catch (err) {
+    console.error("trade error", err);
+    res.status(500).json({ error: "trade failed" });
+  }
+});
+
+// 提出取消，或同意對方的取消請求；body: { reason? }
+router.post("/cancel", async (req, res) => {
+  try {
+    await runAction(req, res, (trade) =>
+      requestCancel(trade, req.userEmail, req.body.reason)
+    );
+  } catch (err) {
+    console.error("cancel trade error", err);
+    res.status(500).json({ error: "cancel trade failed" });
+  }
+});
+
+// 撤回自己的取消請求，或拒絕對方的
+router.delete("/cancel", async (req, res) => {
+  try {
+    await runAction(req, res, (trade) => declineCancel(trade, req.userEmail));
+  } catch (err) {
+    console.error("decline cancel error", err);
+    res.status(500).json({ error: "decline cancel failed" });
+  }
+});
+
+// 提出爭議（沒出現、物品與描述不符…）
+// body: { reason, details?, evidence?: [網址], messageIds?: [聊天室中的訊息 _id] }
+router.post("/dispute", async (req, res) => {
+  try {
+    const parsed = parseDispute(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+    await runAction(req, res, async (trade, chat) => {
+      const { messageIds } = parsed.fields;
+      if (messageIds.length > 0) {
+        const valid = messageIds.every((id) => mongoose.isValidObjectId(id));
+        const found = valid
+          ? await Message.countDocuments({
+              _id: { $in: messageIds },
+              chatId: String(chat._id),
+            })
+          : 0;
+        if (found !== messageIds.length) {
+          return { status: 400, error: "messageIds 需為這個聊天室的訊息" };
+        }
+      }
+      return openDispute(trade, req.userEmail, parsed.fields);
+    });
+  } catch (err) {
+    console.error("dispute error", err);
+    res.status(500).json({ error: "dispute failed" });
+  }
+});
+
+// 撤回自己提出的爭議
+router.delete("/dispute", async (req, res) => {
+  try {
+    await runAction(req, res, (trade) => withdrawDispute(trade, req.userEmail));
+  } catch (err) {
+    console.error("withdraw dispute error", err);
+    res.status(500).json({ error: "withdraw dispute failed" });
+  }
+});
+
+module.exports = router;
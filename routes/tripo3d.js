@@ -0,0 +1,163 @@
+// routes/tripo3d.js
+// 3D 模型產生：非同步工作 + 舊的同步介面 /fromUrl
+const express = require("express");
+const mongoose = require("mongoose");
+const { Item, ModelJob } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const { enqueue, waitForJob } = require("../lib/modelJobs");
+const { getStorage } = require("../lib/storage");
+const { isImageKey } = require("../lib/images");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const FROM_URL_TIMEOUT_MS = 1000 * 60 * 5; // 最多等 5 分鐘（Tripo3D 有時候會慢）
+
+const jobView = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  glbUrl: job.glbUrl,
+  error: job.status === "failed" ? job.error : null,
+});
+
+// imageUrl 會交給產生服務去下載：本站上傳的圖片（/images/<key>，可用相對路徑）
+// 由 storage key 換成本站的絕對網址；其他網域需列在 MODEL_IMAGE_HOSTS
+const EXTRA_IMAGE_HOSTS = (process.env.MODEL_IMAGE_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// 回傳要交給產生服務的網址；不接受回傳 null
+async function resolveImageUrl(value, req) {
+  const storage = getStorage();
+  // PUBLIC_BASE_URL 沒設定時 urlFor 是相對路徑，以這次請求的網址補上
+  const origin = `${req.protocol}://${req.get("host")}`;
+  const absolute = (u) => (/^https?:\/\//.test(u) ? u : origin + u);
+
+  let url;
+  let own;
+  try {
+    url = new URL(value, origin);
+    own = new URL(absolute(storage.urlFor("")));
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+
+  const key = url.pathname.slice(own.pathname.length);
+  if (
+    url.host === own.host &&
+    url.pathname.startsWith(own.pathname) &&
+    isImageKey(key)
+  ) {
+    const file = await storage.get(key);
+    if (!file) return null;
+    file.stream.destroy();
+    return absolute(storage.urlFor(key));
+  }
+  return EXTRA_IMAGE_HOSTS.includes(url.hostname.toLowerCase())
+    ? url.href
+    : null;
+}
+
+// 檢查 body；itemId 有給必須是自己的物品。回傳 { imageUrl, itemId } 或 { status, error }
+// imageUrl 是 resolveImageUrl 換過的網址
+async function parseJobBody(req) {
+  const { itemId } = req.body;
+  const email = req.userEmail;
+  if (!req.body.imageUrl || typeof req.body.imageUrl !== "string") {
+    return { status: 400, error: "缺少 imageUrl" };
+  }
+  const imageUrl = await resolveImageUrl(req.body.imageUrl, req);
+  if (!imageUrl) {
+    return { status: 400, error: "imageUrl 需為本站上傳的圖片網址" };
+  }
+  if (!itemId) return { imageUrl, itemId: null };
+
+  if (!mongoose.isValidObjectId(itemId)) {
+    return { status: 400, error: "itemId 格式錯誤" };
+  }
+  const item = await Item.findById(itemId);
+  if (!item) return { status: 404, error: "找不到物品" };
+  if (item.email !== email) return { status: 403, error: "不是你的物品" };
+  return { imageUrl, itemId: String(item._id) };
+}
+
+// 建立工作：同一張圖已有工作就直接回傳那一筆
+// body: { imageUrl, itemId? }
+router.post("/jobs", async (req, res) => {
+  try {
+    const parsed = await parseJobBody(req);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ ok: false, error: parsed.error });
+    }
+    const job = await enqueue({ ...parsed, email: req.userEmail });
+    res.status(job.status === "done" ? 200 : 202).json({
+      ok: true,
+      ...jobView(job),
+    });
+  } catch (err) {
+    console.error("create model job error", err);
+    res.status(500).json({ ok: false, error: "create model job failed" });
+  }
+});
+
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ ok: false, error: "找不到工作" });
+    }
+    const job = await ModelJob.findById(req.params.id);
+    // 只有提出過這個工作的人能查詢；不是的話當作不存在
+    const email = req.userEmail;
+    if (!job || !(job.requesters.includes(email) || job.email === email)) {
+      return res.status(404).json({ ok: false, error: "找不到工作" });
+    }
+    res.json({ ok: true, ...jobView(job) });
+  } catch (err) {
+    console.error("get model job error", err);
+    res.status(500).json({ ok: false, error: "get model job failed" });
+  }
+});
+
+// 舊版同步介面（Flutter ArPreviewPage 使用）：排入工作後等結果
+router.post("/fromUrl", async (req, res) => {
+  try {
+    const parsed = await parseJobBody(req);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ ok: false, error: parsed.error });
+    }
+    const queued = await enqueue({ ...parsed, email: req.userEmail });
+    const job = await waitForJob(queued._id, FROM_URL_TIMEOUT_MS);
+
+    if (job?.status === "done") {
+      // 對齊 Flutter ArPreviewPage 期待的格式
+      return res.json({ ok: true, glbUrl: job.glbUrl, jobId: job._id });
+    }
+    if (job?.status === "failed") {
+      return res.status(500).json({
+        ok: false,
+        error: "3D 模型產生失敗",
+        detail: job.error,
+        jobId: job._id,
+      });
+    }
+    // 逾時：工作繼續在背景跑，之後可用 jobId 查詢
+    return res.status(504).json({
+      ok: false,
+      error: "3D 模型產生逾時，請稍後用 jobId 查詢",
+      jobId: queued._id,
+    });
+  } catch (err) {
+    console.error("tripo3d/fromUrl error", err);
+    return res.status(500).json({
+      ok: false,
+      error: "3D 模型產生失敗",
+      detail: String(err),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+// routes/wants.js
+// 願望清單 CRUD 與符合的物品
+const express = require("express");
+const mongoose = require("mongoose");
+const { Want } = require("../repositories");
+const { requireAuth } = require("../middleware/auth");
+const { findWantMatches } = require("../lib/wants");
+const recommendCache = require("../lib/recommendCache");
+
+const router = express.Router();
+router.use(requireAuth);
+
+const MAX_WANTS_PER_USER = 20;
+const WANT_FIELDS = ["category", "keywords", "maxPrice", "minCondition"];
+
+// 驗證並整理 body；回傳 { fields } 或 { error }
+function parseWant(body) {
+  const fields = {};
+  if (body.category !== undefined) {
+    fields.category = body.category ? String(body.category) : null;
+  }
+  if (body.keywords !== undefined) {
+    if (!Array.isArray(body.keywords)) return { error: "keywords 需為陣列" };
+    fields.keywords = body.keywords
+      .map((k) => String(k).trim())
+      .filter(Boolean)
+      .slice(0, 10);
+  }
+  for (const key of ["maxPrice", "minCondition"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) {
+      fields[key] = null;
+    } else if (Number.isFinite(body[key]) && body[key] >= 0) {
+      fields[key] = Number(body[key]);
+    } else {
+      return { error: `${key} 需為非負數` };
+    }
+  }
+  return { fields };
+}
+
+// 至少要有一個條件，不然等於「什麼都想要」
+const hasCriteria = (w) =>
+  Boolean(w.category) ||
+  (w.keywords || []).length > 0 ||
+  w.maxPrice > 0 ||
+  w.minCondition > 0;
+
+async function findOwnWant(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: "找不到願望" });
+    return null;
+  }
+  const want = await Want.findById(req.params.id);
+  if (!want) {
+    res.status(404).json({ error: "找不到願望" });
+    return null;
+  }
+  if (want.email !== req.userEmail) {
+    res.status(403).json({ error: "不是你的願望" });
+    return null;
+  }
+  return want;
+}
+
+const toJSON = (w) => ({
+  _id: w._id,
+  category: w.category,
+  keywords: w.keywords,
+  maxPrice: w.maxPrice,
+  minCondition: w.minCondition,
+  newMatches: (w.newMatchItemIds || []).length,
+  createdAt: w.createdAt,
+});
+
+// 我的願望清單
+router.get("/", async (req, res) => {
+  try {
+    const wants = await Want.find({ email: req.userEmail }).sort({
+      createdAt: -1,
+    });
+    res.json(wants.map(toJSON));
+  } catch (err) {
+    console.error("list wants error", err);
+    res.status(500).json({ error: "list wants failed" });
+  }
+});
+
+// 新增願望
+router.post("/", async (req, res) => {
+  try {
+    const { fields, error } = parseWant(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!hasCriteria(fields)) {
+      return res.status(400).json({ error: "至少需要一個條件" });
+    }
+
+    const count = await Want.countDocuments({ email: req.userEmail });
+    if (count >= MAX_WANTS_PER_USER) {
+      return res
+        .status(409)
+        .json({ error: `願望最多 ${MAX_WANTS_PER_USER} 筆` });
+    }
+
+    const want = await Want.create({ ...fields, email: req.userEmail });
+    recommendCache.invalidate();
+    res.json({ ok: true, want: toJSON(want) });
+  } catch (err) {
+    console.error("create want error", err);
+    res.status(500).json({ error: "create want failed" });
+  }
+});
+
+// 修改願望
+router.patch("/:id", async (req, res) => {
+  try {
+    const want = await findOwnWant(req, res);
+    if (!want) return;
+
+    const { fields, error } = parseWant(req.body);
+    if (error) return res.status(400).json({ error });
+    WANT_FIELDS.forEach((k) => {
+      if (fields[k] !== undefined) want[k] = fields[k];
+    });
+    if (!hasCriteria(want)) {
+      return res.status(400).json({ error: "至少需要一個條件" });
+    }
+
+    // 條件變了，舊的「新符合」標記不再準確
+    want.newMatchItemIds = [];
+    await want.save();
+    recommendCache.invalidate();
+    res.json({ ok: true, want: toJSON(want) });
+  } catch (err) {
+    console.error("update want error", err);
+    res.status(500).json({ error: "update want failed" });
+  }
+});
+
+// 刪除願望
+router.delete("/:id", async (req, res) => {
+  try {
+    const want = await findOwnWant(req, res);
+    if (!want) return;
+
+    await Want.deleteOne({ _id: want._id });
+    recommendCache.invalidate();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("delete want error", err);
+    res.status(500).json({ error: "delete want failed" });
+  }
+});
+
+// 目前符合的物品；isNew = 上架後還沒看過，查看後清除標記
+router.get("/:id/matches", async (req, res) => {
+  try {
+    const want = await findOwnWant(req, res);
+    if (!want) return;
+
+    const items = await findWantMatches(want);
+    const fresh = new Set(want.newMatchItemIds || []);
+    if (fresh.size > 0) {
+      want.newMatchItemIds = [];
+      await want.save();
+    }
+
+    res.json(items.map((it) => ({ ...it, isNew: fresh.has(String(it._id)) })));
+  } catch (err) {
+    console.error("want matches error", err);
+    res.status(500).json({ error: "want matches failed" });
+  }
+});
+
+module.exports = router;
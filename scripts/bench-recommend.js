@@ -0,0 +1,138 @@
+// scripts/bench-recommend.js
+// 產生大量假資料到獨立的 bench 資料庫，量測 /recommend 流程的延遲
+//   node scripts/bench-recommend.js --users=2000 --items=5 --runs=20
+// 比較：舊做法（全表掃描 + 巢狀迴圈）、新做法冷啟動、新做法快取命中
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Item = require("../models/Item");
+const { toPoint } = require("../models/PointSchema");
+const { userLatLng } = require("../lib/geo");
+const { priceBandLabelByPrice, recommendSwaps } = require("../lib/matching");
+const { getRecommendations } = require("../lib/recommendService");
+const recommendCache = require("../lib/recommendCache");
+
+const BENCH_URI =
+  process.env.BENCH_MONGODB_URI || "mongodb://127.0.0.1:27017/barter_bench";
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((a) => /^--([^=]+)=(.*)$/.exec(a))
+    .filter(Boolean)
+    .map((m) => [m[1], m[2]])
+);
+const N_USERS = Number(args.users) || 2000;
+const ITEMS_PER_USER = Number(args.items) || 5;
+const RUNS = Number(args.runs) || 20;
+const KEEP = args.keep === "1";
+
+const CATEGORIES = ["clothes", "book", "computer", "phone", "furniture", "other"];
+const rand = (lo, hi) => lo + Math.random() * (hi - lo);
+const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+
+const PARAMS = {
+  weights: { price: 0.25, distance: 0.25, rating: 0.25, damage: 0.25 },
+  priceTol: 500,
+  useCategory: true,
+  radiusKm: 20,
+  maxKm: 0,
+  mode: "pair",
+  maxLen: undefined,
+};
+
+async function seed() {
+  await mongoose.connection.dropDatabase();
+  await User.syncIndexes();
+  await Item.syncIndexes();
+
+  const BATCH = 1000;
+  const users = [];
+  const items = [];
+  for (let u = 0; u < N_USERS; u++) {
+    const email = `bench${u}@example.com`;
+    // 台北附近 ±0.3 度
+    const location = toPoint({
+      lat: rand(24.7, 25.3),
+      lng: rand(121.2, 121.8),
+    });
+    users.push({ email, location });
+    for (let k = 0; k < ITEMS_PER_USER; k++) {
+      const price = Math.round(Math.exp(rand(Math.log(50), Math.log(20000))));
+      items.push({
+        title: `item ${u}-${k}`,
+        tags: [],
+        condition: Math.round(rand(30, 100)),
+        price,
+        email,
+        category: pick(CATEGORIES),
+        priceBand: priceBandLabelByPrice(price),
+        location,
+      });
+    }
+  }
+  for (let i = 0; i < users.length; i += BATCH) {
+    await User.insertMany(users.slice(i, i + BATCH));
+  }
+  for (let i = 0; i < items.length; i += BATCH) {
+    await Item.insertMany(items.slice(i, i + BATCH));
+  }
+}
+
+// 舊版 /recommend：整個 users/items 讀進來跑巢狀迴圈
+async function legacyRecommend(email) {
+  const users = await User.find().lean();
+  const items = await Item.find().lean();
+  const userLocations = {};
+  users.forEach((u) => {
+    const loc = userLatLng(u);
+    if (loc) userLocations[u.email] = loc;
+  });
+  return recommendSwaps(email, users, items, userLocations, PARAMS.weights, {
+    priceMode: "tolerance",
+    priceTol: PARAMS.priceTol,
+    useCategory: PARAMS.useCategory,
+  });
+}
+
+async function time(label, fn) {
+  const ms = [];
+  for (let r = 0; r < RUNS; r++) {
+    const email = `bench${Math.floor(Math.random() * N_USERS)}@example.com`;
+    const t0 = process.hrtime.bigint();
+    await fn(email);
+    ms.push(Number(process.hrtime.bigint() - t0) / 1e6);
+  }
+  ms.sort((a, b) => a - b);
+  const at = (p) => ms[Math.min(ms.length - 1, Math.floor(p * ms.length))];
+  const fmt = (v) => `${v.toFixed(1)}ms`;
+  console.log(
+    `${label.padEnd(22)} p50=${fmt(at(0.5))}  p95=${fmt(at(0.95))}  ` +
+      `max=${fmt(ms[ms.length - 1])}`
+  );
+}
+
+async function main() {
+  await mongoose.connect(BENCH_URI);
+  console.log(
+    `seeding ${N_USERS} users × ${ITEMS_PER_USER} items into ${BENCH_URI} ...`
+  );
+  await seed();
+
+  await time("legacy full scan", legacyRecommend);
+  await time("candidates (cold)", (email) => {
+    recommendCache.invalidate();
+    return getRecommendations(email, PARAMS);
+  });
+  // 先暖快取，再量命中
+  const warm = "bench0@example.com";
+  await getRecommendations(warm, PARAMS);
+  await time("candidates (cached)", () => getRecommendations(warm, PARAMS));
+
+  if (!KEEP) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("bench error", err);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// scripts/eval-weights.js
+// 離線評估：--split 之前的邀請訓練、之後的當測試，比較學到的權重與預設權重的 precision@k
+// 學到的權重以 /recommend 實際套用的形式（toRecommendWeights）評分
+//   node scripts/eval-weights.js [--split=2026-09-01] [--k=1,3,5] [--per-user=1]
+// 沒給 --split 時取最後 20% 的時間當測試期間
+const db = require("../repositories");
+const { listParam } = require("../lib/params");
+const { PRESETS, DEFAULT_PRESET, normalizeWeights } = require("../lib/scoring");
+const {
+  TRAIN_FACTORS,
+  MIN_USER_SAMPLES,
+  loadExamples,
+  trainModels,
+  evaluate,
+  toRecommendWeights,
+} = require("../lib/weightLearning");
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((a) => /^--([^=]+)=(.*)$/.exec(a))
+    .filter(Boolean)
+    .map((m) => [m[1], m[2]])
+);
+const KS = args.k
+  ? listParam(args.k)
+      .map(Number)
+      .filter((k) => k > 0)
+  : [1, 3, 5];
+const PER_USER = args["per-user"] === "1";
+
+function splitDate(examples) {
+  if (args.split) return new Date(args.split);
+  const times = examples.map((e) => +e.at).sort((a, b) => a - b);
+  return new Date(times[Math.floor(times.length * 0.8)]);
+}
+
+const fmt = (v) => (v == null ? "-" : v.toFixed(3));
+
+async function main() {
+  await db.connect();
+  const examples = await loadExamples();
+  await db.disconnect();
+
+  if (examples.length === 0) {
+    console.log("沒有可用的邀請結果");
+    return;
+  }
+  const split = splitDate(examples);
+  const train = examples.filter((e) => e.at < split);
+  const test = examples.filter((e) => e.at >= split);
+  console.log(
+    `split ${split.toISOString()}：訓練 ${train.length} 筆、測試 ${test.length} 筆`
+  );
+  if (train.length === 0 || test.length === 0) return;
+
+  const { global, users } = trainModels(train, {
+    perUser: PER_USER,
+    minUserSamples: MIN_USER_SAMPLES,
+  });
+  const defaults = PRESETS[DEFAULT_PRESET];
+  // 跟 /recommend 一樣：只用有資料的因子，權重重新正規化
+  // （collab 不在樣本裡，兩組權重都不計）
+  const weighted = (w) => (e) => {
+    const on = TRAIN_FACTORS.filter((f) => e.x[f] !== undefined);
+    const applied = normalizeWeights(
+      Object.fromEntries(on.map((f) => [f, w[f] || 0]))
+    );
+    return on.reduce((a, f) => a + applied[f] * e.x[f], 0);
+  };
+
+  // 評估實際部署的權重（toRecommendWeights），跟 /recommend 一樣個人模型優先；
+  // 係數全為負時不會存，/recommend 會用預設權重
+  const deployed = new Map();
+  const learned = (email) => {
+    const model = users[email] || global;
+    if (!deployed.has(model)) {
+      deployed.set(model, weighted(toRecommendWeights(model) || defaults));
+    }
+    return deployed.get(model);
+  };
+
+  const rows = {
+    [`preset:${DEFAULT_PRESET}`]: evaluate(test, weighted(defaults), KS),
+    learned: evaluate(test, (e) => learned(e.email)(e), KS),
+  };
+
+  console.log(`受評估的受邀者 ${rows.learned.users} 位`);
+  console.log(["model", ...KS.map((k) => `P@${k}`)].join("\t"));
+  for (const [name, r] of Object.entries(rows)) {
+    console.log([name, ...KS.map((k) => fmt(r.precision[k]))].join("\t"));
+  }
+}
+
+main().catch((err) => {
+  console.error("eval weights error", err);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+// scripts/migrate-locations.js
+// 一次性：把舊的 User.gps {lat, lng} 轉成 GeoJSON location，並同步到物品
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Item = require("../models/Item");
+const { toPoint } = require("../models/PointSchema");
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/barter";
+
+async function main() {
+  await mongoose.connect(MONGODB_URI);
+  await User.syncIndexes();
+  await Item.syncIndexes();
+
+  const users = await User.find({ "gps.lat": { $ne: null } }).lean();
+  let migrated = 0;
+  for (const u of users) {
+    const location = toPoint(u.gps);
+    if (!location) continue;
+    await User.updateOne(
+      { _id: u._id },
+      { $set: { location }, $unset: { gps: "" } }
+    );
+    await Item.updateMany({ email: u.email }, { $set: { location } });
+    migrated++;
+  }
+
+  console.log(`✅ migrated ${migrated}/${users.length} users`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("migrate error", err);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+// scripts/migrate-messages.js
+// 一次性：把嵌在 Chat.messages 的舊訊息搬到 Message 集合
+// 舊訊息沒有 _id，由 chatId + 順序算出固定的 _id，中途失敗重跑也不會重複
+// 搬完後成員的已讀時間設為最後一則，避免舊訊息全算成未讀
+const crypto = require("crypto");
+const { Types } = require("mongoose");
+const db = require("../repositories");
+const { Chat, Message } = db;
+const { recordLastMessage } = require("../lib/messages");
+
+// 前 4 bytes 照 ObjectId 慣例放建立時間（秒），其餘取 chatId + 順序的雜湊
+function legacyMessageId(chatId, index, createdAt) {
+  const buf = Buffer.alloc(12);
+  const sec = Math.floor(new Date(createdAt || 0).getTime() / 1000);
+  buf.writeUInt32BE(Math.max(0, sec) >>> 0, 0);
+  crypto
+    .createHash("sha1")
+    .update(`${chatId}:${index}`)
+    .digest()
+    .copy(buf, 4, 0, 8);
+  return new Types.ObjectId(buf);
+}
+
+async function main() {
+  await db.connect();
+  await Message.syncIndexes();
+
+  const chats = await Chat.find({ messages: { $exists: true } }).lean();
+  let moved = 0;
+  for (const chat of chats) {
+    const chatId = String(chat._id);
+    const docs = (chat.messages || []).map((m, i) => ({
+      _id: legacyMessageId(chatId, i, m.createdAt),
+      chatId,
+      senderEmail: m.senderEmail,
+      type: "text",
+      text: m.text || "",
+      createdAt: m.createdAt,
+    }));
+    const existing = new Set(
+      (
+        await Message.find({ _id: { $in: docs.map((d) => d._id) } }).distinct(
+          "_id"
+        )
+      ).map(String)
+    );
+    const missing = docs.filter((d) => !existing.has(String(d._id)));
+    if (missing.length) await Message.insertMany(missing);
+    moved += missing.length;
+
+    const last = docs[docs.length - 1];
+    if (last) await recordLastMessage(chat._id, last);
+    await Chat.updateOne(
+      { _id: chat._id },
+      {
+        $set: {
+          readReceipts: last
+            ? chat.members.map((email) => ({
+                email,
+                lastReadAt: last.createdAt,
+              }))
+            : [],
+        },
+        $unset: { messages: "" },
+      }
+    );
+  }
+
+  console.log(`✅ migrated ${moved} messages from ${chats.length} chats`);
+  await db.disconnect();
+}
+
+main().catch((err) => {
+  console.error("migrate error", err);
+  process.exit(1);
+});
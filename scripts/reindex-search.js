@@ -0,0 +1,27 @@
+// scripts/reindex-search.js
+// 重建所有物品的 searchTokens；舊資料沒有 createdAt 的用 _id 的時間補上
+const db = require("../repositories");
+const { Item } = db;
+const { indexTokens } = require("../lib/searchTokens");
+
+async function main() {
+  await db.connect();
+  await Item.syncIndexes();
+
+  let updated = 0;
+  const cursor = Item.find().lean().cursor();
+  for await (const it of cursor) {
+    const $set = { searchTokens: indexTokens(it.title, it.tags) };
+    if (!it.createdAt) $set.createdAt = it._id.getTimestamp();
+    await Item.updateOne({ _id: it._id }, { $set });
+    updated++;
+  }
+
+  console.log(`✅ reindexed ${updated} items`);
+  await db.disconnect();
+}
+
+main().catch((err) => {
+  console.error("reindex error", err);
+  process.exit(1);
+});
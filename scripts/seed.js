@@ -0,0 +1,189 @@
+// scripts/seed.js
+// 載入示範資料（使用者、物品、願望清單、評價），兩種後端都可用
+//   DB_BACKEND=memory MEMORY_DB_FILE=data/dev.json node scripts/seed.js --password=<密碼>
+//     [--users=12] [--items=3] [--reset=1] [--allow-mongo=1]
+// 使用者 demo1@example.com … demoN@example.com，密碼相同；demo1 是管理員，
+// 所以建立使用者時一定要用 --password 指定密碼（沒有預設密碼）
+// mongo 後端可能是正式資料庫，要加 --allow-mongo=1 才會執行
+// 用固定的亂數種子，每次產生的資料相同
+const db = require("../repositories");
+const { User, Item, Want, Rating } = db;
+const { hashPassword } = require("../middleware/auth");
+const { toPoint } = require("../models/PointSchema");
+const { priceBandLabelByPrice } = require("../lib/matching");
+const { indexTokens } = require("../lib/searchTokens");
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((a) => /^--([^=]+)=(.*)$/.exec(a))
+    .filter(Boolean)
+    .map((m) => [m[1], m[2]])
+);
+const N_USERS = Number(args.users) || 12;
+const ITEMS_PER_USER = Number(args.items) || 3;
+const RESET = args.reset === "1";
+const PASSWORD = args.password;
+const ALLOW_MONGO = args["allow-mongo"] === "1";
+
+const NAMES = ["小明", "阿華", "小美", "志豪", "怡君", "家豪", "雅婷", "俊傑"];
+
+// 台北、新北、桃園的幾個生活圈
+const AREAS = [
+  { lat: 25.0418, lng: 121.5439 }, // 大安
+  { lat: 25.0329, lng: 121.5654 }, // 信義
+  { lat: 25.0632, lng: 121.5213 }, // 中山
+  { lat: 25.0129, lng: 121.4653 }, // 板橋
+  { lat: 24.9937, lng: 121.301 }, // 桃園
+];
+
+// [標題, 類別, 參考價, 標籤]
+const CATALOG = [
+  ["iPhone 12 128G 黑色", "phone", 9000, ["apple", "手機"]],
+  ["Samsung Galaxy S21", "phone", 7500, ["三星", "手機"]],
+  ["小米手環 7", "phone", 900, ["穿戴", "運動"]],
+  ["MacBook Air M1 8G/256G", "computer", 18000, ["apple", "筆電"]],
+  ["羅技 MX Master 3 滑鼠", "computer", 2200, ["滑鼠", "辦公"]],
+  ["27 吋 4K 螢幕", "computer", 6000, ["螢幕"]],
+  ["機械鍵盤 青軸", "computer", 1500, ["鍵盤"]],
+  ["哈利波特 全套七集", "book", 1200, ["小說", "奇幻"]],
+  ["原子習慣", "book", 250, ["自我成長"]],
+  ["JavaScript 大全 第七版", "book", 800, ["程式", "工具書"]],
+  ["灌籃高手 完全版 1-24", "book", 2500, ["漫畫"]],
+  ["Uniqlo 羽絨外套 M", "clothes", 900, ["冬季", "外套"]],
+  ["Levi's 501 牛仔褲 32 腰", "clothes", 1100, ["褲子"]],
+  ["Nike Air Force 1 US9", "clothes", 2000, ["球鞋"]],
+  ["IKEA 書櫃 白色", "furniture", 1500, ["收納"]],
+  ["人體工學椅", "furniture", 4500, ["辦公", "椅子"]],
+  ["實木小茶几", "furniture", 1200, ["客廳"]],
+  ["Switch 主機 電力加強版", "other", 6500, ["遊戲", "任天堂"]],
+  ["薩爾達傳說 王國之淚", "other", 1300, ["遊戲", "任天堂"]],
+  ["Canon EF 50mm f/1.8", "other", 2800, ["相機", "鏡頭"]],
+  ["露營帳篷 四人", "other", 2400, ["戶外", "露營"]],
+  ["烏克麗麗 23 吋", "other", 1600, ["樂器"]],
+];
+
+const WANTS = [
+  { category: "phone", keywords: ["iphone"], maxPrice: 12000 },
+  { category: "book", keywords: ["漫畫", "小說"], maxPrice: 3000 },
+  { category: null, keywords: ["switch", "任天堂"], maxPrice: null },
+  { category: "furniture", keywords: [], maxPrice: 5000, minCondition: 70 },
+];
+
+// mulberry32：固定種子的亂數
+function makeRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const random = makeRandom(20260101);
+const rand = (lo, hi) => lo + random() * (hi - lo);
+const pick = (arr) => arr[Math.floor(random() * arr.length)];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function demoUser(i) {
+  const area = AREAS[i % AREAS.length];
+  // 生活圈中心 ±2 公里左右
+  const gps = {
+    lat: area.lat + rand(-0.02, 0.02),
+    lng: area.lng + rand(-0.02, 0.02),
+  };
+  return {
+    email: `demo${i + 1}@example.com`,
+    displayName: `${NAMES[i % NAMES.length]}${i >= NAMES.length ? i + 1 : ""}`,
+    location: toPoint(gps),
+    role: i === 0 ? "admin" : "user",
+    passwordHash: hashPassword(PASSWORD),
+  };
+}
+
+function demoItem(user, k) {
+  const [title, category, basePrice, tags] = pick(CATALOG);
+  // 二手價：參考價的 50%～110%，取整到 10 元
+  const price = Math.round((basePrice * rand(0.5, 1.1)) / 10) * 10;
+  return {
+    title,
+    tags,
+    condition: Math.round(rand(55, 100)),
+    price,
+    email: user.email,
+    category,
+    priceBand: priceBandLabelByPrice(price),
+    searchTokens: indexTokens(title, tags),
+    location: user.location,
+    createdAt: new Date(Date.now() - rand(0, 30) * DAY_MS - k * 1000),
+  };
+}
+
+async function main() {
+  if (db.backend === "mongo" && !ALLOW_MONGO) {
+    throw new Error(
+      "mongo 後端可能是正式資料庫，確定要寫入請加 --allow-mongo=1"
+    );
+  }
+  if (db.backend === "memory" && !process.env.MEMORY_DB_FILE) {
+    throw new Error("memory 後端需設定 MEMORY_DB_FILE，種子資料才會保存");
+  }
+  await db.connect();
+
+  const emails = Array.from(
+    { length: N_USERS },
+    (_, i) => `demo${i + 1}@example.com`
+  );
+  if (RESET) {
+    await Promise.all([
+      User.deleteMany({ email: { $in: emails } }),
+      Item.deleteMany({ email: { $in: emails } }),
+      Want.deleteMany({ email: { $in: emails } }),
+      Rating.deleteMany({ email: { $in: emails } }),
+    ]);
+  } else if (await User.exists({ email: { $in: emails } })) {
+    console.log("已有示範使用者，略過（用 --reset=1 重建）");
+    await db.disconnect();
+    return;
+  }
+
+  if (!PASSWORD) {
+    throw new Error("會建立管理員 demo1，請用 --password= 指定密碼");
+  }
+  const users = Array.from({ length: N_USERS }, (_, i) => demoUser(i));
+  await User.insertMany(users);
+
+  const items = users.flatMap((u) =>
+    Array.from({ length: ITEMS_PER_USER }, (_, k) => demoItem(u, k))
+  );
+  await Item.insertMany(items);
+
+  const wants = users
+    .filter((_, i) => i % 3 === 0)
+    .map((u, i) => ({ email: u.email, ...WANTS[i % WANTS.length] }));
+  await Want.insertMany(wants);
+
+  // 沒有聊天室的舊式評價（chatId 為 null），讓評分因子有資料
+  const ratings = users.flatMap((u, i) =>
+    [1, 2].map((d) => ({
+      email: u.email,
+      fromEmail: users[(i + d) % users.length].email,
+      score: Math.round(rand(3, 5)),
+      comment: pick(["交換很順利", "物品跟描述一樣", "準時面交", "人很好"]),
+    }))
+  );
+  await Rating.insertMany(ratings);
+
+  console.log(
+    `✅ seeded (${db.backend}): ${users.length} users, ${items.length} items, ` +
+      `${wants.length} wants, ${ratings.length} ratings`
+  );
+  console.log("   登入：demo1@example.com（管理員），密碼為 --password 指定的");
+  await db.disconnect();
+}
+
+main().catch((err) => {
+  console.error("seed error", err);
+  process.exit(1);
+});
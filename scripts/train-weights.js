@@ -0,0 +1,88 @@
+// scripts/train-weights.js
+// 由邀請結果訓練推薦權重，存到 WeightModel（/recommend 沒指定權重時使用）
+//   node scripts/train-weights.js [--since=2026-01-01] [--until=2026-10-01]
+//                                 [--per-user=1] [--min-user=20]
+const db = require("../repositories");
+const { WeightModel } = db;
+const {
+  MIN_USER_SAMPLES,
+  loadExamples,
+  trainModels,
+  toRecommendWeights,
+} = require("../lib/weightLearning");
+
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .map((a) => /^--([^=]+)=(.*)$/.exec(a))
+    .filter(Boolean)
+    .map((m) => [m[1], m[2]])
+);
+const since = args.since ? new Date(args.since) : null;
+const until = args.until ? new Date(args.until) : null;
+const PER_USER = args["per-user"] === "1";
+const MIN_USER = Number(args["min-user"]) || MIN_USER_SAMPLES;
+
+const MIN_SAMPLES = 30;
+
+async function save(scope, model) {
+  const weights = toRecommendWeights(model);
+  if (!weights) {
+    console.log(`⚠️ ${scope}: 係數全為負，略過`);
+    return false;
+  }
+  await WeightModel.updateOne(
+    { scope },
+    {
+      $set: {
+        weights,
+        coef: model.coef,
+        bias: model.bias,
+        means: model.means,
+        samples: model.samples,
+        positives: model.positives,
+        since,
+        until,
+        trainedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+async function main() {
+  await db.connect();
+
+  const examples = await loadExamples({ since, until });
+  if (examples.length < MIN_SAMPLES) {
+    console.log(
+      `樣本只有 ${examples.length} 筆（至少 ${MIN_SAMPLES}），不訓練`
+    );
+    await db.disconnect();
+    return;
+  }
+
+  const { global, users } = trainModels(examples, {
+    perUser: PER_USER,
+    minUserSamples: MIN_USER,
+  });
+  await save("global", global);
+  console.log(
+    `global: ${global.samples} 筆（同意 ${global.positives}）`,
+    toRecommendWeights(global)
+  );
+
+  let saved = 0;
+  for (const [email, model] of Object.entries(users)) {
+    if (await save(email, model)) saved++;
+  }
+  if (PER_USER) console.log(`✅ 個人模型 ${saved} 位`);
+
+  await db.disconnect();
+}
+
+main().catch((err) => {
+  console.error("train weights error", err);
+  process.exit(1);
+});
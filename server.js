@@ -3,228 +3,433 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const morgan = require("morgan");
-const axios = require("axios");
 
 
-const User = require("./models/User");
-const Item = require("./models/Item");
-const Invite = require("./models/Invite");
-const Chat = require("./models/Chat");
+const db = require("./repositories");
+const {
+  User,
+  Item,
+  Invite,
+  Chat,
+  Message,
+  Trade,
+  TradeCycle,
+  Rating,
+  Notification,
+  SearchHistory,
+} = db;
+const { toPoint } = require("./models/PointSchema");
+const {
+  issueToken,
+  requireAuth,
+  requireStreamAuth,
+  optionalAuth,
+  hashPassword,
+  verifyPassword,
+} = require("./middleware/auth");
+const chatEvents = require("./lib/chatEvents");
+const { numOr, listParam } = require("./lib/params");
+const recommendCache = require("./lib/recommendCache");
+const {
+  getRecommendations,
+  explainFiltered,
+} = require("./lib/recommendService");
+const { paginate, pageParams, encodeCursor } = require("./lib/pagination");
+const { searchItems } = require("./lib/itemSearch");
+const { indexTokens } = require("./lib/searchTokens");
+const { flagWantMatches } = require("./lib/wants");
+const { notify } = require("./lib/notify");
+const { startWorker: startModelWorker } = require("./lib/modelJobs");
+const { storeImages, removeImages } = require("./lib/images");
+const {
+  MAX_TEXT_LEN,
+  buildMessage,
+  messageView,
+  previewOf,
+  recordLastMessage,
+  refreshLastMessage,
+  editError,
+  ORDER_ASC,
+  cursorCond,
+  loadMessages,
+  lastReadOf,
+  markRead,
+  unreadCounts,
+} = require("./lib/messages");
+const { startMeetupReminders } = require("./lib/meetups");
+const {
+  rejectPendingInvitesFor,
+  ensureTrade,
+  confirmDone,
+  applyAction,
+  startTradeSweeper,
+} = require("./lib/trades");
+const { imageUpload } = require("./middleware/upload");
+const { rateLimit, rateLimited } = require("./middleware/rateLimit");
+const { checkMessageSpam, checkInviteSpam } = require("./lib/spam");
+const {
+  normalizeKeyword,
+  recordSearch,
+  interestWeight,
+} = require("./lib/interests");
+const { userLatLng } = require("./lib/geo");
+const { loadLearnedWeights } = require("./lib/learnedWeights");
+const { similarItems } = require("./lib/cooccurrence");
+const { PRIVATE_ITEM_FIELDS, ownItem, reserveItems } = require("./lib/items");
+const {
+  blockedEmailsFor,
+  anyBlocked,
+  startModeration,
+} = require("./lib/moderation");
+const {
+  PRESETS,
+  DEFAULT_PRESET,
+  isPreset,
+  normalizeWeights,
+  DEFAULT_CURVE,
+  isCurve,
+} = require("./lib/scoring");
+const {
+  priceBandLabelByPrice,
+  AVAILABLE_ITEM,
+  isItemAvailable,
+} = require("./lib/matching");
 
 // --- App & middleware ---
 const app = express();
+// 部署在反向代理後面時設定（例如 TRUST_PROXY=1），依 IP 限流才拿得到真正的來源
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
 app.use(cors());
 app.use(express.json());
+// 串流的 ?token= 不要寫進 log
+morgan.token("safe-url", (req) =>
+  req.originalUrl.replace(/([?&]token=)[^&]*/, "$1***")
+);
 app.use(
   morgan(
-    ':date[iso] :method :url :status :res[content-length] - :response-time ms'
+    ':date[iso] :method :safe-url :status :res[content-length] - :response-time ms'
   )
 );
 
 // --- DB connect ---
-const MONGODB_URI =
-  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/barter";
-mongoose
-  .connect(MONGODB_URI)
-  .then(() => console.log("✅ MongoDB connected"))
-  .catch((err) => console.error("MongoDB connect error", err));
-// ⭐ Flask 伺服器位置
-const FLASK_BASE =
-  process.env.FLASK_BASE_URL || "https://fal-tripo3d.onrender.com";
+// DB_BACKEND=memory 時不需要 MongoDB（見 repositories/）
+db.connect()
+  .then(() => {
+    console.log(`✅ DB connected (${db.backend})`);
+    startMeetupReminders();
+    startTradeSweeper();
+    return Promise.all([startModelWorker(), startModeration()]);
+  })
+  .catch((err) => console.error("DB connect error", err));
 
 // Health check
 app.get("/healthz", (req, res) => res.send("ok"));
 
 // ===== Helper functions =====
-const numOr = (v, def) => {
-  if (v === undefined) return def;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : def;
-};
-
-function haversineDistance(loc1, loc2) {
-  const toRad = (d) => (d * Math.PI) / 180;
-  const R = 6371;
-  const dLat = toRad((loc2.lat || 0) - (loc1.lat || 0));
-  const dLng = toRad((loc2.lng || 0) - (loc1.lng || 0));
-  const lat1 = toRad(loc1.lat || 0);
-  const lat2 = toRad(loc2.lat || 0);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
 
-function inferCategory(title, tags = []) {
-  const t = `${title || ""} ${tags.join(" ")}`.toLowerCase();
-  if (/衣|服|shirt|pants|coat|jacket/.test(t)) return "clothes";
-  if (/書|book/.test(t)) return "book";
-  if (/電腦|notebook|laptop|pc/.test(t)) return "computer";
-  if (/手機|phone/.test(t)) return "phone";
-  if (/家具|桌|椅|櫃|sofa|furniture/.test(t)) return "furniture";
-  return "other";
-}
+// ===== 邀請：組合、期限 =====
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+const BUNDLE_MAX_ITEMS = 5;
+
+const inviteExpiresAt = () => new Date(Date.now() + INVITE_TTL_HOURS * 36e5);
 
-function priceBandLabelByPrice(price) {
-  const p = Number(price) || 0;
-  if (p < 500) return "0-499";
-  if (p < 2000) return "500-1999";
-  if (p < 5000) return "2000-4999";
-  return "5000+";
+// body 的單一 id 或 id 陣列 → 不重複的字串陣列
+function idList(single, many) {
+  const list = Array.isArray(many) ? many : [single];
+  return [...new Set(list.filter(Boolean).map(String))];
 }
 
-function evaluateDesire(
-  user,
-  targetItem,
-  ownItem,
-  userLocations,
-  weights,
-  opts = {}
-) {
-  const damageScore = (Number(targetItem.condition) || 0) / 100;
-  const ratingScore = 0.5; // 暫時寫死，未來可接 Rating collection
-
-  const priceA = Number(targetItem.price) || 0;
-  const priceB = Number(ownItem?.price) || 0;
-  let priceScore = 0;
-
-  if (opts.priceMode === "tolerance") {
-    const tol = Math.max(0, Number(opts.priceTol) || 0);
-    const diff = Math.abs(priceA - priceB);
-    priceScore = tol > 0 ? Math.max(0, 1 - diff / tol) : diff === 0 ? 1 : 0;
-  } else {
-    const diff = Math.abs(priceA - priceB);
-    const maxP = Math.max(priceA, priceB);
-    priceScore = maxP === 0 ? 0 : 1 - diff / maxP;
-  }
-
-  let distanceScore = 0;
-  const userLoc = userLocations[user.email];
-  const targetLoc = userLocations[targetItem.email];
-  const hasDistance =
-    userLoc && targetLoc && userLoc.lat != null && targetLoc.lat != null;
-
-  if (hasDistance) {
-    const km = haversineDistance(userLoc, targetLoc);
-    const maxKm = 50;
-    distanceScore = Math.max(0, 1 - km / maxKm);
-  }
-
-  const w = {
-    damage: weights.damage,
-    rating: weights.rating,
-    price: weights.price,
-    distance: hasDistance ? weights.distance : 0, // 沒距離就不算權重
-  };
-  const sum = w.damage + w.rating + w.price + w.distance || 1;
-
-  return (
-    (w.damage * damageScore +
-      w.rating * ratingScore +
-      w.price * priceScore +
-      w.distance * distanceScore) / sum
-  );
+// 邀請雙方出的物品（舊資料只有 fromItemId / toItemId）
+function inviteItems(inv) {
+  const from = inv.fromItemIds?.length ? inv.fromItemIds : [inv.fromItemId];
+  const to = inv.toItemIds?.length ? inv.toItemIds : [inv.toItemId];
+  return { from, to, all: [...from, ...to] };
 }
 
-function recommendSwaps(
-  currentEmail,
-  users,
-  items,
-  userLocations,
-  weights,
-  opts = {}
-) {
-  const result = [];
-  const userA = users.find((u) => u.email === currentEmail);
-  if (!userA) return [];
-
-  const itemsA = items.filter((i) => i.email === currentEmail);
-  if (itemsA.length === 0) return [];
-
-  for (const userB of users) {
-    if (userB.email === currentEmail) continue;
-    const itemsB = items.filter((i) => i.email === userB.email);
-    if (itemsB.length === 0) continue;
-
-    for (const itemA of itemsA) {
-      for (const itemB of itemsB) {
-        // 類別檢查
-        if (opts.useCategory) {
-          const catA = itemA.category || inferCategory(itemA.title, itemA.tags);
-          const catB = itemB.category || inferCategory(itemB.title, itemB.tags);
-          if (catA && catB && catA !== catB) continue;
-        }
+const sameIds = (a, b) =>
+  a.length === b.length && [...a].sort().join() === [...b].sort().join();
 
-        // 價格容忍度
-        if (opts.priceMode === "tolerance") {
-          const tol = Math.max(0, Number(opts.priceTol) || 0);
-          const diff = Math.abs((itemA.price || 0) - (itemB.price || 0));
-          if (diff > tol) continue;
-        }
+// 檢查雙方的物品歸屬與狀態；通過回傳 { fromItems, toItems }，否則 { status, error }
+async function validateOffer(fromEmail, toEmail, fromIds, toIds) {
+  if (fromIds.length === 0 || toIds.length === 0) {
+    return { status: 400, error: "缺少必要欄位" };
+  }
+  if (fromIds.length > BUNDLE_MAX_ITEMS || toIds.length > BUNDLE_MAX_ITEMS) {
+    return { status: 400, error: `每邊最多 ${BUNDLE_MAX_ITEMS} 件物品` };
+  }
+  if (toEmail === fromEmail) return { status: 400, error: "不能邀請自己" };
+  if (await anyBlocked([fromEmail, toEmail])) {
+    return { status: 403, error: "無法與此使用者交換" };
+  }
 
-        const scoreA = evaluateDesire(
-          userA,
-          itemB,
-          itemA,
-          userLocations,
-          weights,
-          opts
-        );
-        const scoreB = evaluateDesire(
-          userB,
-          itemA,
-          itemB,
-          userLocations,
-          weights,
-          opts
-        );
-        const matchScore = (scoreA + scoreB) / 2;
-
-        result.push({
-          fromUser: userA.email,
-          toUser: userB.email,
-          from: itemA,
-          to: itemB,
-          scoreA: +scoreA.toFixed(3),
-          scoreB: +scoreB.toFixed(3),
-          matchScore: +matchScore.toFixed(3),
-        });
-      }
-    }
+  const ids = [...fromIds, ...toIds];
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    return { status: 400, error: "物品 id 格式錯誤" };
+  }
+  const items = await Item.find({ _id: { $in: ids } });
+  const byId = new Map(items.map((it) => [String(it._id), it]));
+  const fromItems = fromIds.map((id) => byId.get(id));
+  const toItems = toIds.map((id) => byId.get(id));
+
+  // 只能拿自己的物品換對方的物品
+  if (fromItems.some((it) => !it || it.email !== fromEmail)) {
+    return { status: 403, error: "fromItemIds 含有不是你的物品" };
+  }
+  if (toItems.some((it) => !it || it.email !== toEmail)) {
+    return { status: 400, error: "toItemIds 含有不屬於 toEmail 的物品" };
+  }
+  if (![...fromItems, ...toItems].every(isItemAvailable)) {
+    return { status: 409, error: "物品已不可交換" };
+  }
+  return { fromItems, toItems };
+}
+
+const titlesOf = (items) => items.map((it) => `「${it.title}」`).join("、");
+
+// 把過期的 pending 邀請標成 expired（循環交換整組一起過期）
+async function expireStaleInvites() {
+  const cond = { status: "pending", expiresAt: { $lt: new Date() } };
+  const cycleIds = (await Invite.find(cond).distinct("cycleId")).filter(
+    Boolean
+  );
+  await Invite.updateMany(cond, { $set: { status: "expired" } });
+  if (cycleIds.length > 0) {
+    await TradeCycle.updateMany(
+      { _id: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "expired" } }
+    );
+    await Invite.updateMany(
+      { cycleId: { $in: cycleIds }, status: "pending" },
+      { $set: { status: "expired" } }
+    );
   }
+}
+
+const isInviteExpired = (inv) =>
+  inv.status === "pending" && inv.expiresAt && inv.expiresAt < new Date();
 
-  return result.sort((a, b) => b.matchScore - a.matchScore);
+// 回傳 :id 的邀請；找不到（含 id 格式錯誤）時已回 404 並回傳 null
+async function findInvite(req, res) {
+  const inv = mongoose.isValidObjectId(req.params.id)
+    ? await Invite.findById(req.params.id)
+    : null;
+  if (!inv) res.status(404).json({ error: "找不到邀請" });
+  return inv;
 }
 
 // ===== Routes =====
 
-// 註冊/更新使用者（GPS）
-app.post("/registerUser", async (req, res) => {
+const MIN_PASSWORD_LEN = 6;
+
+// 註冊/更新使用者（GPS）→ 回傳 token
+// 已登入（帶有效 token）的本人可直接更新；否則需密碼
+// 沒有密碼的舊帳號要用管理員發的認領 token 登入後再補設密碼
+app.post("/registerUser", optionalAuth, async (req, res) => {
   try {
-    const { email, gps, displayName } = req.body;
+    const { email, gps, displayName, password } = req.body;
     if (!email || !gps) {
       return res.status(400).json({ error: "缺少 email 或 gps" });
     }
 
-    const $set = { gps, updatedAt: new Date() };
+    const location = toPoint(gps);
+    if (!location) return res.status(400).json({ error: "gps 格式錯誤" });
+
+    const existing = await User.findOne({ email }).select("+passwordHash");
+    if (existing?.suspended) {
+      return res.status(403).json({ error: "帳號已停權" });
+    }
+    const $set = { location, updatedAt: new Date() };
     $set.email = email;
     if (displayName !== undefined) $set.displayName = displayName;
 
-    await User.updateOne({ email }, { $set }, { upsert: true });
-    res.send("OK");
+    const validPassword =
+      typeof password === "string" && password.length >= MIN_PASSWORD_LEN;
+    if (req.userEmail === email) {
+      // 本人（含管理員發給舊帳號的認領 token）可以補設密碼
+      if (!existing?.passwordHash && password !== undefined) {
+        if (!validPassword) {
+          return res
+            .status(400)
+            .json({ error: `password 至少 ${MIN_PASSWORD_LEN} 碼` });
+        }
+        $set.passwordHash = hashPassword(password);
+      }
+    } else if (existing?.passwordHash) {
+      if (!verifyPassword(password, existing.passwordHash)) {
+        return res.status(401).json({ error: "密碼錯誤" });
+      }
+    } else if (existing) {
+      // 尚未設定密碼的舊帳號不能靠註冊搶先設定，需由管理員發認領 token
+      return res
+        .status(409)
+        .json({ error: "此帳號尚未設定密碼，請聯絡管理員認領帳號" });
+    } else {
+      // 新使用者：設定密碼
+      if (!validPassword) {
+        return res
+          .status(400)
+          .json({ error: `password 至少 ${MIN_PASSWORD_LEN} 碼` });
+      }
+      $set.passwordHash = hashPassword(password);
+    }
+
+    await User.updateOne(
+      { email },
+      { $set, $unset: { gps: "" } },
+      { upsert: true }
+    );
+    // 物品位置跟著擁有者
+    await Item.updateMany({ email }, { $set: { location } });
+    recommendCache.invalidate();
+    res.json({ ok: true, token: issueToken(email) });
   } catch (err) {
     console.error("registerUser error", err);
     res.status(500).json({ error: "registerUser failed" });
   }
 });
 
+// 登入 → 回傳 token
+app.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "缺少 email 或 password" });
+    }
+
+    const user = await User.findOne({ email }).select("+passwordHash");
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: "帳號或密碼錯誤" });
+    }
+    if (user.suspended) {
+      return res.status(403).json({ error: "帳號已停權" });
+    }
+
+    res.json({ ok: true, token: issueToken(email) });
+  } catch (err) {
+    console.error("login error", err);
+    res.status(500).json({ error: "login failed" });
+  }
+});
+
+// 更新個人設定（顯示名稱、推薦最大距離）
+app.patch("/users/me", requireAuth, async (req, res) => {
+  try {
+    const { displayName, maxDistanceKm } = req.body;
+    const $set = { updatedAt: new Date() };
+    if (displayName !== undefined) $set.displayName = displayName;
+    if (maxDistanceKm !== undefined) {
+      if (maxDistanceKm === null) {
+        $set.maxDistanceKm = null;
+      } else if (Number.isFinite(maxDistanceKm) && maxDistanceKm > 0) {
+        $set.maxDistanceKm = maxDistanceKm;
+      } else {
+        return res.status(400).json({ error: "maxDistanceKm 需為正數" });
+      }
+    }
+
+    const user = await User.findOneAndUpdate(
+      { email: req.userEmail },
+      { $set },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: "找不到使用者" });
+    recommendCache.invalidate();
+    res.json({
+      ok: true,
+      user: {
+        email: user.email,
+        displayName: user.displayName,
+        maxDistanceKm: user.maxDistanceKm,
+      },
+    });
+  } catch (err) {
+    console.error("update user error", err);
+    res.status(500).json({ error: "update user failed" });
+  }
+});
+
+// 我的搜尋紀錄（含目前的興趣權重）
+app.get("/users/me/search-history", requireAuth, async (req, res) => {
+  try {
+    const rows = await SearchHistory.find({ email: req.userEmail })
+      .sort({ lastSearchedAt: -1 })
+      .lean();
+    const now = Date.now();
+    res.json(
+      rows.map((r) => ({
+        keyword: r.keyword,
+        count: r.count,
+        lastSearchedAt: r.lastSearchedAt,
+        weight: +interestWeight(r, now).toFixed(3),
+      }))
+    );
+  } catch (err) {
+    console.error("search history error", err);
+    res.status(500).json({ error: "search history failed" });
+  }
+});
+
+// 清除搜尋紀錄：全部，或 ?keyword= 指定一筆
+app.delete("/users/me/search-history", requireAuth, async (req, res) => {
+  try {
+    const cond = { email: req.userEmail };
+    if (req.query.keyword) {
+      cond.keyword = normalizeKeyword(req.query.keyword);
+    }
+    const { deletedCount } = await SearchHistory.deleteMany(cond);
+    recommendCache.invalidate();
+    res.json({ ok: true, deleted: deletedCount });
+  } catch (err) {
+    console.error("clear search history error", err);
+    res.status(500).json({ error: "clear search history failed" });
+  }
+});
+
 // 上傳物品
-app.post("/upload", async (req, res) => {
+// multipart 表單的欄位都是字串：tags 可為 JSON 陣列或逗號分隔，數字轉回 number
+function multipartFields(body) {
+  const fields = { ...body };
+  for (const key of ["percent", "price"]) {
+    if (fields[key] !== undefined && fields[key] !== "") {
+      fields[key] = Number(fields[key]);
+    }
+  }
+  if (typeof fields.tags === "string") {
+    try {
+      fields.tags = JSON.parse(fields.tags);
+    } catch {
+      fields.tags = listParam(fields.tags);
+    }
+  }
+  return fields;
+}
+
+// 舊 client 直接給 imageUrl：只接受 http(s) 網址
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// 上架物品：JSON（舊版，imageUrl）或 multipart（欄位 images 為圖片檔，可多張）
+app.post("/upload", rateLimited("upload"), imageUpload, async (req, res) => {
   try {
-    const { title, category, percent, price, email, tags, imageUrl} = req.body;
-    if (!email) return res.status(400).json({ error: "缺少 email" });
+    const body = req.is("multipart/form-data")
+      ? multipartFields(req.body)
+      : req.body;
+    const { title, category, percent, price, tags, imageUrl } = body;
+    const email = req.userEmail;
     if (!title) return res.status(400).json({ error: "缺少 title" });
+    if (imageUrl != null && imageUrl !== "" && !isHttpUrl(imageUrl)) {
+      return res.status(400).json({ error: "imageUrl 需為 http(s) 網址" });
+    }
 
     const user = await User.findOne({ email });
     if (!user) {
@@ -233,16 +438,46 @@ app.post("/upload", async (req, res) => {
         .json({ error: "未知的 email，請先登入/註冊（/registerUser）" });
     }
 
-    const it = await Item.create({
-      title,
-      tags: Array.isArray(tags) ? tags : [],
-      condition: Number.isFinite(percent) ? Number(percent) : 0,
-      price: Number.isFinite(price) ? Number(price) : 0,
-      email,
-      imageUrl: typeof imageUrl === "string" ? imageUrl : null,
-      category: category || "other",
-      priceBand: priceBandLabelByPrice(price),
-    });
+    let images = [];
+    if (req.files?.length) {
+      const stored = await storeImages(req.files);
+      if (stored.error) return res.status(415).json({ error: stored.error });
+      images = stored.images;
+    }
+
+    let it;
+    try {
+      it = await Item.create({
+        title,
+        tags: Array.isArray(tags) ? tags : [],
+        condition: Number.isFinite(percent) ? Number(percent) : 0,
+        price: Number.isFinite(price) ? Number(price) : 0,
+        email,
+        imageUrl: images[0]?.url || (isHttpUrl(imageUrl) ? imageUrl : null),
+        images,
+        category: category || "other",
+        priceBand: priceBandLabelByPrice(price),
+        searchTokens: indexTokens(title, Array.isArray(tags) ? tags : []),
+        location: toPoint(userLatLng(user)) || undefined,
+      });
+    } catch (err) {
+      // 物品沒建立成功，已存的圖片不留著
+      await removeImages(images.map((img) => img.key));
+      throw err;
+    }
+    recommendCache.invalidate();
+
+    // 標記符合別人願望清單的新物品並通知；失敗不影響上架
+    try {
+      const matched = await flagWantMatches(it);
+      const owners = [...new Set(matched.map((w) => w.email))];
+      await notify(owners, "want_match", {
+        text: `新上架的「${it.title}」符合你的願望清單`,
+        itemId: it._id,
+      });
+    } catch (err) {
+      console.error("flag want matches error", err);
+    }
 
     res.json({ ok: true, itemId: it._id });
   } catch (err) {
@@ -251,23 +486,210 @@ app.post("/upload", async (req, res) => {
   }
 });
 
-// 物品搜尋
-app.get("/items/search", async (req, res) => {
+// 編輯物品（限擁有者）；status 只能在 available / withdrawn 間切換
+app.patch("/items/:id", requireAuth, async (req, res) => {
   try {
-    const { q = "", email } = req.query;
+    const item = await ownItem(req, res);
+    if (!item) return;
+
+    const { title, category, percent, price, tags, imageUrl, status } =
+      req.body;
+    if (title !== undefined) {
+      if (!title) return res.status(400).json({ error: "title 不可為空" });
+      item.title = title;
+    }
+    if (Array.isArray(tags)) item.tags = tags;
+    if (Number.isFinite(percent)) item.condition = Number(percent);
+    if (Number.isFinite(price)) {
+      item.price = Number(price);
+      item.priceBand = priceBandLabelByPrice(price);
+    }
+    if (title !== undefined || Array.isArray(tags)) {
+      item.searchTokens = indexTokens(item.title, item.tags);
+    }
+    if (category) item.category = category;
+    // 有上傳圖片時封面由 images 決定（/items/:id/images）
+    if (imageUrl !== undefined && item.images.length === 0) {
+      if (imageUrl !== null && !isHttpUrl(imageUrl)) {
+        return res.status(400).json({ error: "imageUrl 需為 http(s) 網址" });
+      }
+      item.imageUrl = imageUrl;
+    }
+
+    if (status !== undefined && status !== item.status) {
+      if (!["available", "withdrawn"].includes(status)) {
+        return res
+          .status(400)
+          .json({ error: "status 只能設為 available 或 withdrawn" });
+      }
+      if (!["available", "withdrawn"].includes(item.status)) {
+        return res
+          .status(409)
+          .json({ error: `物品目前為 ${item.status}，無法變更狀態` });
+      }
+      item.status = status;
+    }
+
+    await item.save();
+    recommendCache.invalidate();
+    if (item.status === "withdrawn") {
+      await rejectPendingInvitesFor([String(item._id)]);
+    }
+    res.json({ ok: true, item });
+  } catch (err) {
+    console.error("update item error", err);
+    res.status(500).json({ error: "update item failed" });
+  }
+});
+
+// 刪除物品（限擁有者；交易進行中的物品不可刪）
+app.delete("/items/:id", requireAuth, async (req, res) => {
+  try {
+    const item = await ownItem(req, res);
+    if (!item) return;
+    if (item.status === "reserved") {
+      return res.status(409).json({ error: "物品交易中，無法刪除" });
+    }
+
+    await Item.deleteOne({ _id: item._id });
+    recommendCache.invalidate();
+    await rejectPendingInvitesFor([String(item._id)]);
+    await removeImages(item.images.map((img) => img.key));
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("delete item error", err);
+    res.status(500).json({ error: "delete item failed" });
+  }
+});
+
+// 搜尋中心點：?lat=&lng= 優先，其次是登入者的位置
+async function searchCenter(req) {
+  const lat = numOr(req.query.lat, NaN);
+  const lng = numOr(req.query.lng, NaN);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+  if (!req.userEmail) return null;
+  return userLatLng(await User.findOne({ email: req.userEmail }));
+}
+
+const LEGACY_SEARCH_LIMIT = 50;
+
+// 附近的物品（$geoNear，依距離排序）
+const NEARBY_DEFAULT_KM = 10;
+
+app.get("/items/nearby", optionalAuth, async (req, res) => {
+  try {
+    const center = await searchCenter(req);
+    if (!center) return res.status(400).json({ error: "缺少 lat/lng" });
+    const radiusKm = numOr(req.query.radiusKm, NEARBY_DEFAULT_KM);
+    const limit = Math.min(100, Math.max(1, numOr(req.query.limit, 50)));
+
+    const query = { ...AVAILABLE_ITEM };
+    if (req.userEmail) {
+      const blocked = await blockedEmailsFor(req.userEmail);
+      query.email = { $nin: [req.userEmail, ...blocked] };
+    }
+
+    const items = await Item.aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: [center.lng, center.lat] },
+          distanceField: "distanceM",
+          maxDistance: Math.max(0, radiusKm) * 1000,
+          spherical: true,
+          query,
+        },
+      },
+      { $limit: limit },
+      { $project: PRIVATE_ITEM_FIELDS },
+    ]);
+
+    res.json(
+      items.map(({ distanceM, ...it }) => ({
+        ...it,
+        distanceKm: +(distanceM / 1000).toFixed(1),
+      }))
+    );
+  } catch (err) {
+    console.error("nearby error", err);
+    res.status(500).json({ error: "nearby failed" });
+  }
+});
+
+// 相似物品：內容相似 +「換過這類物品的人也換了…」；登入時排除自己的物品
+app.get("/items/:id/similar", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "找不到物品" });
+    }
+    const item = await Item.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ error: "找不到物品" });
+    const limit = Math.min(50, Math.max(1, numOr(req.query.limit, 20)));
+
+    const excludeEmails = [
+      req.userEmail,
+      ...(await blockedEmailsFor(req.userEmail)),
+    ].filter(Boolean);
+    res.json(await similarItems(item, { limit, excludeEmails }));
+  } catch (err) {
+    console.error("similar items error", err);
+    res.status(500).json({ error: "similar items failed" });
+  }
+});
+
+// 物品搜尋：斷詞比對、篩選、排序、游標分頁、facet 計數
+// ?q=&category=&priceBand=&minCondition=&maxCondition=&minPrice=&maxPrice=
+//  &radiusKm=&lat=&lng=&sort=relevance|newest|price_asc|price_desc|distance
+//  &limit=&cursor=
+app.get("/items/search", optionalAuth, async (req, res) => {
+  try {
+    const { q = "" } = req.query;
+    const email = req.userEmail;
     const keyword = String(q || "").trim();
-    if (!keyword) return res.json([]);
 
-    const regex = new RegExp(keyword, "i");
-    const cond = {
-      $or: [{ title: regex }, { tags: regex }],
-    };
-    if (email) {
-      cond.email = { $ne: email };
+    // 沒帶 limit/cursor 時維持舊格式：只回陣列、最多 50 筆、沒關鍵字回空
+    const legacy =
+      req.query.limit === undefined && req.query.cursor === undefined;
+    if (legacy && !keyword) return res.json([]);
+    const { limit, offset, error } = legacy
+      ? { limit: LEGACY_SEARCH_LIMIT, offset: 0 }
+      : pageParams(req.query);
+    if (error) return res.status(400).json({ error });
+    // 登入時排除自己與有封鎖關係的人
+    const excludeEmails = email
+      ? [email, ...(await blockedEmailsFor(email))]
+      : [];
+
+    const { results, total, facets } = await searchItems({
+      q: keyword,
+      excludeEmails,
+      category: listParam(req.query.category),
+      priceBand: listParam(req.query.priceBand),
+      minCondition: numOr(req.query.minCondition, undefined),
+      maxCondition: numOr(req.query.maxCondition, undefined),
+      minPrice: numOr(req.query.minPrice, undefined),
+      maxPrice: numOr(req.query.maxPrice, undefined),
+      center: await searchCenter(req),
+      radiusKm: numOr(req.query.radiusKm, 0),
+      sort: req.query.sort,
+      limit,
+      offset,
+    });
+
+    // 記錄搜尋興趣；失敗不影響搜尋結果
+    if (email && keyword) {
+      recordSearch(email, keyword).catch((err) =>
+        console.error("record search error", err)
+      );
     }
 
-    const items = await Item.find(cond).limit(50);
-    res.json(items);
+    if (legacy) return res.json(results);
+    const end = offset + results.length;
+    res.json({
+      results,
+      nextCursor: end < total ? encodeCursor(end) : null,
+      total,
+      facets,
+    });
   } catch (err) {
     console.error("search error", err);
     res.status(500).json({ error: "Search failed" });
@@ -275,49 +697,75 @@ app.get("/items/search", async (req, res) => {
 });
 
 // 推薦
-app.get("/recommend", async (req, res) => {
+app.get("/recommend", requireAuth, async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: "缺少 email" });
-
-    const raw = {
-      price: numOr(req.query.w_price, 25),
-      distance: numOr(req.query.w_distance, 25),
-      rating: numOr(req.query.w_rating, 25),
-      damage: numOr(req.query.w_damage, 25),
-    };
-    const sum = raw.price + raw.distance + raw.rating + raw.damage || 1;
-    const weights = {
-      price: raw.price / sum,
-      distance: raw.distance / sum,
-      rating: raw.rating / sum,
-      damage: raw.damage / sum,
-    };
+    const email = req.userEmail;
+
+    // 權重：?preset= 選一組預設，?w_<name>= 個別覆寫
+    const preset = req.query.preset || DEFAULT_PRESET;
+    if (!isPreset(preset)) {
+      return res.status(400).json({ error: `未知的 preset：${preset}` });
+    }
+    const curve = req.query.curve || DEFAULT_CURVE;
+    if (!isCurve(curve)) {
+      return res.status(400).json({ error: `未知的 curve：${curve}` });
+    }
+    const raw = { ...PRESETS[preset] };
+    Object.keys(raw).forEach((k) => {
+      raw[k] = Math.max(0, numOr(req.query[`w_${k}`], raw[k]));
+    });
+    let weights = normalizeWeights(raw);
+
+    // 完全沒指定權重：有訓練過的權重就用（scripts/train-weights.js）
+    let weightSource = "preset";
+    const custom =
+      req.query.preset !== undefined ||
+      Object.keys(req.query).some((k) => k.startsWith("w_"));
+    if (!custom) {
+      const learned = await loadLearnedWeights(email);
+      if (learned) {
+        weights = learned.weights;
+        weightSource = learned.source;
+      }
+    }
 
-    const tol = numOr(req.query.priceTol, 0);
-    const opts = {
-      priceMode: "tolerance",
-      priceTol: Math.max(0, tol),
+    const mode = req.query.mode === "cycle" ? "cycle" : "pair";
+    const params = {
+      weights,
+      priceTol: Math.max(0, numOr(req.query.priceTol, 0)),
       useCategory:
         req.query.useCategory === "1" || req.query.useCategory === "true",
+      radiusKm: Math.max(0, numOr(req.query.radiusKm, 0)),
+      maxKm: Math.max(0, numOr(req.query.maxKm, 0)),
+      // 距離衰減曲線與尺度（公里，預設同 maxKm）
+      curve,
+      decayKm: Math.max(0, numOr(req.query.decayKm, 0)),
+      mode,
+      maxLen:
+        mode === "cycle"
+          ? Math.min(4, Math.max(3, numOr(req.query.maxLen, 3)))
+          : undefined,
+      // 組合交換建議（兩件換一件）
+      bundles: req.query.bundles === "1" || req.query.bundles === "true",
     };
 
-    const users = await User.find();
-    const items = await Item.find();
-    const userLocations = {};
-    users.forEach((u) => {
-      if (u.gps) userLocations[u.email] = u.gps;
-    });
+    const results = await getRecommendations(email, params);
+    const paged =
+      req.query.limit !== undefined || req.query.cursor !== undefined;
 
-    const swaps = recommendSwaps(
-      email,
-      users,
-      items,
-      userLocations,
-      weights,
-      opts
-    );
-    res.json(swaps);
+    // ?debug=1：另外列出被類別 / 價格容忍度濾掉的配對與原因
+    if (req.query.debug === "1" || req.query.debug === "true") {
+      const filtered = await explainFiltered(email, params);
+      const page = paged ? paginate(results, req.query) : { results };
+      if (page.error) return res.status(400).json({ error: page.error });
+      return res.json({ ...page, params, weightSource, filtered });
+    }
+
+    // 沒帶 limit/cursor 時維持舊格式（整個陣列）
+    if (!paged) return res.json(results);
+    const page = paginate(results, req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    res.json(page);
   } catch (err) {
     console.error("recommend error", err);
     res.status(500).json({ error: "recommend failed" });
@@ -325,28 +773,52 @@ app.get("/recommend", async (req, res) => {
 });
 
 // 送出邀請
-app.post("/invite", async (req, res) => {
+app.post("/invite", rateLimited("invite"), async (req, res) => {
   try {
-    const { fromEmail, toEmail, fromItemId, toItemId } = req.body;
-    if (!fromEmail || !toEmail || !fromItemId || !toItemId) {
-      return res.status(400).json({ error: "缺少必要欄位" });
+    const { toEmail } = req.body;
+    const fromEmail = req.userEmail;
+    // 單件：fromItemId / toItemId；組合交換：fromItemIds / toItemIds
+    const fromIds = idList(req.body.fromItemId, req.body.fromItemIds);
+    const toIds = idList(req.body.toItemId, req.body.toItemIds);
+    if (!toEmail) return res.status(400).json({ error: "缺少必要欄位" });
+
+    const offer = await validateOffer(fromEmail, toEmail, fromIds, toIds);
+    if (offer.error) {
+      return res.status(offer.status).json({ error: offer.error });
     }
 
-    const exists = await Invite.findOne({
+    const pending = await Invite.find({
       fromEmail,
       toEmail,
-      fromItemId,
-      toItemId,
+      fromItemId: fromIds[0],
+      toItemId: toIds[0],
       status: "pending",
     });
+    const exists = pending.find(
+      (inv) =>
+        !isInviteExpired(inv) &&
+        sameIds(inviteItems(inv).from, fromIds) &&
+        sameIds(inviteItems(inv).to, toIds)
+    );
     if (exists) return res.json({ ok: true, inviteId: exists._id });
 
     const inv = await Invite.create({
       fromEmail,
       toEmail,
-      fromItemId,
-      toItemId,
+      fromItemId: fromIds[0],
+      toItemId: toIds[0],
+      fromItemIds: fromIds,
+      toItemIds: toIds,
+      expiresAt: inviteExpiresAt(),
     });
+    await notify(toEmail, "invite", {
+      text: `${fromEmail} 想用${titlesOf(offer.fromItems)}交換你的${titlesOf(
+        offer.toItems
+      )}`,
+      fromEmail,
+      inviteId: inv._id,
+    });
+    await checkInviteSpam(fromEmail);
     res.json({ ok: true, inviteId: inv._id });
   } catch (err) {
     console.error("invite error", err);
@@ -354,11 +826,105 @@ app.post("/invite", async (req, res) => {
   }
 });
 
+// 送出多人循環交換邀請：每位參與者都會收到一張連動的邀請
+// legs: [{ fromEmail, toEmail, itemId }]，需首尾相接成一個循環
+app.post("/invite/cycle", rateLimited("invite"), async (req, res) => {
+  try {
+    const { legs } = req.body;
+    const fromEmail = req.userEmail;
+    if (!Array.isArray(legs)) {
+      return res.status(400).json({ error: "缺少 legs" });
+    }
+    if (legs.length < 3 || legs.length > 4) {
+      return res.status(400).json({ error: "循環交換需 3~4 人" });
+    }
+
+    const members = legs.map((l) => l && l.fromEmail);
+    const linked = legs.every(
+      (l, k) =>
+        l &&
+        l.fromEmail &&
+        l.toEmail &&
+        l.itemId &&
+        l.toEmail === legs[(k + 1) % legs.length].fromEmail
+    );
+    if (!linked || new Set(members).size !== members.length) {
+      return res.status(400).json({ error: "legs 不是有效的循環" });
+    }
+    if (!members.includes(fromEmail)) {
+      return res.status(400).json({ error: "發起人必須是參與者之一" });
+    }
+    if (await anyBlocked(members)) {
+      return res.status(403).json({ error: "參與者之間有封鎖關係" });
+    }
+    if (!legs.every((l) => mongoose.isValidObjectId(l.itemId))) {
+      return res.status(400).json({ error: "物品 id 格式錯誤" });
+    }
+
+    for (const leg of legs) {
+      const item = await Item.findById(leg.itemId);
+      if (!item || item.email !== leg.fromEmail) {
+        return res
+          .status(400)
+          .json({ error: `物品 ${leg.itemId} 不屬於 ${leg.fromEmail}` });
+      }
+      if (!isItemAvailable(item)) {
+        return res.status(409).json({ error: `物品 ${leg.itemId} 已不可交換` });
+      }
+    }
+
+    // 以發起人為起點轉正，同一組循環只會有一筆 pending
+    const start = members.indexOf(fromEmail);
+    const ordered = [...legs.slice(start), ...legs.slice(0, start)].map(
+      (l) => ({
+        fromEmail: l.fromEmail,
+        toEmail: l.toEmail,
+        itemId: l.itemId,
+      })
+    );
+    const key = ordered.map((l) => `${l.fromEmail}:${l.itemId}`).join("|");
+
+    const exists = await TradeCycle.findOne({ key, status: "pending" });
+    if (exists) return res.json({ ok: true, cycleId: exists._id });
+
+    const cycle = await TradeCycle.create({
+      initiatorEmail: fromEmail,
+      members: ordered.map((l) => l.fromEmail),
+      legs: ordered,
+      key,
+      acceptedBy: [fromEmail],
+    });
+
+    // 每位參與者：fromItemId = 他收到的物品，toItemId = 他送出的物品
+    for (let k = 1; k < ordered.length; k++) {
+      const inv = await Invite.create({
+        fromEmail,
+        toEmail: ordered[k].fromEmail,
+        fromItemId: ordered[k - 1].itemId,
+        toItemId: ordered[k].itemId,
+        cycleId: String(cycle._id),
+        expiresAt: inviteExpiresAt(),
+      });
+      await notify(inv.toEmail, "invite", {
+        text: `${fromEmail} 邀請你加入 ${ordered.length} 人循環交換`,
+        fromEmail,
+        inviteId: inv._id,
+      });
+    }
+
+    await checkInviteSpam(fromEmail);
+    res.json({ ok: true, cycleId: cycle._id });
+  } catch (err) {
+    console.error("invite cycle error", err);
+    res.status(500).json({ error: "invite cycle failed" });
+  }
+});
+
 // 查詢邀請
-app.get("/invites", async (req, res) => {
+app.get("/invites", requireAuth, async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: "缺少 email" });
+    const email = req.userEmail;
+    await expireStaleInvites();
 
     const received = await Invite.find({ toEmail: email }).sort({
       createdAt: -1,
@@ -374,14 +940,38 @@ app.get("/invites", async (req, res) => {
 });
 
 // 拒絕邀請
-app.post("/invites/:id/reject", async (req, res) => {
+app.post("/invites/:id/reject", requireAuth, async (req, res) => {
   try {
-    const inv = await Invite.findById(req.params.id);
-    if (!inv) return res.status(404).json({ error: "找不到邀請" });
-    if (inv.status !== "pending") return res.json({ ok: true });
+    const inv = await findInvite(req, res);
+    if (!inv) return;
+    if (inv.toEmail !== req.userEmail) {
+      return res.status(403).json({ error: "只有受邀者可以拒絕" });
+    }
+    if (isInviteExpired(inv)) await expireStaleInvites();
+    if (inv.status !== "pending" || isInviteExpired(inv)) {
+      return res.json({ ok: true });
+    }
 
     inv.status = "rejected";
     await inv.save();
+    await notify(inv.fromEmail, "invite_rejected", {
+      text: `${inv.toEmail} 拒絕了你的交換邀請`,
+      fromEmail: inv.toEmail,
+      inviteId: inv._id,
+    });
+
+    // 循環交換只要有一人拒絕，整個循環就取消
+    if (inv.cycleId) {
+      await TradeCycle.updateOne(
+        { _id: inv.cycleId },
+        { $set: { status: "rejected" } }
+      );
+      await Invite.updateMany(
+        { cycleId: inv.cycleId, status: "pending" },
+        { $set: { status: "rejected" } }
+      );
+    }
+
     res.json({ ok: true });
   } catch (err) {
     console.error("reject invite error", err);
@@ -389,29 +979,267 @@ app.post("/invites/:id/reject", async (req, res) => {
   }
 });
 
+// 取消邀請（限發出方）；循環交換由發起人取消時整組取消
+app.post("/invites/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const inv = await findInvite(req, res);
+    if (!inv) return;
+    if (inv.fromEmail !== req.userEmail) {
+      return res.status(403).json({ error: "只有發出方可以取消" });
+    }
+    if (inv.status === "cancelled") return res.json({ ok: true });
+    if (inv.status !== "pending") {
+      return res.status(409).json({ error: `邀請已是 ${inv.status}` });
+    }
+
+    let cancelled = [inv];
+    if (inv.cycleId) {
+      await TradeCycle.updateOne(
+        { _id: inv.cycleId, status: "pending" },
+        { $set: { status: "cancelled" } }
+      );
+      cancelled = await Invite.find({
+        cycleId: inv.cycleId,
+        status: "pending",
+      });
+    }
+    await Invite.updateMany(
+      { _id: { $in: cancelled.map((i) => i._id) } },
+      { $set: { status: "cancelled" } }
+    );
+
+    for (const c of cancelled) {
+      await notify(c.toEmail, "invite_cancelled", {
+        text: `${c.fromEmail} 取消了交換邀請`,
+        fromEmail: c.fromEmail,
+        inviteId: c._id,
+      });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("cancel invite error", err);
+    res.status(500).json({ error: "cancel failed" });
+  }
+});
+
+// 還價（限受邀者）：提出不同的物品組合，建立一張反向的新邀請
+// body: { fromItemIds: 我的物品, toItemIds: 對方的物品 }
+app.post("/invites/:id/counter", rateLimited("invite"), async (req, res) => {
+  try {
+    const inv = await findInvite(req, res);
+    if (!inv) return;
+    if (inv.toEmail !== req.userEmail) {
+      return res.status(403).json({ error: "只有受邀者可以還價" });
+    }
+    if (inv.cycleId) {
+      return res.status(400).json({ error: "循環交換不支援還價" });
+    }
+    if (isInviteExpired(inv)) {
+      await expireStaleInvites();
+      return res.status(409).json({ error: "邀請已過期" });
+    }
+    if (inv.status !== "pending") {
+      return res.status(409).json({ error: `邀請已是 ${inv.status}` });
+    }
+
+    const fromEmail = req.userEmail;
+    const toEmail = inv.fromEmail;
+    const fromIds = idList(req.body.fromItemId, req.body.fromItemIds);
+    const toIds = idList(req.body.toItemId, req.body.toItemIds);
+    const offer = await validateOffer(fromEmail, toEmail, fromIds, toIds);
+    if (offer.error) {
+      return res.status(offer.status).json({ error: offer.error });
+    }
+
+    inv.status = "countered";
+    await inv.save();
+    const counter = await Invite.create({
+      fromEmail,
+      toEmail,
+      fromItemId: fromIds[0],
+      toItemId: toIds[0],
+      fromItemIds: fromIds,
+      toItemIds: toIds,
+      parentInviteId: String(inv._id),
+      threadId: inv.threadId || String(inv._id),
+      expiresAt: inviteExpiresAt(),
+    });
+
+    await notify(toEmail, "invite_countered", {
+      text: `${fromEmail} 還價：用${titlesOf(offer.fromItems)}換你的${titlesOf(
+        offer.toItems
+      )}`,
+      fromEmail,
+      inviteId: counter._id,
+    });
+    res.json({ ok: true, inviteId: counter._id });
+  } catch (err) {
+    console.error("counter invite error", err);
+    res.status(500).json({ error: "counter failed" });
+  }
+});
+
+// 還價串：同一個 thread 的所有邀請（舊到新）
+app.get("/invites/:id/thread", requireAuth, async (req, res) => {
+  try {
+    const inv = await findInvite(req, res);
+    if (!inv) return;
+    if (![inv.fromEmail, inv.toEmail].includes(req.userEmail)) {
+      return res.status(403).json({ error: "非邀請相關人" });
+    }
+
+    const rootId = inv.threadId || String(inv._id);
+    const thread = await Invite.find({
+      $or: [{ _id: rootId }, { threadId: rootId }],
+    }).sort({ createdAt: 1 });
+    res.json(thread);
+  } catch (err) {
+    console.error("invite thread error", err);
+    res.status(500).json({ error: "invite thread failed" });
+  }
+});
+
+// 檢查物品都還可交換
+async function allItemsAvailable(itemIds) {
+  const count = await Item.countDocuments({
+    _id: { $in: itemIds },
+    ...AVAILABLE_ITEM,
+  });
+  return count === itemIds.length;
+}
+
+// 循環交換：記錄同意者，全員同意後才建立聊天室
+// 同時有人同意時：$addToSet 不會蓋掉彼此，pending → accepted 只有一個請求搶得到
+async function acceptCycleInvite(inv) {
+  const cycle = await TradeCycle.findOneAndUpdate(
+    { _id: inv.cycleId, status: { $ne: "rejected" } },
+    { $addToSet: { acceptedBy: inv.toEmail } },
+    { new: true }
+  );
+  if (!cycle) return { chatId: null, waitingFor: [] };
+
+  const waitingFor = cycle.members.filter((m) => !cycle.acceptedBy.includes(m));
+  if (waitingFor.length > 0 || cycle.chatId) {
+    return { chatId: cycle.chatId, waitingFor };
+  }
+
+  const claimed = await TradeCycle.findOneAndUpdate(
+    { _id: cycle._id, status: "pending", chatId: null },
+    { $set: { status: "accepted" } },
+    { new: true }
+  );
+  if (!claimed) {
+    // 另一個請求已經在建立聊天室
+    const latest = await TradeCycle.findById(cycle._id).lean();
+    return { chatId: latest?.chatId || null, waitingFor };
+  }
+
+  const itemIds = cycle.legs.map((l) => l.itemId);
+  if (!(await reserveItems(itemIds))) {
+    // 物品已被其他交換保留：放回 pending，全員同意的紀錄保留
+    await TradeCycle.updateOne(
+      { _id: cycle._id, status: "accepted", chatId: null },
+      { $set: { status: "pending" } }
+    );
+    return { unavailable: true };
+  }
+  const chat = await Chat.create({
+    members: [...cycle.members].sort(),
+    cycleId: String(cycle._id),
+    itemIds,
+  });
+  await ensureTrade(chat);
+  await TradeCycle.updateOne(
+    { _id: cycle._id },
+    { $set: { chatId: String(chat._id) } }
+  );
+  return { chatId: String(chat._id), waitingFor };
+}
+
 // 同意邀請 → 建立聊天室
-app.post("/invites/:id/accept", async (req, res) => {
+app.post("/invites/:id/accept", requireAuth, async (req, res) => {
   try {
-    const inv = await Invite.findById(req.params.id);
-    if (!inv) return res.status(404).json({ error: "找不到邀請" });
+    const inv = await findInvite(req, res);
+    if (!inv) return;
+    if (inv.toEmail !== req.userEmail) {
+      return res.status(403).json({ error: "只有受邀者可以同意" });
+    }
+    if (isInviteExpired(inv)) {
+      await expireStaleInvites();
+      return res.status(409).json({ error: "邀請已過期" });
+    }
     if (inv.status !== "pending") return res.json({ ok: true });
 
-    inv.status = "accepted";
-    await inv.save();
+    const cycle = inv.cycleId ? await TradeCycle.findById(inv.cycleId) : null;
+    const itemIds = cycle
+      ? cycle.legs.map((l) => l.itemId)
+      : inviteItems(inv).all;
+    if (!(await allItemsAvailable(itemIds))) {
+      return res.status(409).json({ error: "物品已不可交換" });
+    }
+
+    // 重複送出的同意只處理一次
+    const { modifiedCount } = await Invite.updateOne(
+      { _id: inv._id, status: "pending" },
+      { $set: { status: "accepted" } }
+    );
+    if (!modifiedCount) return res.json({ ok: true });
+
+    if (inv.cycleId) {
+      const result = await acceptCycleInvite(inv);
+      if (result.unavailable) {
+        return res.status(409).json({ error: "物品已不可交換" });
+      }
+      if (result.chatId) {
+        await notify(
+          cycle.members.filter((m) => m !== inv.toEmail),
+          "invite_accepted",
+          {
+            text: "循環交換全員同意，聊天室已開啟",
+            fromEmail: inv.toEmail,
+            chatId: result.chatId,
+          }
+        );
+      } else {
+        await notify(inv.fromEmail, "invite_accepted", {
+          text: `${inv.toEmail} 同意了循環交換`,
+          fromEmail: inv.toEmail,
+          inviteId: inv._id,
+        });
+      }
+      return res.json({ ok: true, ...result });
+    }
+
+    // 先搶物品再開聊天室；搶輸的邀請放回 pending
+    if (!(await reserveItems(itemIds))) {
+      await Invite.updateOne(
+        { _id: inv._id, status: "accepted" },
+        { $set: { status: "pending" } }
+      );
+      return res.status(409).json({ error: "物品已不可交換" });
+    }
 
     const members = [inv.fromEmail, inv.toEmail].sort();
+    // 同樣的組合取消過的話開新的聊天室（舊的交易紀錄保留）
     let chat = await Chat.findOne({
       members: { $all: members },
-      "pair.fromItemId": inv.fromItemId,
-      "pair.toItemId": inv.toItemId,
+      itemIds: { $all: itemIds, $size: itemIds.length },
+      closeReason: { $ne: "cancelled" },
     });
     if (!chat) {
       chat = await Chat.create({
         members,
         pair: { fromItemId: inv.fromItemId, toItemId: inv.toItemId },
-        messages: [],
+        itemIds,
       });
     }
+    await ensureTrade(chat);
+    await notify(inv.fromEmail, "invite_accepted", {
+      text: `${inv.toEmail} 同意了你的交換邀請`,
+      fromEmail: inv.toEmail,
+      inviteId: inv._id,
+      chatId: chat._id,
+    });
 
     res.json({ ok: true, chatId: chat._id });
   } catch (err) {
@@ -421,15 +1249,22 @@ app.post("/invites/:id/accept", async (req, res) => {
 });
 
 // 聊天室列表
-app.get("/chats", async (req, res) => {
+app.get("/chats", requireAuth, async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: "缺少 email" });
-
-    const chats = await Chat.find({ members: email }).sort({
-      "messages.createdAt": -1,
-      createdAt: -1,
-    });
+    const email = req.userEmail;
+
+    const chats = await Chat.find({ members: email })
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .lean();
+    const unread = await unreadCounts(email, chats);
+    const trades = await Trade.find({
+      chatId: { $in: chats.map((c) => String(c._id)) },
+    })
+      .select("chatId state")
+      .lean();
+    const tradeStates = Object.fromEntries(
+      trades.map((t) => [t.chatId, t.state])
+    );
 
     res.json(
       chats.map((c) => ({
@@ -438,8 +1273,14 @@ app.get("/chats", async (req, res) => {
         pair: c.pair,
         closed: c.closed,
         closedAt: c.closedAt,
-        lastMessage:
-          c.messages.length > 0 ? c.messages[c.messages.length - 1] : null,
+        closeReason: c.closeReason || null,
+        // 改版前的聊天室還沒有 Trade，第一次操作時才建立
+        tradeState:
+          tradeStates[String(c._id)] || (c.closed ? "completed" : "agreed"),
+        lastMessage: c.lastMessage || null,
+        lastMessageAt: c.lastMessageAt,
+        lastReadAt: lastReadOf(c, email),
+        unreadCount: unread[String(c._id)] || 0,
       }))
     );
   } catch (err) {
@@ -448,16 +1289,56 @@ app.get("/chats", async (req, res) => {
   }
 });
 
-// 取得聊天室訊息
-app.get("/chats/:chatId/messages", async (req, res) => {
+// 聊天室成員才能操作；回傳 chat 或已回應錯誤時回傳 null
+async function memberChat(req, res) {
+  if (!mongoose.isValidObjectId(req.params.chatId)) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  const chat = await Chat.findById(req.params.chatId);
+  if (!chat) {
+    res.status(404).json({ error: "找不到聊天室" });
+    return null;
+  }
+  if (!chat.members.includes(req.userEmail)) {
+    res.status(403).json({ error: "非聊天室成員" });
+    return null;
+  }
+  return chat;
+}
+
+// 已讀：更新已讀時間、通知其他成員、這個聊天室的通知標為已讀
+async function readChat(chat, email, at) {
+  const lastReadAt = await markRead(chat, email, at);
+  if (lastReadAt) chatEvents.publish(chat._id, "read", { email, lastReadAt });
+  await Notification.updateMany(
+    { email, chatId: String(chat._id), read: false },
+    { $set: { read: true } }
+  );
+  return lastReadAt;
+}
+
+// 取得聊天室訊息（游標分頁）：?limit= &before=<訊息 _id> | &after=<訊息 _id>
+// 看最新一頁（沒給 before）時順便標為已讀
+app.get("/chats/:chatId/messages", requireAuth, async (req, res) => {
   try {
-    const chat = await Chat.findById(req.params.chatId);
-    if (!chat) return res.status(404).json({ error: "找不到聊天室" });
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+
+    const page = await loadMessages(chat._id, req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    const newest = page.messages[page.messages.length - 1];
+    if (!req.query.before && newest) {
+      await readChat(chat, req.userEmail, new Date(newest.createdAt));
+    }
 
     res.json({
       closed: chat.closed,
       doneConfirmations: chat.doneConfirmations || [],
-      messages: chat.messages,
+      readReceipts: chat.readReceipts || [],
+      messages: page.messages,
+      hasMore: page.hasMore,
     });
   } catch (err) {
     console.error("get messages error", err);
@@ -465,58 +1346,315 @@ app.get("/chats/:chatId/messages", async (req, res) => {
   }
 });
 
-// 送出訊息
-app.post("/chats/:chatId/messages", async (req, res) => {
-  try {
-    const { senderEmail, text } = req.body;
-    if (!senderEmail || !text) {
-      return res.status(400).json({ error: "缺少 senderEmail 或 text" });
+// 送出訊息：JSON { type?, text, itemId?, lat?, lng?, label? }；
+// image 用 multipart（欄位 images，一張）
+app.post(
+  "/chats/:chatId/messages",
+  requireAuth,
+  rateLimit("message"),
+  imageUpload,
+  async (req, res) => {
+    try {
+      const senderEmail = req.userEmail;
+      const chat = await memberChat(req, res);
+      if (!chat) return;
+      if (chat.closed) {
+        return res.status(403).json({ error: "聊天室已關閉" });
+      }
+      if (await anyBlocked(chat.members)) {
+        return res.status(403).json({ error: "聊天室成員之間有封鎖關係" });
+      }
+
+      const built = await buildMessage(req.body, req.files || []);
+      if (built.error) {
+        return res.status(built.status).json({ error: built.error });
+      }
+
+      const doc = await Message.create({
+        ...built.fields,
+        chatId: String(chat._id),
+        senderEmail,
+      });
+      const message = messageView(doc);
+      await recordLastMessage(chat._id, doc);
+      // 自己送的訊息視為已讀
+      await markRead(chat, senderEmail, doc.createdAt);
+      chatEvents.publish(chat._id, "message", message);
+      await checkMessageSpam(doc);
+      await notify(
+        chat.members.filter((m) => m !== senderEmail),
+        "message",
+        {
+          text: `${senderEmail}：${previewOf(doc).slice(0, 50)}`,
+          fromEmail: senderEmail,
+          chatId: chat._id,
+        }
+      );
+      res.json({ ok: true, message });
+    } catch (err) {
+      console.error("send message error", err);
+      res.status(500).json({ error: "send message failed" });
+    }
+  }
+);
+
+// 找出聊天室中的某則訊息，並確認自己還能修改
+async function editableMessage(req, res) {
+  const chat = await memberChat(req, res);
+  if (!chat) return null;
+  if (chat.closed) {
+    res.status(403).json({ error: "聊天室已關閉" });
+    return null;
+  }
+  const { messageId } = req.params;
+  const msg = mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, chatId: String(chat._id) })
+    : null;
+  if (!msg) {
+    res.status(404).json({ error: "找不到訊息" });
+    return null;
+  }
+  const denied = editError(msg, req.userEmail);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  return { chat, msg };
+}
+
+// 修改自己的訊息（text；其他類型為說明文字）
+app.patch(
+  "/chats/:chatId/messages/:messageId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const found = await editableMessage(req, res);
+      if (!found) return;
+      const { chat, msg } = found;
+
+      const text =
+        typeof req.body.text === "string" ? req.body.text.trim() : "";
+      if (msg.type === "text" && !text) {
+        return res.status(400).json({ error: "缺少 text" });
+      }
+      if (text.length > MAX_TEXT_LEN) {
+        return res.status(400).json({ error: `text 最多 ${MAX_TEXT_LEN} 字` });
+      }
+
+      msg.text = text;
+      msg.editedAt = new Date();
+      await msg.save();
+      const message = messageView(msg);
+      await refreshLastMessage(chat._id, msg);
+      chatEvents.publish(chat._id, "message_edited", message);
+      res.json({ ok: true, message });
+    } catch (err) {
+      console.error("edit message error", err);
+      res.status(500).json({ error: "edit message failed" });
     }
+  }
+);
 
-    const chat = await Chat.findById(req.params.chatId);
-    if (!chat) return res.status(404).json({ error: "找不到聊天室" });
-    if (chat.closed) {
-      return res.status(403).json({ error: "聊天室已關閉" });
+// 刪除自己的訊息：清空內容（圖片一併刪除），保留一則「已刪除」
+app.delete(
+  "/chats/:chatId/messages/:messageId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const found = await editableMessage(req, res);
+      if (!found) return;
+      const { chat, msg } = found;
+
+      const imageKey = msg.image?.key;
+      msg.set({
+        text: "",
+        item: undefined,
+        image: undefined,
+        location: undefined,
+        locationLabel: null,
+        deletedAt: new Date(),
+      });
+      await msg.save();
+      if (imageKey) await removeImages([imageKey]);
+      await refreshLastMessage(chat._id, msg);
+      chatEvents.publish(chat._id, "message_deleted", { _id: msg._id });
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("delete message error", err);
+      res.status(500).json({ error: "delete message failed" });
     }
+  }
+);
 
-    chat.messages.push({ senderEmail, text, createdAt: new Date() });
-    await chat.save();
-    res.json({ ok: true });
+// 標為已讀：body { at? }（預設現在）；即時串流中看到的訊息用這個回報
+app.post("/chats/:chatId/read", requireAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    const at = req.body.at ? new Date(req.body.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ error: "at 格式錯誤" });
+    }
+    // 不能標到未來
+    const now = new Date();
+    await readChat(chat, req.userEmail, at > now ? now : at);
+    res.json({ ok: true, lastReadAt: lastReadOf(chat, req.userEmail) });
   } catch (err) {
-    console.error("send message error", err);
-    res.status(500).json({ error: "send message failed" });
+    console.error("read chat error", err);
+    res.status(500).json({ error: "read chat failed" });
   }
 });
 
-// 交易完成確認
-app.post("/chats/:chatId/done", async (req, res) => {
+// 靜音 / 取消靜音聊天室（不再產生通知）
+app.post("/chats/:chatId/mute", requireAuth, async (req, res) => {
   try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: "缺少 email" });
+    const chat = await memberChat(req, res);
+    if (!chat) return;
 
-    const chat = await Chat.findById(req.params.chatId);
-    if (!chat) return res.status(404).json({ error: "找不到聊天室" });
-    if (!chat.members.includes(email)) {
-      return res.status(403).json({ error: "非聊天室成員" });
-    }
+    await User.updateOne(
+      { email: req.userEmail },
+      { $addToSet: { mutedChats: String(chat._id) } }
+    );
+    res.json({ ok: true, muted: true });
+  } catch (err) {
+    console.error("mute chat error", err);
+    res.status(500).json({ error: "mute chat failed" });
+  }
+});
+
+app.delete("/chats/:chatId/mute", requireAuth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { email: req.userEmail },
+      { $pull: { mutedChats: String(req.params.chatId) } }
+    );
+    res.json({ ok: true, muted: false });
+  } catch (err) {
+    console.error("unmute chat error", err);
+    res.status(500).json({ error: "unmute chat failed" });
+  }
+});
+
+// 即時串流（SSE）：新訊息、完成確認、聊天室關閉、輸入中
+// 斷線重連時依 Last-Event-ID（或 ?since=）補送之後的訊息
+const STREAM_PING_MS = 25 * 1000;
+// 斷線重連時最多補送幾則
+const STREAM_RESUME_MAX = 200;
+
+app.get("/chats/:chatId/stream", requireStreamAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // 避免 proxy 緩衝
+    });
+    res.flushHeaders();
+
+    // 訊息事件以訊息 _id 當 id
+    const send = (event, data, id) => {
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-    if (!chat.doneConfirmations.includes(email)) {
-      chat.doneConfirmations.push(email);
+    // Last-Event-ID（或 ?since=）是最後收到的訊息 _id；舊版客戶端送的是毫秒時間
+    const resumeFrom = req.get("last-event-id") || req.query.since;
+    let missedCond = null;
+    if (mongoose.isValidObjectId(resumeFrom)) {
+      missedCond = await cursorCond(chat._id, resumeFrom, "after");
+    } else if (resumeFrom) {
+      const since = /^\d+$/.test(resumeFrom)
+        ? Number(resumeFrom)
+        : Date.parse(resumeFrom);
+      if (Number.isFinite(since)) {
+        missedCond = {
+          chatId: String(chat._id),
+          createdAt: { $gt: new Date(since) },
+        };
+      }
+    }
+    if (missedCond) {
+      const missed = await Message.find(missedCond)
+        .sort(ORDER_ASC)
+        .limit(STREAM_RESUME_MAX)
+        .lean();
+      missed.forEach((m) => send("message", messageView(m), String(m._id)));
     }
+    send("state", {
+      closed: chat.closed,
+      doneConfirmations: chat.doneConfirmations || [],
+    });
 
-    const bothConfirmed = chat.members.every((m) =>
-      chat.doneConfirmations.includes(m)
-    );
-    if (bothConfirmed) {
-      chat.closed = true;
-      chat.closedAt = new Date();
+    const unsubscribe = chatEvents.subscribe(chat._id, ({ event, data }) => {
+      if (event === "typing" && data.email === req.userEmail) return;
+      send(event, data, event === "message" ? String(data._id) : undefined);
+    });
+    const ping = setInterval(() => res.write(": ping\n\n"), STREAM_PING_MS);
+
+    req.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error("chat stream error", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "chat stream failed" });
+    } else {
+      res.end();
     }
+  }
+});
+
+// 輸入中提示（不存 DB，只推播給其他成員）
+app.post("/chats/:chatId/typing", requireAuth, async (req, res) => {
+  try {
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+
+    chatEvents.publish(chat._id, "typing", {
+      email: req.userEmail,
+      typing: req.body.typing !== false,
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("typing error", err);
+    res.status(500).json({ error: "typing failed" });
+  }
+});
 
-    await chat.save();
+// 交易完成確認（全員按下 → Trade 變成 completed，聊天室關閉）
+app.post("/chats/:chatId/done", requireAuth, async (req, res) => {
+  try {
+    const email = req.userEmail;
+
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+
+    const result = await applyAction(await ensureTrade(chat), email, (t) => {
+      const done = confirmDone(t, email);
+      // 通知用 done 類型另外發，不走 trade 通知
+      return done.error ? done : { text: null, notice: done.text };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { trade } = result;
+    await notify(
+      chat.members.filter((m) => m !== email),
+      "done",
+      { text: result.notice, fromEmail: email, chatId: chat._id }
+    );
+    chatEvents.publish(chat._id, "done", {
+      doneConfirmations: trade.confirmations,
+    });
     res.json({
       ok: true,
-      closed: chat.closed,
-      doneConfirmations: chat.doneConfirmations,
+      closed: trade.state === "completed",
+      doneConfirmations: trade.confirmations,
+      state: trade.state,
     });
   } catch (err) {
     console.error("done error", err);
@@ -524,66 +1662,117 @@ app.post("/chats/:chatId/done", async (req, res) => {
   }
 });
 
-// ========= Tripo3D：轉呼叫 Flask /generate =========
-app.post("/tripo3d/fromUrl", async (req, res) => {
+// 交易完成後評價對方（每位成員對每位對象限一次）
+app.post("/chats/:chatId/rating", requireAuth, async (req, res) => {
   try {
-    const { imageUrl } = req.body;
-
-    // 基本檢查：理論上有圖片才會到這裡，
-    // 但保留這個防呆沒壞處
-    if (!imageUrl || typeof imageUrl !== "string") {
-      return res.status(400).json({
-        ok: false,
-        error: "缺少 imageUrl",
-      });
+    const { toEmail, comment } = req.body;
+    const email = req.userEmail;
+    const score = Number(req.body.score);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({ error: "score 需為 1~5 的整數" });
     }
 
-    // 呼叫你在 Render 上的 Flask /generate
-    const resp = await axios.post(
-      `${FLASK_BASE}/generate`,
-      { image_url: imageUrl },       // ⭐ Flask 端參數名稱是 image_url
-      { timeout: 1000 * 60 * 5 }    // 最多等 5 分鐘（Tripo3D 有時候會慢）
-    );
-
-    const data = resp.data;
+    const chat = await memberChat(req, res);
+    if (!chat) return;
+    if (!chat.closed) {
+      return res.status(409).json({ error: "交易尚未完成，無法評價" });
+    }
+    if (chat.closeReason === "cancelled") {
+      return res.status(409).json({ error: "交易已取消，無法評價" });
+    }
 
-    // 期待 Flask 回傳：
-    // { "success": true, "modelUrl": "https://...glb", ... }
-    if (!data || data.success !== true || !data.modelUrl) {
-      return res.status(500).json({
-        ok: false,
-        error:
-          (data && data.error) ||
-          "Flask 回傳格式錯誤或缺少 modelUrl",
-      });
+    // 兩人聊天室可省略 toEmail；多人循環需指定
+    const others = chat.members.filter((m) => m !== email);
+    const target = toEmail || (others.length === 1 ? others[0] : null);
+    if (!target || !others.includes(target)) {
+      return res.status(400).json({ error: "缺少或無效的 toEmail" });
     }
 
-    // 對齊 Flutter ArPreviewPage 期待的格式
-    return res.json({
-      ok: true,
-      glbUrl: data.modelUrl,
+    const chatId = String(chat._id);
+    const exists = await Rating.findOne({
+      chatId,
+      fromEmail: email,
+      email: target,
     });
+    if (exists) return res.status(409).json({ error: "已評價過" });
+
+    const rating = await Rating.create({
+      email: target,
+      fromEmail: email,
+      chatId,
+      score,
+      comment: typeof comment === "string" ? comment.trim() : undefined,
+    });
+    recommendCache.invalidate();
+    res.json({ ok: true, ratingId: rating._id });
   } catch (err) {
-    console.error(
-      "tripo3d/fromUrl error",
-      err?.response?.data || err
-    );
-    return res.status(500).json({
-      ok: false,
-      error: "Node 端呼叫 Flask 失敗",
-      detail: err?.response?.data || String(err),
+    if (err?.code === 11000) return res.status(409).json({ error: "已評價過" });
+    console.error("rating error", err);
+    res.status(500).json({ error: "rating failed" });
+  }
+});
+
+// 查詢使用者評價：平均、數量、最近評論
+app.get("/users/:email/ratings", async (req, res) => {
+  try {
+    const { email } = req.params;
+    const limit = Math.min(50, Math.max(1, numOr(req.query.limit, 10)));
+
+    const [stats] = await Rating.aggregate([
+      { $match: { email, score: { $gte: 1, $lte: 5 } } },
+      { $group: { _id: null, sum: { $sum: "$score" }, count: { $sum: 1 } } },
+    ]);
+    const recent = await Rating.find({ email })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select({ _id: 0, fromEmail: 1, score: 1, comment: 1, createdAt: 1 });
+
+    const count = stats?.count || 0;
+    res.json({
+      email,
+      average: count ? +(stats.sum / count).toFixed(2) : null,
+      count,
+      recent,
     });
+  } catch (err) {
+    console.error("user ratings error", err);
+    res.status(500).json({ error: "user ratings failed" });
   }
 });
 
+// ========= 物品圖片 =========
+app.use(require("./routes/images"));
+
+// ========= Tripo3D：3D 模型產生工作 =========
+app.use("/tripo3d", require("./routes/tripo3d"));
+
+// ========= 封鎖、檢舉、管理 =========
+app.use("/users/me/blocks", require("./routes/blocks"));
+app.use("/reports", require("./routes/reports"));
+app.use("/admin/analytics", require("./routes/analytics"));
+app.use("/admin", require("./routes/admin"));
+
+// ========= 願望清單 =========
+app.use("/wants", require("./routes/wants"));
+
+// ========= 通知 =========
+app.use("/notifications", require("./routes/notifications"));
+
+// ========= 面交、交易狀態 =========
+app.use("/chats/:chatId/meetups", require("./routes/meetups"));
+app.use("/chats/:chatId/trade", require("./routes/trades"));
 
 // --- Start ---
 const PORT = process.env.PORT || 10000;
 
+// 定期把過期的邀請標為 expired（查詢時也會順便處理）
+const INVITE_SWEEP_MS = 10 * 60 * 1000;
+setInterval(() => {
+  expireStaleInvites().catch((err) =>
+    console.error("expire invites error", err)
+  );
+}, INVITE_SWEEP_MS).unref();
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
-
-
-
-
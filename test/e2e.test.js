@@ -0,0 +1,321 @@
+// test/e2e.test.js
+// 端對端：DB_BACKEND=memory 跑 seed 與 server，走一次 邀請 → 聊天 → 完成交易 → 評價
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawn } = require("node:child_process");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const PASSWORD = "e2e-password";
+const BOOT_TIMEOUT_MS = 15000;
+
+let dir;
+let server;
+let base;
+let chatId; // 第二個測試建立的聊天室
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// 等 server 印出「DB 已連線」與「開始監聽」兩行
+function waitForBoot(child) {
+  return new Promise((resolve, reject) => {
+    let out = "";
+    const timer = setTimeout(
+      () => reject(new Error(`server 啟動逾時：\n${out}`)),
+      BOOT_TIMEOUT_MS
+    );
+    const onData = (chunk) => {
+      out += chunk;
+      if (out.includes("DB connected") && out.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server 結束（${code}）：\n${out}`));
+    });
+  });
+}
+
+async function api(method, url, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const res = await fetch(base + url, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // 非 JSON（例如 /healthz）照原樣回傳
+  }
+  return { status: res.status, data };
+}
+
+// 最小的 PNG（1×1）
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d4948445200000001000000010806000000" +
+    "1f15c4890000000d49444154789c6360000002000154a24f5d0000000049454e44ae426082",
+  "hex"
+);
+
+const login = async (email) =>
+  (await api("POST", "/login", { body: { email, password: PASSWORD } })).data
+    .token;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "barter-e2e-"));
+  const env = {
+    ...process.env,
+    DB_BACKEND: "memory",
+    MEMORY_DB_FILE: path.join(dir, "db.json"),
+    UPLOAD_DIR: path.join(dir, "uploads"),
+    AUTH_SECRET: "e2e-secret",
+    MODEL_BACKEND: "fake",
+    FAKE_MODEL_DELAY_MS: "40",
+  };
+  execFileSync(
+    process.execPath,
+    ["scripts/seed.js", "--users=4", "--items=2", `--password=${PASSWORD}`],
+    { cwd: ROOT, env, stdio: "pipe", timeout: BOOT_TIMEOUT_MS }
+  );
+
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await waitForBoot(server);
+});
+
+after(async () => {
+  // 等 server 結束（結束前會把資料存回 MEMORY_DB_FILE）再刪暫存目錄
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill();
+    await exited;
+  }
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("seed 的帳號要用 --password 的密碼登入", async () => {
+  const ok = await api("POST", "/login", {
+    body: { email: "demo1@example.com", password: PASSWORD },
+  });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.data.token);
+
+  const bad = await api("POST", "/login", {
+    body: { email: "demo1@example.com", password: "demo1234" },
+  });
+  assert.equal(bad.status, 401);
+});
+
+test("邀請 → 聊天 → 雙方確認完成 → 評價", async () => {
+  const t1 = await login("demo1@example.com");
+  const t2 = await login("demo2@example.com");
+
+  const { data: search } = await api("GET", "/items/search?q=&limit=100");
+  const mine = search.results.find((i) => i.email === "demo1@example.com");
+  const theirs = search.results.find((i) => i.email === "demo2@example.com");
+  assert.ok(mine && theirs, "seed 應該替每位使用者建立物品");
+
+  const invite = await api("POST", "/invite", {
+    token: t1,
+    body: {
+      toEmail: "demo2@example.com",
+      fromItemId: mine._id,
+      toItemId: theirs._id,
+    },
+  });
+  assert.equal(invite.status, 200, JSON.stringify(invite.data));
+
+  const accepted = await api(
+    "POST",
+    `/invites/${invite.data.inviteId}/accept`,
+    { token: t2 }
+  );
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.data));
+  chatId = accepted.data.chatId;
+  assert.ok(chatId);
+
+  const sent = await api("POST", `/chats/${chatId}/messages`, {
+    token: t1,
+    body: { text: "週六下午方便嗎？" },
+  });
+  assert.equal(sent.status, 200, JSON.stringify(sent.data));
+
+  const { data: history } = await api("GET", `/chats/${chatId}/messages`, {
+    token: t2,
+  });
+  assert.deepEqual(
+    history.messages.filter((m) => m.type === "text").map((m) => m.text),
+    ["週六下午方便嗎？"]
+  );
+
+  const first = await api("POST", `/chats/${chatId}/done`, { token: t1 });
+  assert.equal(first.data.closed, false);
+  const second = await api("POST", `/chats/${chatId}/done`, { token: t2 });
+  assert.equal(second.data.closed, true);
+  assert.equal(second.data.state, "completed");
+
+  const rated = await api("POST", `/chats/${chatId}/rating`, {
+    token: t2,
+    body: { score: 5, comment: "準時" },
+  });
+  assert.equal(rated.status, 200, JSON.stringify(rated.data));
+});
+
+test("不是成員看不到聊天室，壞掉的 id 回 404", async () => {
+  const t3 = await login("demo3@example.com");
+  const other = await api("GET", `/chats/${chatId}/messages`, { token: t3 });
+  assert.equal(other.status, 403);
+  const bad = await api("GET", "/chats/not-an-id/messages", { token: t3 });
+  assert.equal(bad.status, 404);
+});
+
+test("/recommend 不外流 searchTokens", async () => {
+  const t3 = await login("demo3@example.com");
+  const { status, data } = await api("GET", "/recommend", { token: t3 });
+  assert.equal(status, 200);
+  const json = JSON.stringify(data);
+  assert.ok(!json.includes("searchTokens"));
+});
+
+test("未登入的物品查詢不回傳擁有者座標", async () => {
+  const { data: search } = await api("GET", "/items/search?q=&limit=100");
+  const { data: nearby } = await api(
+    "GET",
+    "/items/nearby?lat=25.04&lng=121.54&radiusKm=100"
+  );
+  const { data: similar } = await api(
+    "GET",
+    `/items/${search.results[0]._id}/similar`
+  );
+  assert.ok(search.results.length > 0 && nearby.length > 0);
+  for (const it of [...search.results, ...nearby, ...similar]) {
+    assert.ok(!("location" in it), JSON.stringify(it));
+    assert.ok(!("searchTokens" in it));
+  }
+  assert.ok(nearby.every((it) => typeof it.distanceKm === "number"));
+});
+
+test("/tripo3d/fromUrl 接受本站上傳的圖片，拒絕其他網址", async () => {
+  const t4 = await login("demo4@example.com");
+  const { data: search } = await api("GET", "/items/search?q=&limit=100");
+  const item = search.results.find((i) => i.email === "demo4@example.com");
+
+  const form = new FormData();
+  form.append("images", new Blob([PNG], { type: "image/png" }), "a.png");
+  const res = await fetch(`${base}/items/${item._id}/images`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${t4}` },
+    body: form,
+  });
+  const uploaded = await res.json();
+  assert.equal(res.status, 200, JSON.stringify(uploaded));
+  const { url } = uploaded.images[0];
+
+  // 相對路徑（PUBLIC_BASE_URL 未設定時 Item.images 存的就是這個）與絕對網址都可以
+  for (const imageUrl of [url, base + url]) {
+    const made = await api("POST", "/tripo3d/fromUrl", {
+      token: t4,
+      body: { imageUrl },
+    });
+    assert.equal(made.status, 200, JSON.stringify(made.data));
+    assert.ok(made.data.glbUrl);
+  }
+
+  for (const imageUrl of [
+    "http://169.254.169.254/latest/meta-data/",
+    `${base}/images/${"0".repeat(32)}.png`,
+    "file:///etc/passwd",
+  ]) {
+    const rejected = await api("POST", "/tripo3d/fromUrl", {
+      token: t4,
+      body: { imageUrl },
+    });
+    assert.equal(rejected.status, 400, imageUrl);
+  }
+});
+
+test("循環邀請的物品 id 格式錯誤回 400", async () => {
+  const t1 = await login("demo1@example.com");
+  const emails = [1, 2, 3].map((n) => `demo${n}@example.com`);
+  const legs = emails.map((fromEmail, k) => ({
+    fromEmail,
+    toEmail: emails[(k + 1) % emails.length],
+    itemId: "not-an-id",
+  }));
+  const { status } = await api("POST", "/invite/cycle", {
+    token: t1,
+    body: { legs },
+  });
+  assert.equal(status, 400);
+});
+
+test("搜尋：limit 不是整數回 400，facet 照常計數", async () => {
+  const bad = await api("GET", "/items/search?q=&limit=2.5");
+  assert.equal(bad.status, 400);
+
+  const { status, data } = await api("GET", "/items/search?q=&limit=2");
+  assert.equal(status, 200);
+  assert.equal(data.results.length, 2);
+  const counted = data.facets.category.reduce((a, f) => a + f.count, 0);
+  assert.equal(counted, data.total);
+});
+
+test("願望清單不配對有封鎖關係的人的物品", async () => {
+  const t3 = await login("demo3@example.com");
+  const t4 = await login("demo4@example.com");
+  const upload = (title) =>
+    api("POST", "/upload", { token: t4, body: { title, price: 100 } });
+
+  const { data: created } = await api("POST", "/wants", {
+    token: t3,
+    body: { keywords: ["blocktest"] },
+  });
+  const wantId = created.want._id;
+
+  await upload("blocktest lamp");
+  const before = await api("GET", `/wants/${wantId}/matches`, { token: t3 });
+  assert.equal(before.status, 200);
+  assert.equal(before.data.length, 1);
+  assert.equal(before.data[0].isNew, true);
+
+  await api("POST", "/users/me/blocks", {
+    token: t3,
+    body: { email: "demo4@example.com" },
+  });
+  const blocked = await api("GET", `/wants/${wantId}/matches`, { token: t3 });
+  assert.deepEqual(blocked.data, []);
+
+  // 被封鎖方上架的新物品也不標記、不通知
+  await upload("blocktest chair");
+  const { data: wants } = await api("GET", "/wants", { token: t3 });
+  assert.equal(wants.find((w) => w._id === wantId).newMatches, 0);
+
+  await api("DELETE", "/users/me/blocks/demo4@example.com", { token: t3 });
+  await api("DELETE", `/wants/${wantId}`, { token: t3 });
+});
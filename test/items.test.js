@@ -0,0 +1,51 @@
+// test/items.test.js
+// 交換時保留物品（lib/items reserveItems）：條件式更新，搶同一件物品只有一方成功
+process.env.DB_BACKEND = "memory";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Item } = require("../repositories");
+const { reserveItems } = require("../lib/items");
+
+let ids;
+
+const statuses = async () => {
+  const items = await Item.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(items.map((it) => [String(it._id), it.status]));
+  return ids.map((id) => byId.get(id));
+};
+
+beforeEach(async () => {
+  await Item.deleteMany({});
+  const items = await Item.insertMany(
+    ["shared", "mine", "theirs"].map((title) => ({
+      email: `${title}@example.com`,
+      title,
+    }))
+  );
+  ids = items.map((it) => String(it._id));
+});
+
+test("同時保留同一件物品只有一方成功，失敗的一方不留下保留", async () => {
+  const [shared, mine, theirs] = ids;
+  const results = await Promise.all([
+    reserveItems([mine, shared]),
+    reserveItems([theirs, shared]),
+  ]);
+  assert.deepEqual([...results].sort(), [false, true]);
+
+  const [sharedStatus, mineStatus, theirsStatus] = await statuses();
+  assert.equal(sharedStatus, "reserved");
+  assert.deepEqual([mineStatus, theirsStatus].sort(), [
+    "available",
+    "reserved",
+  ]);
+});
+
+test("舊資料沒有 status 也可以保留；已保留的不能再保留", async () => {
+  const [shared, mine] = ids;
+  await Item.updateOne({ _id: mine }, { $unset: { status: "" } });
+  assert.equal(await reserveItems([mine]), true);
+  assert.equal(await reserveItems([shared, mine]), false);
+  assert.deepEqual((await statuses()).slice(0, 2), ["available", "reserved"]);
+});
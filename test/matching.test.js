@@ -0,0 +1,55 @@
+// test/matching.test.js
+// 多人循環交換的搜尋（lib/matching findTradeCycles）
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { findTradeCycles } = require("../lib/matching");
+
+const WEIGHTS = { price: 1, damage: 1 };
+
+function market(nUsers, itemsPerUser, category = () => "book") {
+  const users = [];
+  const items = [];
+  for (let u = 0; u < nUsers; u++) {
+    users.push({ email: `u${u}@example.com` });
+    for (let k = 0; k < itemsPerUser; k++) {
+      items.push({
+        _id: `${u}-${k}`,
+        email: `u${u}@example.com`,
+        title: `item ${u}-${k}`,
+        price: 100 + u,
+        condition: 80,
+        category: category(u),
+      });
+    }
+  }
+  return { users, items };
+}
+
+test("三個人可以湊成循環", () => {
+  const { users, items } = market(3, 1);
+  const cycles = findTradeCycles("u0@example.com", users, items, {}, WEIGHTS);
+  assert.ok(cycles.length > 0);
+  assert.deepEqual([...cycles[0].participants].sort(), [
+    "u0@example.com",
+    "u1@example.com",
+    "u2@example.com",
+  ]);
+});
+
+test("沒有可接的下一手就不算循環", () => {
+  const { users, items } = market(3, 1, (u) => `cat${u}`);
+  const cycles = findTradeCycles("u0@example.com", users, items, {}, WEIGHTS, {
+    useCategory: true,
+  });
+  assert.deepEqual(cycles, []);
+});
+
+test("資料量大時 DFS 有上限", () => {
+  const { users, items } = market(300, 3);
+  const started = Date.now();
+  const cycles = findTradeCycles("u0@example.com", users, items, {}, WEIGHTS, {
+    maxLen: 4,
+  });
+  assert.ok(cycles.length > 0 && cycles.length <= 50);
+  assert.ok(Date.now() - started < 10000);
+});
@@ -0,0 +1,627 @@
+// test/memoryBackend.test.js
+// 記憶體後端（repositories/memory）的行為必須跟 MongoDB 一致：
+// 專案用到的查詢 / 更新運算子、aggregation stage 與運算式都在這裡各測一次
+// 設定 TEST_MONGODB_URI（會清空其中的 contract* 集合）時，同一組測試也對真的 MongoDB 跑，
+// 用來確認期望值本身沒寫錯
+const { describe, test, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const memory = require("../repositories/memory");
+const { PointSchema } = require("../models/PointSchema");
+
+const ThingSchema = new mongoose.Schema({
+  name: String,
+  code: { type: String, unique: true },
+  n: Number,
+  tags: [String],
+  status: String,
+  kind: { type: String, default: "plain" },
+  nested: { a: Number },
+  list: [{ _id: false, k: String, v: Number }],
+  at: Date,
+  location: { type: PointSchema, default: undefined },
+});
+ThingSchema.index({ location: "2dsphere" });
+
+const OrderSchema = new mongoose.Schema({ thing: String, qty: Number });
+
+const MODELS = {
+  Thing: mongoose.model("ContractThing", ThingSchema),
+  Order: mongoose.model("ContractOrder", OrderSchema),
+};
+
+const point = (lng, lat) => ({ type: "Point", coordinates: [lng, lat] });
+
+// a、b 在台北（相距約 11 公里），c 在約 100 公里外
+// at：a 台北時間週一 09:00、b 週一 01:00（UTC 還是週日）、c 下週一 00:30
+const THINGS = [
+  {
+    name: "a",
+    code: "A",
+    n: 1,
+    tags: ["x", "y"],
+    status: "available",
+    nested: { a: 0 },
+    list: [
+      { k: "a", v: 1 },
+      { k: "b", v: 3 },
+    ],
+    at: new Date("2026-03-02T01:00:00Z"),
+    location: point(121.5, 25.0),
+  },
+  {
+    name: "b",
+    code: "B",
+    n: 2,
+    tags: ["x"],
+    status: null,
+    nested: { a: 5 },
+    list: [{ k: "a", v: 3 }],
+    at: new Date("2026-03-01T17:00:00Z"),
+    location: point(121.5, 25.1),
+  },
+  {
+    name: "c",
+    code: "C",
+    n: 3,
+    tags: [],
+    nested: { a: 1 },
+    list: [],
+    at: new Date("2026-03-08T16:30:00Z"),
+    location: point(122.5, 25.0),
+  },
+];
+
+const ORDERS = [
+  { thing: "a", qty: 2 },
+  { thing: "a", qty: 5 },
+  { thing: "b", qty: 1 },
+];
+
+const BACKENDS = [
+  {
+    name: "memory",
+    setup: async () => memory.create(MODELS),
+    teardown: async () => {},
+  },
+];
+if (process.env.TEST_MONGODB_URI) {
+  BACKENDS.push({
+    name: "mongodb",
+    setup: async () => {
+      await mongoose.connect(process.env.TEST_MONGODB_URI);
+      await Promise.all(Object.values(MODELS).map((M) => M.syncIndexes()));
+      return MODELS;
+    },
+    teardown: async () => {
+      await Promise.all(Object.values(MODELS).map((M) => M.collection.drop()));
+      await mongoose.disconnect();
+    },
+  });
+}
+
+const names = (docs) => docs.map((d) => d.name).sort();
+
+for (const backend of BACKENDS) {
+  describe(`repository 行為（${backend.name}）`, () => {
+    let Thing;
+    let Order;
+
+    before(async () => {
+      ({ Thing, Order } = await backend.setup());
+    });
+    after(() => backend.teardown());
+
+    beforeEach(async () => {
+      await Thing.deleteMany({});
+      await Order.deleteMany({});
+      await Thing.insertMany(THINGS);
+      await Order.insertMany(ORDERS);
+    });
+
+    const find = async (cond) => names(await Thing.find(cond).lean());
+
+    test("查詢：null 與不存在的欄位", async () => {
+      assert.deepEqual(await find({ status: null }), ["b", "c"]);
+      assert.deepEqual(await find({ status: { $ne: null } }), ["a"]);
+      assert.deepEqual(await find({ status: { $in: ["available", null] } }), [
+        "a",
+        "b",
+        "c",
+      ]);
+      assert.deepEqual(await find({ status: { $exists: false } }), ["c"]);
+    });
+
+    test("查詢：陣列欄位", async () => {
+      assert.deepEqual(await find({ tags: "x" }), ["a", "b"]);
+      assert.deepEqual(await find({ tags: { $nin: ["y"] } }), ["b", "c"]);
+      assert.deepEqual(await find({ tags: { $size: 0 } }), ["c"]);
+      assert.deepEqual(await find({ tags: { $all: ["x", "y"] } }), ["a"]);
+      assert.deepEqual(await find({ "list.k": "b" }), ["a"]);
+      // 不同元素分別符合也算；$elemMatch 要同一個元素
+      assert.deepEqual(await find({ "list.k": "a", "list.v": { $gte: 2 } }), [
+        "a",
+        "b",
+      ]);
+      assert.deepEqual(
+        await find({ list: { $elemMatch: { k: "a", v: { $gte: 2 } } } }),
+        ["b"]
+      );
+    });
+
+    test("查詢：比較、regex、$not、邏輯與 $expr", async () => {
+      assert.deepEqual(await find({ n: { $gte: 2, $lt: 3 } }), ["b"]);
+      assert.deepEqual(await find({ n: { $gt: 1, $lte: 2 } }), ["b"]);
+      assert.deepEqual(await find({ status: { $type: "string" } }), ["a"]);
+      assert.deepEqual(await find({ "nested.a": { $type: "number" } }), [
+        "a",
+        "b",
+        "c",
+      ]);
+      assert.deepEqual(await find({ name: { $regex: "^[ab]$" } }), ["a", "b"]);
+      assert.deepEqual(await find({ n: { $not: { $gt: 1 } } }), ["a"]);
+      assert.deepEqual(await find({ $or: [{ n: 1 }, { name: "c" }] }), [
+        "a",
+        "c",
+      ]);
+      assert.deepEqual(await find({ $nor: [{ n: 1 }] }), ["b", "c"]);
+      assert.deepEqual(
+        await find({ $and: [{ tags: "x" }, { n: { $gt: 1 } }] }),
+        ["b"]
+      );
+      assert.deepEqual(await find({ $expr: { $gt: ["$n", "$nested.a"] } }), [
+        "a",
+        "c",
+      ]);
+    });
+
+    test("查詢：$geoWithin $centerSphere", async () => {
+      const near = { $centerSphere: [[121.5, 25.0], 20 / 6371] };
+      assert.deepEqual(await find({ location: { $geoWithin: near } }), [
+        "a",
+        "b",
+      ]);
+    });
+
+    test("查詢：sort / skip / limit / select / count / distinct", async () => {
+      const [second] = await Thing.find({})
+        .sort({ n: -1 })
+        .skip(1)
+        .limit(1)
+        .select({ name: 1, _id: 0 })
+        .lean();
+      assert.deepEqual(second, { name: "b" });
+      assert.equal(await Thing.countDocuments({ tags: "x" }), 2);
+      assert.deepEqual((await Thing.distinct("tags")).sort(), ["x", "y"]);
+      assert.ok(await Thing.exists({ code: "C" }));
+      assert.equal(await Thing.exists({ code: "Z" }), null);
+    });
+
+    test("更新：modifiedCount 與數值運算子", async () => {
+      const same = await Thing.updateOne({ name: "a" }, { $set: { n: 1 } });
+      assert.equal(same.matchedCount, 1);
+      assert.equal(same.modifiedCount, 0);
+
+      await Thing.updateOne({ name: "a" }, { $inc: { n: 2, "nested.a": 1 } });
+      await Thing.updateOne({ name: "b" }, { $min: { n: 0 } });
+      await Thing.updateOne({ name: "c" }, { $max: { n: 10 } });
+      const byName = Object.fromEntries(
+        (await Thing.find({}).lean()).map((d) => [d.name, d])
+      );
+      assert.equal(byName.a.n, 3);
+      assert.equal(byName.a.nested.a, 1);
+      assert.equal(byName.b.n, 0);
+      assert.equal(byName.c.n, 10);
+
+      const many = await Thing.updateMany(
+        { tags: "x" },
+        { $set: { status: "reserved" } }
+      );
+      assert.equal(many.modifiedCount, 2);
+    });
+
+    test("更新：陣列運算子與 $unset", async () => {
+      await Thing.updateOne(
+        { name: "a" },
+        { $push: { tags: { $each: ["p", "q", "r"], $slice: -2 } } }
+      );
+      await Thing.updateOne(
+        { name: "b" },
+        { $addToSet: { tags: { $each: ["x", "z"] } } }
+      );
+      await Thing.updateOne(
+        { name: "c" },
+        { $push: { list: { k: "c", v: 9 } } }
+      );
+      let [a, b, c] = await Thing.find({}).sort({ name: 1 }).lean();
+      assert.deepEqual(a.tags, ["q", "r"]);
+      assert.deepEqual(b.tags, ["x", "z"]);
+      assert.deepEqual(c.list, [{ k: "c", v: 9 }]);
+
+      await Thing.updateOne({ name: "b" }, { $pull: { tags: "x" } });
+      await Thing.updateOne({ name: "a" }, { $pull: { list: { k: "a" } } });
+      await Thing.updateOne({ name: "a" }, { $unset: { status: "" } });
+      [a, b] = await Thing.find({}).sort({ name: 1 }).lean();
+      assert.deepEqual(b.tags, ["z"]);
+      assert.deepEqual(a.list, [{ k: "b", v: 3 }]);
+      assert.equal("status" in a, false);
+
+      // 有預設值的欄位 $unset 後也維持不存在，之後的更新不會補回來
+      await Thing.updateOne({ name: "a" }, { $unset: { kind: "" } });
+      await Thing.updateOne({ name: "a" }, { $inc: { n: 1 } });
+      a = await Thing.findOne({ name: "a" }).lean();
+      assert.equal("kind" in a, false);
+      assert.equal(a.n, 2);
+    });
+
+    test("更新：upsert 與 $setOnInsert", async () => {
+      const update = {
+        $set: { n: 4 },
+        $setOnInsert: { status: "new" },
+      };
+      const first = await Thing.updateOne({ name: "d" }, update, {
+        upsert: true,
+      });
+      assert.equal(first.upsertedCount, 1);
+      const again = await Thing.updateOne(
+        { name: "d" },
+        { $set: { n: 5 }, $setOnInsert: { status: "again" } },
+        { upsert: true }
+      );
+      assert.equal(again.upsertedCount, 0);
+      const d = await Thing.findOne({ name: "d" }).lean();
+      assert.equal(d.n, 5);
+      assert.equal(d.status, "new");
+    });
+
+    test("更新：findOneAndUpdate 回傳更新前 / 後", async () => {
+      const after = await Thing.findOneAndUpdate(
+        { name: "b" },
+        { $inc: { n: 1 } },
+        { new: true }
+      ).lean();
+      assert.equal(after.n, 3);
+      const before = await Thing.findOneAndUpdate(
+        { name: "b" },
+        { $inc: { n: 1 } }
+      ).lean();
+      assert.equal(before.n, 3);
+      assert.equal(
+        await Thing.findOneAndUpdate({ name: "zz" }, { $inc: { n: 1 } }),
+        null
+      );
+    });
+
+    test("唯一 index 與刪除", async () => {
+      await assert.rejects(
+        Thing.create({ name: "dup", code: "A" }),
+        (err) => err.code === 11000
+      );
+      const removed = await Thing.deleteMany({ n: { $gte: 2 } });
+      assert.equal(removed.deletedCount, 2);
+      assert.equal((await Thing.deleteOne({ name: "zz" })).deletedCount, 0);
+      assert.deepEqual(await find({}), ["a"]);
+    });
+
+    test("aggregate：$group 累加器", async () => {
+      const rows = await Thing.aggregate([
+        { $sort: { name: 1 } },
+        {
+          $group: {
+            _id: { $gt: ["$n", 1] },
+            count: { $sum: 1 },
+            total: { $sum: "$n" },
+            avg: { $avg: "$n" },
+            names: { $push: "$name" },
+            tagSet: { $addToSet: "$status" },
+            first: { $first: "$name" },
+            last: { $last: "$name" },
+            maxN: { $max: "$n" },
+            minN: { $min: "$n" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+      rows.forEach((r) => r.tagSet.sort());
+      assert.deepEqual(rows, [
+        {
+          _id: false,
+          count: 1,
+          total: 1,
+          avg: 1,
+          names: ["a"],
+          tagSet: ["available"],
+          first: "a",
+          last: "a",
+          maxN: 1,
+          minN: 1,
+        },
+        {
+          _id: true,
+          count: 2,
+          total: 5,
+          avg: 2.5,
+          names: ["b", "c"],
+          tagSet: [null],
+          first: "b",
+          last: "c",
+          maxN: 3,
+          minN: 2,
+        },
+      ]);
+    });
+
+    test("aggregate：$project 運算式", async () => {
+      const rows = await Thing.aggregate([
+        { $sort: { name: 1 } },
+        {
+          $project: {
+            _id: 0,
+            name: 1,
+            tagCount: { $size: { $ifNull: ["$tags", []] } },
+            common: { $size: { $setIntersection: ["$tags", ["x", "q"]] } },
+            half: { $divide: ["$n", 2] },
+            cell: { $multiply: [{ $floor: { $divide: ["$n", 2] } }, 2] },
+            hours: {
+              $divide: [
+                { $subtract: ["$at", new Date("2026-03-01T00:00:00Z")] },
+                36e5,
+              ],
+            },
+            third: { $round: [{ $divide: ["$n", 3] }, 2] },
+            firstK: { $arrayElemAt: ["$list.k", 0] },
+            label: { $concat: ["$name", "-", { $toString: "$n" }] },
+            kind: { $cond: [{ $gte: ["$n", 2] }, "big", "small"] },
+            st: { $ifNull: ["$status", "none"] },
+            picked: { $in: ["$name", ["a", "c"]] },
+          },
+        },
+      ]);
+      assert.deepEqual(rows, [
+        {
+          name: "a",
+          tagCount: 2,
+          common: 1,
+          half: 0.5,
+          cell: 0,
+          hours: 25,
+          third: 0.33,
+          firstK: "a",
+          label: "a-1",
+          kind: "small",
+          st: "available",
+          picked: true,
+        },
+        {
+          name: "b",
+          tagCount: 1,
+          common: 1,
+          half: 1,
+          cell: 2,
+          hours: 17,
+          third: 0.67,
+          firstK: "a",
+          label: "b-2",
+          kind: "big",
+          st: "none",
+          picked: false,
+        },
+        {
+          name: "c",
+          tagCount: 0,
+          common: 0,
+          half: 1.5,
+          cell: 2,
+          hours: 184.5,
+          third: 1,
+          label: "c-3",
+          kind: "big",
+          st: "none",
+          picked: true,
+        },
+      ]);
+    });
+
+    test("aggregate：$addFields、$unset、$replaceRoot", async () => {
+      const rows = await Thing.aggregate([
+        { $match: { name: "a" } },
+        { $addFields: { double: { $multiply: ["$n", 2] } } },
+        { $unset: ["list", "location", "tags", "at"] },
+      ]);
+      assert.equal(rows[0].double, 2);
+      assert.equal("list" in rows[0], false);
+      assert.equal("tags" in rows[0], false);
+
+      const nested = await Thing.aggregate([
+        { $match: { name: "a" } },
+        { $replaceRoot: { newRoot: "$nested" } },
+      ]);
+      assert.deepEqual(nested, [{ a: 0 }]);
+    });
+
+    test("aggregate：$unwind、$facet、$count", async () => {
+      const tags = await Thing.aggregate([{ $unwind: "$tags" }]);
+      assert.equal(tags.length, 3);
+      const kept = await Thing.aggregate([
+        { $unwind: { path: "$tags", preserveNullAndEmptyArrays: true } },
+      ]);
+      assert.equal(kept.length, 4);
+
+      const [facets] = await Thing.aggregate([
+        {
+          $facet: {
+            total: [{ $count: "n" }],
+            top: [
+              { $sort: { n: -1 } },
+              { $skip: 1 },
+              { $limit: 1 },
+              { $project: { _id: 0, name: 1 } },
+            ],
+            none: [{ $match: { n: 99 } }, { $count: "n" }],
+          },
+        },
+      ]);
+      assert.deepEqual(facets, {
+        total: [{ n: 3 }],
+        top: [{ name: "b" }],
+        none: [],
+      });
+    });
+
+    test("aggregate：$lookup（欄位對應與 let + pipeline）", async () => {
+      const rows = await Thing.aggregate([
+        {
+          $lookup: {
+            from: Order.collection.name,
+            localField: "name",
+            foreignField: "thing",
+            as: "orders",
+          },
+        },
+        {
+          $lookup: {
+            from: Order.collection.name,
+            let: { nm: "$name" },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$thing", "$$nm"] } } },
+              { $match: { qty: { $gte: 2 } } },
+            ],
+            as: "big",
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            name: 1,
+            orders: { $size: "$orders" },
+            big: { $size: "$big" },
+          },
+        },
+        { $sort: { name: 1 } },
+      ]);
+      assert.deepEqual(rows, [
+        { name: "a", orders: 2, big: 2 },
+        { name: "b", orders: 1, big: 0 },
+        { name: "c", orders: 0, big: 0 },
+      ]);
+    });
+
+    test("aggregate：$unionWith", async () => {
+      const rows = await Thing.aggregate([
+        { $project: { _id: 0, label: "$name" } },
+        {
+          $unionWith: {
+            coll: Order.collection.name,
+            pipeline: [{ $project: { _id: 0, label: "$thing" } }],
+          },
+        },
+        { $group: { _id: "$label", n: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+      assert.deepEqual(rows, [
+        { _id: "a", n: 3 },
+        { _id: "b", n: 2 },
+        { _id: "c", n: 1 },
+      ]);
+    });
+
+    test("aggregate：$geoNear", async () => {
+      const rows = await Thing.aggregate([
+        {
+          $geoNear: {
+            near: point(121.5, 25.0),
+            distanceField: "distanceM",
+            maxDistance: 20000,
+            spherical: true,
+            query: { n: { $gte: 1 } },
+          },
+        },
+        { $project: { _id: 0, name: 1, distanceM: 1 } },
+      ]);
+      assert.deepEqual(
+        rows.map((r) => r.name),
+        ["a", "b"]
+      );
+      assert.ok(rows[0].distanceM < 1);
+      assert.ok(Math.abs(rows[1].distanceM - 11132) < 150, rows[1].distanceM);
+    });
+
+    test("aggregate：日期運算（$dateTrunc、$dateToString、$toDate）", async () => {
+      const period = (unit) => ({
+        $dateToString: {
+          format: "%Y-%m-%d",
+          timezone: "Asia/Taipei",
+          date: {
+            $dateTrunc: {
+              date: "$at",
+              unit,
+              timezone: "Asia/Taipei",
+              startOfWeek: "monday",
+            },
+          },
+        },
+      });
+      const rows = await Thing.aggregate([
+        { $sort: { name: 1 } },
+        {
+          $project: {
+            _id: 0,
+            day: period("day"),
+            week: period("week"),
+            month: period("month"),
+            utcDay: { $dateToString: { format: "%Y-%m-%d", date: "$at" } },
+            created: { $toDate: "$_id" },
+          },
+        },
+      ]);
+      assert.deepEqual(
+        rows.map(({ created, ...r }) => r),
+        [
+          {
+            day: "2026-03-02",
+            week: "2026-03-02",
+            month: "2026-03-01",
+            utcDay: "2026-03-02",
+          },
+          {
+            day: "2026-03-02",
+            week: "2026-03-02",
+            month: "2026-03-01",
+            utcDay: "2026-03-01",
+          },
+          {
+            day: "2026-03-09",
+            week: "2026-03-09",
+            month: "2026-03-01",
+            utcDay: "2026-03-08",
+          },
+        ]
+      );
+      rows.forEach(({ created }) => {
+        assert.ok(created instanceof Date);
+        assert.ok(Math.abs(created - Date.now()) < 60 * 1000);
+      });
+    });
+
+    if (backend.name === "memory") {
+      test("不支援的運算子直接報錯，不會默默算錯", async () => {
+        await assert.rejects(
+          Thing.find({ n: { $mod: [2, 0] } }),
+          /unsupported operator/
+        );
+        await assert.rejects(
+          Thing.aggregate([{ $bucketAuto: { groupBy: "$n", buckets: 2 } }]),
+          /unsupported stage/
+        );
+        await assert.rejects(
+          Thing.aggregate([{ $project: { x: { $sqrt: "$n" } } }]),
+          /unsupported expression/
+        );
+        await assert.rejects(
+          Thing.updateOne({}, { $rename: { n: "m" } }),
+          /unsupported update/
+        );
+      });
+    }
+  });
+}
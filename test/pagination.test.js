@@ -0,0 +1,31 @@
+// test/pagination.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pageParams, paginate, encodeCursor } = require("../lib/pagination");
+
+test("pageParams：預設、上下限與游標", () => {
+  assert.deepEqual(pageParams({}), { limit: 20, offset: 0 });
+  assert.deepEqual(pageParams({ limit: "0" }), { limit: 1, offset: 0 });
+  assert.deepEqual(pageParams({ limit: "500" }), { limit: 100, offset: 0 });
+  assert.deepEqual(pageParams({ limit: "5", cursor: encodeCursor(10) }), {
+    limit: 5,
+    offset: 10,
+  });
+});
+
+test("pageParams：limit 不是整數回傳 error", () => {
+  for (const limit of ["2.5", "abc", "1e400"]) {
+    assert.ok(pageParams({ limit }).error, limit);
+  }
+});
+
+test("paginate：切出一頁並給下一頁游標", () => {
+  const list = [1, 2, 3, 4, 5];
+  const first = paginate(list, { limit: "2" });
+  assert.deepEqual(first.results, [1, 2]);
+  assert.equal(first.total, 5);
+  const last = paginate(list, { limit: "2", cursor: encodeCursor(4) });
+  assert.deepEqual(last.results, [5]);
+  assert.equal(last.nextCursor, null);
+  assert.ok(paginate(list, { limit: "2.5" }).error);
+});
@@ -0,0 +1,158 @@
+// test/scoring.test.js
+// 評分引擎（lib/scoring）與舊版 recommend.js；資料見 fixtures/scoring.json
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  scoreDesire,
+  registerScorer,
+  breakdownOf,
+  reasonsFor,
+  getCurve,
+  isCurve,
+  normalizeWeights,
+  keywordScoreFor,
+} = require("../lib/scoring");
+const recommendAllMatches = require("../recommend");
+const fixtures = require("./fixtures/scoring.json");
+
+const close = (actual, expected, msg) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-3,
+    `${msg}: ${actual} ≠ ${expected}`
+  );
+
+for (const c of fixtures.cases) {
+  test(`scoreDesire：${c.name}`, () => {
+    const desire = scoreDesire(
+      { email: c.user },
+      fixtures.items[c.target],
+      fixtures.items[c.own],
+      fixtures.locations,
+      c.weights,
+      c.opts
+    );
+    close(desire.score, c.score, "score");
+    for (const [f, v] of Object.entries(c.factors)) {
+      close(desire.factors[f], v, f);
+    }
+    for (const [f, v] of Object.entries(c.applied || {})) {
+      close(desire.weights[f], v, `weight ${f}`);
+    }
+  });
+}
+
+test("沒資料的因子不計權重，其餘重新正規化", () => {
+  const { items, locations } = fixtures;
+  const desire = scoreDesire(
+    { email: "dave@example.com" },
+    items.bobSwitch,
+    items.aliceBook,
+    locations,
+    { price: 1, distance: 3, keyword: 1 }
+  );
+  assert.deepEqual(desire.active, {
+    price: true,
+    distance: false,
+    keyword: false,
+  });
+  assert.equal(desire.weights.price, 1);
+  close(desire.score, 0.8, "score");
+});
+
+test("未註冊的權重 key 忽略", () => {
+  const { items, locations } = fixtures;
+  const desire = scoreDesire(
+    { email: "alice@example.com" },
+    items.bobSwitch,
+    items.aliceBook,
+    locations,
+    { price: 1, nope: 5 }
+  );
+  assert.deepEqual(Object.keys(desire.factors), ["price"]);
+  close(desire.score, 0.8, "score");
+});
+
+test("registerScorer：自訂 scorer 可用權重 key 啟用", () => {
+  assert.throws(() => registerScorer({ name: "broken" }));
+  registerScorer({ name: "fixedHalf", score: () => ({ value: 0.5 }) });
+  const { items, locations } = fixtures;
+  const desire = scoreDesire(
+    { email: "alice@example.com" },
+    items.bobSwitch,
+    items.aliceBook,
+    locations,
+    { price: 1, fixedHalf: 1 }
+  );
+  close(desire.score, 0.65, "score");
+});
+
+test("keywordScoreFor：標題與標籤都不分大小寫", () => {
+  const item = { title: "Nintendo SWITCH", tags: ["Game"] };
+  const interests = [
+    { keyword: "switch", weight: 1 },
+    { keyword: "game", weight: 1 },
+  ];
+  assert.equal(keywordScoreFor(interests, item), 1);
+  assert.equal(keywordScoreFor([], item), 0);
+});
+
+test("距離曲線", () => {
+  close(getCurve("linear")(25, 50), 0.5, "linear");
+  close(getCurve("exp")(10, 10), Math.exp(-1), "exp");
+  close(getCurve("gaussian")(10, 10), Math.exp(-1), "gaussian");
+  assert.equal(getCurve("step")(10, 10), 1);
+  assert.equal(getCurve("step")(10.1, 10), 0);
+  assert.equal(isCurve("cubic"), false);
+  assert.throws(() => getCurve("cubic"));
+});
+
+test("normalizeWeights：加總為 1，全 0 時不除以 0", () => {
+  assert.deepEqual(normalizeWeights({ a: 1, b: 3 }), { a: 0.25, b: 0.75 });
+  assert.deepEqual(normalizeWeights({ a: 0 }), { a: 0 });
+});
+
+test("breakdownOf / reasonsFor：依貢獻排序，沒貢獻的不列", () => {
+  const { items, locations } = fixtures;
+  const desire = scoreDesire(
+    { email: "alice@example.com" },
+    items.bobSwitch,
+    items.aliceBook,
+    locations,
+    { price: 1, distance: 1, damage: 1 }
+  );
+  assert.deepEqual(breakdownOf(desire).factors, {
+    price: 0.8,
+    distance: 1,
+    damage: 0.6,
+  });
+  assert.deepEqual(reasonsFor(desire), [
+    "距離不到 1 公里",
+    "價差 20%",
+    "對方物品完整度 60%",
+  ]);
+});
+
+// 舊版 recommend.js 的結果（重構前的實作算出來的）：
+// 關鍵字分大小寫，沒有搜尋紀錄算 0 分但照樣計權重
+const { users, items, userLocations, expected } = fixtures.legacy;
+for (const [preference, rows] of Object.entries(expected)) {
+  test(`recommend.js 與舊版一致（preference=${preference || "無"}）`, () => {
+    const result = recommendAllMatches(
+      "a",
+      users,
+      items,
+      userLocations,
+      preference
+    );
+    assert.deepEqual(
+      result.map((r) => [
+        r.from._id,
+        r.to._id,
+        r.scoreA,
+        r.scoreB,
+        r.matchScore,
+      ]),
+      rows
+    );
+  });
+}
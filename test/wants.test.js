@@ -0,0 +1,50 @@
+// test/wants.test.js
+// 願望清單配對（lib/wants）：DB 查詢與 wantSatisfaction 用同一套類別判斷
+process.env.DB_BACKEND = "memory";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Item, Want } = require("../repositories");
+const { findWantMatches, flagWantMatches } = require("../lib/wants");
+
+const OWNER = "owner@example.com";
+const SEEKER = "seeker@example.com";
+
+const titles = (items) => items.map((it) => it.title).sort();
+
+beforeEach(async () => {
+  await Item.deleteMany({});
+  await Want.deleteMany({});
+  await Item.insertMany([
+    { email: OWNER, title: "二手小說", category: "book" },
+    { email: OWNER, title: "舊書一箱" },
+    { email: OWNER, title: "舊椅子" },
+    { email: OWNER, title: "雜物", category: "other" },
+  ]);
+  // 沒有 category 欄位的舊資料
+  await Item.updateMany(
+    { title: { $in: ["舊書一箱", "舊椅子"] } },
+    { $unset: { category: "" } }
+  );
+});
+
+test("沒填 category 的物品以推測的類別配對", async () => {
+  const want = { email: SEEKER, category: "book" };
+  assert.deepEqual(titles(await findWantMatches(want)), [
+    "二手小說",
+    "舊書一箱",
+  ]);
+  assert.deepEqual(
+    titles(await findWantMatches({ email: SEEKER, category: "furniture" })),
+    ["舊椅子"]
+  );
+});
+
+test("上架沒填 category 的物品也標記推測類別的願望", async () => {
+  await Want.create({ email: SEEKER, category: "book" });
+  const legacy = await Item.findOne({ title: "舊書一箱" }).lean();
+  const matched = await flagWantMatches(legacy);
+  assert.equal(matched.length, 1);
+  const [want] = await Want.find({}).lean();
+  assert.deepEqual(want.newMatchItemIds, [String(legacy._id)]);
+});
@@ -0,0 +1,65 @@
+// test/weightLearning.test.js
+// 推薦權重學習（lib/weightLearning）：部署用的權重與遮蔽沒資料的因子
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TRAIN_FACTORS,
+  toRecommendWeights,
+  trainModels,
+  evaluate,
+} = require("../lib/weightLearning");
+const { PRESETS, DEFAULT_PRESET, normalizeWeights } = require("../lib/scoring");
+
+const sum = (w) => Object.values(w).reduce((a, b) => a + b, 0);
+
+test("toRecommendWeights：負係數當 0，collab 保留預設比重", () => {
+  const coef = Object.fromEntries(TRAIN_FACTORS.map((f) => [f, 0]));
+  const weights = toRecommendWeights({
+    coef: { ...coef, price: 1, distance: 3, rating: -2 },
+  });
+  const collab = normalizeWeights(PRESETS[DEFAULT_PRESET]).collab;
+
+  assert.ok(collab > 0);
+  assert.equal(weights.collab, collab);
+  assert.equal(weights.rating, 0);
+  assert.ok(Math.abs(weights.distance - 3 * weights.price) < 1e-9);
+  assert.ok(Math.abs(sum(weights) - 1) < 1e-9);
+
+  assert.equal(toRecommendWeights({ coef: { ...coef, price: -1 } }), null);
+});
+
+// 一半樣本沒有 rating：有的話 rating 決定結果，沒有的話隨機
+function examples() {
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: 400 }, (_, i) => {
+    const x = { price: random() };
+    if (i % 2 === 0) x.rating = random();
+    const y = x.rating === undefined ? random() < 0.5 : x.rating > 0.5;
+    return { email: "a@example.com", x, y: y ? 1 : 0, w: 1, at: new Date() };
+  });
+}
+
+test("沒資料的因子不當成 0 分：rating 係數為正", () => {
+  const { global } = trainModels(examples());
+  assert.ok(global.coef.rating > 1, `rating ${global.coef.rating}`);
+  assert.ok(Math.abs(global.coef.price) < global.coef.rating);
+  assert.equal(global.samples, 400);
+});
+
+test("evaluate：只計有同意的受邀者，precision@k", () => {
+  const e = (email, score, y) => ({ email, score, y });
+  const list = [
+    e("a", 0.9, 1),
+    e("a", 0.8, 0),
+    e("a", 0.1, 1),
+    e("b", 0.5, 0), // b 沒有同意過，不計
+  ];
+  const r = evaluate(list, (x) => x.score, [1, 2]);
+  assert.equal(r.users, 1);
+  assert.equal(r.precision[1], 1);
+  assert.equal(r.precision[2], 0.5);
+});